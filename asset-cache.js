@@ -0,0 +1,170 @@
+/**
+ * On-disk cache for remote images used by the UMG → PSD pipeline. It has no
+ * canvas dependency, so it can be loaded (and tested) on its own.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const ensureDir = (p) => fs.mkdirSync(p, { recursive: true });
+const readJson = (p) => JSON.parse(fs.readFileSync(p, "utf-8"));
+const writeJson = (p, data) => fs.writeFileSync(p, JSON.stringify(data, null, 2));
+
+// Remote images are cached on disk: an index keyed by URL points at blobs named after their SHA-256.
+export const defaultMaxAssetBytes = 25 * 1024 * 1024;
+export const defaultAssetCacheDir = () => path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "image-to-psd-mcp");
+const contentTypeExtensions = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/bmp": ".bmp",
+  "image/svg+xml": ".svg",
+};
+
+/** Reads a response body, giving up as soon as it passes `maxBytes`. */
+async function readLimitedBody(response, url, maxBytes) {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) {
+    throw new Error(`${url} is ${declared} bytes, over the ${maxBytes} byte limit`);
+  }
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new Error(`${url} is over the ${maxBytes} byte limit`);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Disk cache for remote images. Entries remember the ETag/Last-Modified of their
+ * URL so later runs revalidate instead of downloading again, and identical content
+ * is stored once. With `offline`, only cached entries are served. Each URL is
+ * requested at most once per cache, and `report()` summarises what happened.
+ */
+export function createAssetCache({ dir, offline = false, maxBytes = defaultMaxAssetBytes } = {}) {
+  const root = path.resolve(dir || defaultAssetCacheDir());
+  const blobDir = path.join(root, "blobs");
+  const indexPath = path.join(root, "index.json");
+  const pending = new Map();
+  const entries = [];
+  let index = null;
+
+  const readIndex = () => {
+    if (!index) {
+      try {
+        index = fs.existsSync(indexPath) ? readJson(indexPath) : {};
+      } catch (err) {
+        console.warn(`⚠️  Ignoring unreadable asset cache index "${indexPath}": ${err.message}`);
+        index = {};
+      }
+    }
+    return index;
+  };
+  const saveIndex = () => {
+    ensureDir(root);
+    const temporary = `${indexPath}.${process.pid}.tmp`;
+    writeJson(temporary, index);
+    fs.renameSync(temporary, indexPath);
+  };
+  const blobPath = (entry) => path.join(blobDir, entry.blob);
+  const cachedEntry = (url) => {
+    const entry = readIndex()[url];
+    return entry?.blob && fs.existsSync(blobPath(entry)) ? entry : null;
+  };
+  const served = (url, status, entry) => {
+    entries.push({ url, status, hash: entry.hash, bytes: entry.bytes, path: blobPath(entry) });
+    return blobPath(entry);
+  };
+
+  const store = (url, body, contentType, response) => {
+    const hash = crypto.createHash("sha256").update(body).digest("hex");
+    const blob = `${hash}${contentTypeExtensions[contentType] || path.extname(new URL(url).pathname).toLowerCase()}`;
+    ensureDir(blobDir);
+    if (!fs.existsSync(path.join(blobDir, blob))) fs.writeFileSync(path.join(blobDir, blob), body);
+    const entry = {
+      hash,
+      blob,
+      bytes: body.length,
+      contentType,
+      etag: response.headers.get("etag") || undefined,
+      lastModified: response.headers.get("last-modified") || undefined,
+      fetchedAt: new Date().toISOString(),
+    };
+    readIndex()[url] = entry;
+    saveIndex();
+    return entry;
+  };
+
+  const load = async (url) => {
+    const entry = cachedEntry(url);
+    if (offline) {
+      if (!entry) throw new Error(`${url} is not in the asset cache (offline mode)`);
+      return served(url, "cached", entry);
+    }
+
+    const headers = {};
+    if (entry?.etag) headers["If-None-Match"] = entry.etag;
+    if (entry?.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch (err) {
+      if (!entry) throw new Error(`Failed to download ${url}: ${err.message}`);
+      console.warn(`⚠️  Using the cached copy of ${url}: ${err.message}`);
+      return served(url, "stale", entry);
+    }
+    if (response.status === 304 && entry) {
+      return served(url, "revalidated", entry);
+    }
+    if (!response.ok) {
+      const reason = `${response.status} ${response.statusText}`;
+      // A server error is as temporary as a network failure; a 4xx means the copy is gone.
+      if (entry && response.status >= 500) {
+        console.warn(`⚠️  Using the cached copy of ${url}: ${reason}`);
+        return served(url, "stale", entry);
+      }
+      throw new Error(`Failed to download ${url}: ${reason}`);
+    }
+    const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!contentType.startsWith("image/")) {
+      throw new Error(`${url} is ${contentType ? `"${contentType}"` : "of unknown type"}, not an image`);
+    }
+    const body = await readLimitedBody(response, url, maxBytes);
+    return served(url, "downloaded", store(url, body, contentType, response));
+  };
+
+  return {
+    dir: root,
+    offline,
+    /** Local path of the cached copy of `url`, downloading or revalidating it first. */
+    fetch(url) {
+      if (!pending.has(url)) {
+        pending.set(url, load(url).catch((err) => {
+          entries.push({ url, status: "failed", error: err.message });
+          throw err;
+        }));
+      }
+      return pending.get(url);
+    },
+    report() {
+      const count = (status) => entries.filter((entry) => entry.status === status).length;
+      return {
+        dir: root,
+        offline,
+        downloaded: count("downloaded"),
+        revalidated: count("revalidated"),
+        cached: count("cached"),
+        stale: count("stale"),
+        failed: count("failed"),
+        bytesDownloaded: entries.filter((entry) => entry.status === "downloaded").reduce((sum, entry) => sum + entry.bytes, 0),
+        entries: entries.map((entry) => ({ ...entry })),
+      };
+    },
+  };
+}
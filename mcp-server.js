@@ -4,22 +4,29 @@
  * - Tool: umg.pipeline
  * - Step1: Ensure Image assets (generate placeholders if missing)
  * - Step2: Compose PSD from updated JSON
+ * - Tool: umg.psdToJson (reverse: PSD groups/layers → UMG JSON)
  * - DEV mode: run pipeline directly without MCP
  */
+import crypto from "crypto";
 import fs from "fs";
+import os from "os";
 import path from "path";
-import { fileURLToPath } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
 import { createCanvas, loadImage, registerFont } from "canvas";
-import { writePsd } from "ag-psd";
+import { initializeCanvas, readPsd, writePsd } from "ag-psd";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
+import { createAssetCache, defaultMaxAssetBytes } from "./asset-cache.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// ag-psd needs a canvas factory to decode layer pixels when reading PSDs.
+initializeCanvas(createCanvas);
+
 const ensureDir = (p) => fs.mkdirSync(p, { recursive: true });
 const readJson = (p) => JSON.parse(fs.readFileSync(p, "utf-8"));
 const writeJson = (p, data) => fs.writeFileSync(p, JSON.stringify(data, null, 2));
@@ -36,46 +43,310 @@ const rr = (ctx, x, y, w, h, r) => {
   ctx.closePath();
 };
 
-async function genPlaceholderPNG({
-  outPath, width, height, style = "gradient",
-  solidColor = "#666666", label = { show: true, text: "Image" }, borderRadius = 12
-}) {
-  const w = Math.max(1, Math.floor(width));
-  const h = Math.max(1, Math.floor(height));
-  const c = createCanvas(w, h);
-  const ctx = c.getContext("2d");
+/**
+ * Built-in placeholder themes. Every theme starts from `placeholderThemeDefaults`
+ * (the original dark gradient with stripes and a label band). Colour values may
+ * be any paint, or "name" for the colour derived from the element's name.
+ */
+const placeholderThemeDefaults = {
+  background: "gradient",
+  pattern: "stripes",
+  pattern_color: "#FFFFFF",
+  pattern_opacity: 0.15,
+  outline: null,
+  text_color: "#FFFFFF",
+  icon_color: null,
+  font: "Arial",
+  band: true,
+  show_label: true,
+  dimensions: false,
+  aspect_ratio: false,
+  icon: false,
+};
+
+const placeholderThemes = {
+  gradient: {},
+  solid: { background: "#666666" },
+  checker: { background: "checker" },
+  annotated: { background: "name", dimensions: true, aspect_ratio: true, icon: true },
+  wireframe: {
+    background: "#F4F4F4",
+    pattern: "cross",
+    pattern_color: "#BDBDBD",
+    pattern_opacity: 1,
+    outline: "name",
+    text_color: "#333333",
+    icon_color: "name",
+    band: false,
+    dimensions: true,
+    aspect_ratio: true,
+    icon: true,
+  },
+};
+
+// Only JSON is picked up next to a layout; JS themes run code, so they must be named explicitly.
+const placeholderThemeFiles = ["placeholder-themes.json"];
+
+// JS theme modules by path: `{ mtimeMs, data }` of the last import. Node keeps every imported module, so one is imported per edit.
+const importedThemeModules = new Map();
+
+/**
+ * Loads user placeholder themes from a JSON or JS module file (`{ name: theme }`,
+ * optionally under a `themes` key). Without an explicit file, a
+ * `placeholder-themes.json` next to the layout is picked up. A JS module is
+ * imported again only after the file changed.
+ */
+async function loadPlaceholderThemes(filePath, jsonDir) {
+  const resolved = filePath
+    ? path.resolve(filePath)
+    : placeholderThemeFiles.map((file) => path.join(jsonDir, file)).find((file) => fs.existsSync(file));
+  if (!resolved) return {};
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Placeholder themes file not found: ${resolved}`);
+  }
+
+  let data;
+  try {
+    if (path.extname(resolved).toLowerCase() === ".json") {
+      data = readJson(resolved);
+    } else {
+      const { mtimeMs } = fs.statSync(resolved);
+      let imported = importedThemeModules.get(resolved);
+      if (imported?.mtimeMs !== mtimeMs) {
+        const module = await import(`${pathToFileURL(resolved).href}?mtime=${mtimeMs}`);
+        imported = { mtimeMs, data: module.default ?? module };
+        importedThemeModules.set(resolved, imported);
+      }
+      data = imported.data;
+    }
+  } catch (err) {
+    throw new Error(`Failed to load placeholder themes "${resolved}": ${err.message}`);
+  }
+  const themes = isElementObject(data?.themes) ? data.themes : data;
+  if (!isElementObject(themes)) {
+    throw new Error(`Placeholder themes file must export an object of themes: ${resolved}`);
+  }
+  return themes;
+}
+
+/**
+ * Flattens a theme into plain settings. `spec` is a theme name or an object that
+ * overrides a base `theme` (alias `extends`). User themes shadow built-in ones of
+ * the same name and may extend them.
+ */
+function resolvePlaceholderTheme(spec, themes = {}, seen = new Set()) {
+  const named = (name) => {
+    if (themes[name] !== undefined && !seen.has(name)) {
+      return resolvePlaceholderTheme(themes[name], themes, new Set([...seen, name]));
+    }
+    if (placeholderThemes[name]) return { ...placeholderThemeDefaults, ...placeholderThemes[name] };
+    console.warn(`⚠️  Unknown placeholder theme "${name}"; using "gradient"`);
+    return { ...placeholderThemeDefaults };
+  };
+  if (typeof spec === "string") return named(spec);
+  if (!isElementObject(spec)) return { ...placeholderThemeDefaults };
+  const { theme, extends: base = theme, ...own } = spec;
+  return { ...(base ? named(base) : placeholderThemeDefaults), ...own };
+}
+
+// A stable mid-tone colour per name (FNV-1a hash → hue), so a placeholder keeps its colour across runs.
+function placeholderColor(name) {
+  let hash = 0x811c9dc5;
+  for (const char of (name || "placeholder").toString()) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+  }
+  return `hsl(${hash % 360}, 45%, 42%)`;
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/** "16:9" when the ratio reduces to small numbers, otherwise "1.85:1". */
+function aspectRatioLabel(width, height) {
+  const divisor = gcd(width, height);
+  if (width / divisor <= 32 && height / divisor <= 32) return `${width / divisor}:${height / divisor}`;
+  return `${(width / height).toFixed(2).replace(/\.?0+$/, "")}:1`;
+}
+
+// Which icon a placeholder shows for its element type.
+function placeholderIconKind(type) {
+  const key = (type || "image").toString().toLowerCase();
+  if (imageTypes.has(key)) return "image";
+  if (textTypes.has(key)) return "text";
+  if (inputTypes.has(key) || stateWidgetTypes.has(key)) return "button";
+  if (widgetTypes.has(key)) return "widget";
+  return "container";
+}
+
+/** Draws a line icon of `kind` centred on (x, y) and `size` pixels wide. */
+function drawPlaceholderIcon(ctx, kind, x, y, size, color) {
+  const half = size / 2;
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = Math.max(1, size / 14);
+  ctx.lineJoin = "round";
+  if (kind === "image") {
+    rr(ctx, x - half, y - half * 0.75, size, size * 0.75, size * 0.08);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x - half * 0.8, y + half * 0.55);
+    ctx.lineTo(x - half * 0.25, y - half * 0.05);
+    ctx.lineTo(x + half * 0.1, y + half * 0.3);
+    ctx.lineTo(x + half * 0.4, y + half * 0.05);
+    ctx.lineTo(x + half * 0.8, y + half * 0.55);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x + half * 0.45, y - half * 0.35, size * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (kind === "text") {
+    ctx.font = `bold ${Math.round(size * 0.8)}px Arial`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("T", x, y);
+  } else if (kind === "button") {
+    rr(ctx, x - half, y - size * 0.2, size, size * 0.4, size * 0.2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x - half * 0.45, y);
+    ctx.lineTo(x + half * 0.45, y);
+    ctx.stroke();
+  } else if (kind === "widget") {
+    ctx.beginPath();
+    ctx.moveTo(x - half, y);
+    ctx.lineTo(x + half, y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x - half * 0.2, y, size * 0.16, 0, Math.PI * 2);
+    ctx.fill();
+  } else {
+    ctx.strokeRect(x - half, y - size * 0.375, size, size * 0.75);
+    ctx.strokeRect(x - size * 0.275, y - size * 0.175, size * 0.55, size * 0.35);
+  }
+  ctx.restore();
+}
 
-  if (style === "checker") {
+/** Paints a resolved theme: background, pattern, outline, then icon, label and size annotations. */
+function drawPlaceholderTheme(ctx, theme, info) {
+  const { width: w, height: h } = info;
+  const paint = (value, fallback) =>
+    value === "name" ? info.color : canvasPaint(ctx, value, w, h, { fallback, label: info.label || "placeholder" });
+
+  if (theme.background === "checker") {
     for (let y = 0; y < h; y += 20) for (let x = 0; x < w; x += 20) {
       ctx.fillStyle = ((x + y) / 20) % 2 === 0 ? "#bdbdbd" : "#e0e0e0";
       ctx.fillRect(x, y, 20, 20);
     }
-  } else if (style === "solid") {
-    ctx.fillStyle = solidColor; ctx.fillRect(0, 0, w, h);
-  } else {
+  } else if (theme.background === "gradient") {
     const g = ctx.createLinearGradient(0, 0, w, h);
     g.addColorStop(0, "#2b2b2b"); g.addColorStop(1, "#515151");
     ctx.fillStyle = g; ctx.fillRect(0, 0, w, h);
+  } else if (theme.background) {
+    ctx.fillStyle = paint(theme.background, "#666666");
+    ctx.fillRect(0, 0, w, h);
   }
 
-  if (borderRadius > 0) { ctx.save(); rr(ctx, 0, 0, w, h, borderRadius); ctx.clip(); }
-
-  ctx.globalAlpha = 0.15;
-  for (let i = -h; i < w; i += 24) {
-    ctx.beginPath(); ctx.moveTo(i, 0); ctx.lineTo(i + h, h);
-    ctx.lineWidth = 2; ctx.strokeStyle = "#fff"; ctx.stroke();
+  ctx.globalAlpha = n(theme.pattern_opacity, 0.15);
+  ctx.strokeStyle = paint(theme.pattern_color, "#FFFFFF");
+  ctx.lineWidth = 2;
+  if (theme.pattern === "stripes") {
+    for (let i = -h; i < w; i += 24) {
+      ctx.beginPath(); ctx.moveTo(i, 0); ctx.lineTo(i + h, h); ctx.stroke();
+    }
+  } else if (theme.pattern === "cross") {
+    ctx.beginPath();
+    ctx.moveTo(0, 0); ctx.lineTo(w, h);
+    ctx.moveTo(w, 0); ctx.lineTo(0, h);
+    ctx.stroke();
   }
   ctx.globalAlpha = 1.0;
 
-  if (label?.show) {
+  if (theme.outline) {
+    ctx.strokeStyle = paint(theme.outline, "#333333");
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, w - 2, h - 2);
+  }
+
+  // Stack icon, label and "W×H · ratio" around the centre, dropping what does not fit.
+  const px = Math.max(14, Math.floor(Math.min(w, h) * 0.12));
+  const metaPx = Math.max(10, Math.round(px * 0.6));
+  const gap = Math.round(px * 0.3);
+  const meta = [theme.dimensions && `${w}×${h}`, theme.aspect_ratio && aspectRatioLabel(w, h)].filter(Boolean).join(" · ");
+  const fontOf = (row) => `${row.kind === "label" ? "bold " : ""}${row.size}px ${theme.font || "Arial"}`;
+  // Text rows shrink to fit the width; the label keeps at least 8px, annotations are dropped instead.
+  const fitWidth = (row) => {
+    if (row.kind === "icon") return row;
+    const text = row.kind === "label" ? info.label : meta;
+    ctx.font = fontOf(row);
+    const textWidth = ctx.measureText(text).width;
+    if (textWidth <= w * 0.9) return row;
+    const size = Math.floor((row.size * w * 0.9) / textWidth);
+    if (row.kind === "meta" && size < 8) return null;
+    return { ...row, size: Math.max(8, size) };
+  };
+  const rows = [
+    theme.icon && { kind: "icon", size: Math.round(px * 1.6) },
+    theme.show_label && info.label && { kind: "label", size: px },
+    meta && { kind: "meta", size: metaPx },
+  ].filter(Boolean).map(fitWidth).filter(Boolean);
+  const stackHeight = () => rows.reduce((sum, row) => sum + row.size, 0) + gap * Math.max(0, rows.length - 1);
+  while (rows.length > 1 && stackHeight() > h * 0.9) {
+    rows.splice(rows.findIndex((row) => row.kind !== "label"), 1);
+  }
+  if (!rows.length) return;
+
+  if (theme.band) {
+    const bandHeight = Math.max(44, stackHeight() + 16);
     ctx.fillStyle = "rgba(0,0,0,.5)";
-    ctx.fillRect(0, h / 2 - 22, w, 44);
-    ctx.fillStyle = "#ffffff";
-    const px = Math.max(14, Math.floor(Math.min(w, h) * 0.12));
-    ctx.font = `bold ${px}px Arial`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(label?.text || "Image", w / 2, h / 2);
+    ctx.fillRect(0, h / 2 - bandHeight / 2, w, bandHeight);
+  }
+  const textColor = paint(theme.text_color, "#FFFFFF");
+  let y = h / 2 - stackHeight() / 2;
+  for (const row of rows) {
+    const centre = y + row.size / 2;
+    if (row.kind === "icon") {
+      drawPlaceholderIcon(ctx, placeholderIconKind(info.type), w / 2, centre, row.size, theme.icon_color ? paint(theme.icon_color, textColor) : textColor);
+    } else {
+      ctx.fillStyle = textColor;
+      ctx.font = fontOf(row);
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(row.kind === "label" ? info.label : meta, w / 2, centre);
+    }
+    y += row.size + gap;
+  }
+}
+
+/**
+ * Writes a placeholder PNG. `theme` is a theme name or object (see
+ * `resolvePlaceholderTheme`); a theme with a `draw(ctx, info)` function paints the
+ * whole placeholder itself.
+ */
+async function genPlaceholderPNG({
+  outPath, width, height, theme = "gradient", themes = {},
+  label = { show: true, text: "Image" }, borderRadius = 12, name, type = "image",
+}) {
+  const w = Math.max(1, Math.floor(width));
+  const h = Math.max(1, Math.floor(height));
+  const c = createCanvas(w, h);
+  const ctx = c.getContext("2d");
+  const resolved = resolvePlaceholderTheme(theme, themes);
+  const info = {
+    width: w,
+    height: h,
+    name: name || label?.text || "placeholder",
+    type,
+    label: label?.show === false ? "" : label?.text || "Image",
+    color: resolved.color || placeholderColor(name || label?.text),
+    dimensions: `${w}×${h}`,
+    aspectRatio: aspectRatioLabel(w, h),
+  };
+
+  if (borderRadius > 0) { ctx.save(); rr(ctx, 0, 0, w, h, borderRadius); ctx.clip(); }
+
+  if (typeof resolved.draw === "function") {
+    await resolved.draw(ctx, info);
+  } else {
+    drawPlaceholderTheme(ctx, resolved, info);
   }
 
   if (borderRadius > 0) ctx.restore();
@@ -101,7 +372,7 @@ const alignMap = {
   center: "center",
   middle: "center",
   right: "right",
-  justify: "center",
+  justify: "justify",
 };
 
 const verticalAlignMap = {
@@ -128,20 +399,28 @@ const weightMap = {
   heavy: "900",
 };
 
+const containerTypes = new Set(["border", "panel", "rectangle", "box"]);
+const textTypes = new Set(["text", "textblock", "richtextblock"]);
+const inputTypes = new Set(["button", "editabletextbox", "textbox", "input", "textfield", "textarea"]);
+const imageTypes = new Set(["image", "texture", "brush"]);
+const layoutPanelTypes = new Set(["horizontalbox", "verticalbox", "overlay", "gridpanel", "uniformgridpanel", "wrapbox", "scrollbox"]);
+const panelTypes = new Set([...layoutPanelTypes, "canvaspanel"]);
+const comboBoxTypes = new Set(["combobox", "comboboxstring", "comboboxkey"]);
+// Widgets with their own renderers; a ScrollBox is also a layout panel.
+const widgetTypes = new Set([
+  "progressbar", "slider", "checkbox", ...comboBoxTypes, "spinbox", "scrollbox", "spacer", "throbber", "circularthrobber",
+]);
+const elementTypeOf = (element) => (element?.type || "").toString().toLowerCase();
+
 const defaultFontFamily = "Arial";
 const defaultBorderBackground = "#1A1A1A";
 const defaultBorderStroke = "#333333";
+const defaultWidgetAccent = "#2F80ED";
 
-async function downloadToFile(url, destPath) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
-  }
-
-  const arrayBuffer = await response.arrayBuffer();
-  ensureDir(path.dirname(destPath));
-  fs.writeFileSync(destPath, Buffer.from(arrayBuffer));
-  return destPath;
+/** Local path for an image source; remote sources go through `assetCache` when there is one. */
+async function imageSourcePath(source, baseDir, assetCache) {
+  if (!isHttp(source)) return path.resolve(baseDir || process.cwd(), source);
+  return assetCache ? assetCache.fetch(source) : source;
 }
 
 function copyLocalFile(src, dest) {
@@ -151,18 +430,142 @@ function copyLocalFile(src, dest) {
   return dest;
 }
 
-function computeBounds(elements, margin = 64) {
+const isElementObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Returns every element of the layout, including element objects nested
+ * inside `children` arrays (depth-first, parents before their children).
+ */
+function flattenElements(elements) {
+  const result = [];
+  const seen = new Set();
+  const visit = (element) => {
+    if (!isElementObject(element) || seen.has(element)) return;
+    seen.add(element);
+    result.push(element);
+    for (const child of toArray(element.children)) {
+      if (isElementObject(child)) visit(child);
+    }
+  };
+  for (const element of elements || []) visit(element);
+  return result;
+}
+
+const zOrderOf = (element) => n(element?.z_order, n(element?.zOrder, 0));
+
+/**
+ * Builds the widget tree from `children` references. Entries can be element
+ * names or nested element objects. Throws on cycles; unknown names and
+ * elements claimed by more than one parent are reported as warnings.
+ */
+function buildElementTree(elements) {
+  const all = flattenElements(elements);
+  const warnings = [];
+  const byName = new Map();
+  all.forEach((element) => {
+    if (!element.name) return;
+    if (byName.has(element.name)) {
+      warnings.push(`Duplicate element name "${element.name}"; children references resolve to the first one`);
+      return;
+    }
+    byName.set(element.name, element);
+  });
+
+  const childMap = new Map();
+  const parentOf = new Map();
+  for (const element of all) {
+    const resolved = [];
+    for (const child of toArray(element.children)) {
+      const target = isElementObject(child) ? child : byName.get(String(child));
+      const label = element.name || element.type || "element";
+      if (!target) {
+        warnings.push(`Element "${label}" references missing child "${child}"`);
+        continue;
+      }
+      if (target === element) {
+        throw new Error(`Cycle detected in children hierarchy: ${label} → ${label}`);
+      }
+      if (resolved.includes(target)) continue;
+      if (parentOf.has(target)) {
+        const owner = parentOf.get(target);
+        warnings.push(`Element "${target.name || target.type}" is already a child of "${owner.name || owner.type}"; ignoring it under "${label}"`);
+        continue;
+      }
+      parentOf.set(target, element);
+      resolved.push(target);
+    }
+    childMap.set(element, resolved);
+  }
+
+  const state = new Map();
+  const stack = [];
+  const visit = (element) => {
+    if (state.get(element) === "done") return;
+    if (state.get(element) === "active") {
+      const start = stack.indexOf(element);
+      const names = stack.slice(start).concat(element).map((item) => item.name || item.type || "element");
+      throw new Error(`Cycle detected in children hierarchy: ${names.join(" → ")}`);
+    }
+    state.set(element, "active");
+    stack.push(element);
+    for (const child of childMap.get(element) || []) visit(child);
+    stack.pop();
+    state.set(element, "done");
+  };
+  all.forEach(visit);
+
+  const toNode = (element) => ({
+    element,
+    children: (childMap.get(element) || []).map(toNode),
+  });
+
+  const roots = all.filter((element) => !parentOf.has(element)).map(toNode);
+  return { roots, elements: all, warnings };
+}
+
+const sortByZOrder = (nodes, indexOf) =>
+  nodes
+    .map((node) => ({ node, index: indexOf(node.element) }))
+    .sort((a, b) => {
+      const aZ = zOrderOf(a.node.element);
+      const bZ = zOrderOf(b.node.element);
+      if (aZ !== bZ) return aZ - bZ;
+      return a.index - b.index;
+    })
+    .map((entry) => entry.node);
+
+/**
+ * Canvas bounds covering every element plus `extraFrames`. Elements with an
+ * entry in `transforms` (see renderTransformMatrices) count with their
+ * transformed extents.
+ */
+function computeBounds(elements, margin = 64, extraFrames = [], transforms = new Map()) {
   let minX = Infinity;
   let minY = Infinity;
   let maxX = -Infinity;
   let maxY = -Infinity;
   let hasGeometry = false;
 
-  for (const element of elements || []) {
-    const x = n(element?.position?.x, 0);
-    const y = n(element?.position?.y, 0);
-    const w = n(element?.size?.width, 0);
-    const h = n(element?.size?.height, 0);
+  const frames = [
+    ...(elements || []).map((element) => {
+      const frame = {
+        x: n(element?.position?.x, 0),
+        y: n(element?.position?.y, 0),
+        width: n(element?.size?.width, 0),
+        height: n(element?.size?.height, 0),
+      };
+      const matrix = transforms.get(element);
+      if (!matrix) return frame;
+      const extents = transformedExtents(matrix, frame.x, frame.y, frame.width, frame.height);
+      const left = Math.floor(extents.left);
+      const top = Math.floor(extents.top);
+      return { x: left, y: top, width: Math.ceil(extents.right) - left, height: Math.ceil(extents.bottom) - top };
+    }),
+    ...extraFrames,
+  ];
+
+  for (const frame of frames) {
+    const { x, y, width: w, height: h } = frame;
 
     if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
 
@@ -201,46 +604,156 @@ async function ensureImageAssets(elements, {
   assetsDir,
   placeholderStyle = "gradient",
   placeholderLabel,
+  placeholderThemes: themes = {},
+  assetCache,
 }) {
   ensureDir(assetsDir);
   const placeholderDir = path.join(assetsDir, "placeholders");
   ensureDir(placeholderDir);
 
   const cloned = JSON.parse(JSON.stringify(elements || []));
+  const allElements = flattenElements(cloned);
   const generated = [];
 
-  for (let idx = 0; idx < cloned.length; idx += 1) {
-    const element = cloned[idx];
+  // An element's `placeholder` block (a theme name, or theme overrides plus `label`) beats the global style and label.
+  const makePlaceholder = async ({ name, width, height, label, borderRadius, element, type }) => {
+    const block = typeof element?.placeholder === "string" ? { theme: element.placeholder } : element?.placeholder;
+    const { label: ownLabel, ...overrides } = isElementObject(block) ? block : {};
+    const placeholderPath = path.join(placeholderDir, `${name}.png`);
+    await genPlaceholderPNG({
+      outPath: placeholderPath,
+      width,
+      height,
+      theme: { ...overrides, theme: overrides.theme ?? placeholderStyle },
+      themes,
+      label: {
+        show: ownLabel !== false,
+        text: typeof ownLabel === "string" ? ownLabel : placeholderLabel || label,
+      },
+      borderRadius,
+      name: element?.name || label,
+      type: type || element?.type,
+    });
+    return placeholderPath;
+  };
+
+  // A remote image is missing when the cache cannot provide it: offline without a copy, a failed download, not an image or too large.
+  const isMissing = async (source) => {
+    if (!isHttp(source)) return !fs.existsSync(path.resolve(jsonDir, source));
+    if (!assetCache) return false;
+    try {
+      await assetCache.fetch(source);
+      return false;
+    } catch (err) {
+      console.warn(`⚠️  ${err.message}; using a placeholder`);
+      return true;
+    }
+  };
+
+  for (let idx = 0; idx < allElements.length; idx += 1) {
+    const element = allElements[idx];
     if (!element || typeof element !== "object") continue;
-    if (!/^image$/i.test(element.type || "")) continue;
 
-    const width = Math.max(1, Math.round(n(element?.size?.width, 256)));
-    const height = Math.max(1, Math.round(n(element?.size?.height, 256)));
-    const currentSource = (element.image_source || element.imageSource || "").toString().trim();
+    const background = backgroundBrushOf(element);
+    if (background && await isMissing(background.source)) {
+      const placeholderPath = await makePlaceholder({
+        name: `${sanitizeFilename(element.name, `element-${idx + 1}`)}-background`,
+        width: Math.max(1, Math.round(n(element?.size?.width, 256))),
+        height: Math.max(1, Math.round(n(element?.size?.height, 256))),
+        label: `${element.name || "Border"} Background`,
+        borderRadius: 0,
+        element,
+      });
+      const relative = path.relative(jsonDir, placeholderPath).replace(/\\/g, "/");
+      if (typeof element[background.key] === "string") {
+        element[background.key] = relative;
+      } else {
+        element[background.key].image_source = relative;
+        delete element[background.key].imageSource;
+      }
+      generated.push({
+        element: element.name || `Element${idx + 1}`,
+        placeholderPath,
+      });
+    }
 
-    let finalSource = currentSource;
-    let needsPlaceholder = !finalSource;
+    for (const state of declaredStates(element)) {
+      const stateBackground = backgroundBrushOf(state.overrides);
+      if (!stateBackground || !(await isMissing(stateBackground.source))) continue;
+      const placeholderPath = await makePlaceholder({
+        name: `${sanitizeFilename(element.name, `element-${idx + 1}`)}-${sanitizeFilename(state.key, "state")}-background`,
+        width: Math.max(1, Math.round(n(element?.size?.width, 256))),
+        height: Math.max(1, Math.round(n(element?.size?.height, 256))),
+        label: `${element.name || element.type} ${stateLabel(state.key)}`,
+        borderRadius: 0,
+        element,
+      });
+      const relative = path.relative(jsonDir, placeholderPath).replace(/\\/g, "/");
+      // A string path lives in `states`; a brush object is shared with the layout, whichever side it came from.
+      const target = state.name !== undefined ? element.states[state.name] : state.overrides;
+      if (typeof state.overrides[stateBackground.key] === "string") {
+        target[stateBackground.key] = relative;
+      } else {
+        state.overrides[stateBackground.key].image_source = relative;
+        delete state.overrides[stateBackground.key].imageSource;
+      }
+      generated.push({
+        element: `${element.name || `Element${idx + 1}`} (${stateLabel(state.key)})`,
+        placeholderPath,
+      });
+    }
 
-    if (!needsPlaceholder && !isHttp(finalSource)) {
-      const abs = path.resolve(jsonDir, finalSource);
-      if (!fs.existsSync(abs)) {
-        needsPlaceholder = true;
+    if (isRichText(element)) {
+      const { inlineImages } = richTextStyleSet(element, jsonDir);
+      const markup = (element.content ?? element.text ?? "").toString();
+      const ids = new Set(parseRichText(markup).filter((segment) => segment.type === "image" && segment.id).map((segment) => segment.id));
+      for (const id of ids) {
+        const entry = inlineImageEntry(lookupRow(inlineImages, id));
+        if (entry?.source && !(await isMissing(entry.source))) continue;
+        const height = Math.max(1, Math.round(n(entry?.height, n(element.font?.size, 24))));
+        const placeholderPath = await makePlaceholder({
+          name: `${sanitizeFilename(element.name, `richtext-${idx + 1}`)}-${sanitizeFilename(id, "image")}`,
+          width: Math.max(1, Math.round(n(entry?.width, height))),
+          height,
+          label: id,
+          borderRadius: 0,
+          element,
+          type: "image",
+        });
+        const { imageSource, ...rest } = entry?.raw || {};
+        element.inline_images = {
+          ...(isElementObject(element.inline_images) ? element.inline_images : {}),
+          [id]: { ...rest, image_source: path.relative(jsonDir, placeholderPath).replace(/\\/g, "/") },
+        };
+        generated.push({
+          element: element.name || `RichText${idx + 1}`,
+          placeholderPath,
+        });
       }
     }
 
+    if (!/^image$/i.test(element.type || "")) continue;
+
+    // A tiled brush repeats its image_size, so the placeholder only needs to be one tile.
+    const brush = readBrush(element, element.brush);
+    const tileSize = brush.tiling !== "none" && brush.imageSize?.x > 0 && brush.imageSize?.y > 0 ? brush.imageSize : null;
+    const width = Math.max(1, Math.round(tileSize ? tileSize.x : n(element?.size?.width, 256)));
+    const height = Math.max(1, Math.round(tileSize ? tileSize.y : n(element?.size?.height, 256)));
+    // A UMG-style brush may carry the image instead of the element.
+    const brushSource = isElementObject(element.brush) ? pick(element.brush, "image_source", "imageSource") : undefined;
+    const currentSource = (element.image_source || element.imageSource || brushSource || "").toString().trim();
+
+    let finalSource = currentSource;
+    const needsPlaceholder = !finalSource || await isMissing(finalSource);
+
     if (needsPlaceholder) {
-      const name = sanitizeFilename(element.name, `image-${idx + 1}`);
-      const placeholderPath = path.join(placeholderDir, `${name}.png`);
-      await genPlaceholderPNG({
-        outPath: placeholderPath,
+      const placeholderPath = await makePlaceholder({
+        name: sanitizeFilename(element.name, `image-${idx + 1}`),
         width,
         height,
-        style: placeholderStyle,
-        label: {
-          show: true,
-          text: placeholderLabel || element.name || "Image",
-        },
-        borderRadius: n(element.border_radius, n(element.corner_radius, 0)),
+        label: element.name || "Image",
+        borderRadius: tileSize ? 0 : n(element.border_radius, n(element.corner_radius, 0)),
+        element,
       });
 
       finalSource = path.relative(jsonDir, placeholderPath).replace(/\\/g, "/");
@@ -252,15 +765,14 @@ async function ensureImageAssets(elements, {
 
     element.image_source = finalSource;
     element.imageSource = finalSource;
+    if (brushSource !== undefined) {
+      element.brush.image_source = finalSource;
+      delete element.brush.imageSource;
+    }
 
     // Auto-populate missing size using actual image when possible.
-    const sourceForProbe = finalSource;
-    const absolute = isHttp(sourceForProbe)
-      ? sourceForProbe
-      : path.resolve(jsonDir, sourceForProbe);
-
     try {
-      const img = await loadImage(absolute);
+      const img = await loadImage(await imageSourcePath(finalSource, jsonDir, assetCache));
       if (img) {
         element.size = element.size || {};
         if (!element.size.width) element.size.width = img.width;
@@ -298,13 +810,16 @@ async function prepareImageAssetForJson({
   imagePath,
   assetsDir,
   jsonDir,
+  assetCache,
 }) {
   const remote = isHttp(imagePath);
   let sourceForLoad = imagePath;
   let finalImageReference = imagePath;
   let copiedAssetPath = null;
 
-  if (!remote) {
+  if (remote) {
+    sourceForLoad = await assetCache.fetch(imagePath);
+  } else {
     const resolved = path.resolve(imagePath);
     if (!fs.existsSync(resolved)) {
       throw new Error(`Image file not found: ${resolved}`);
@@ -326,14 +841,10 @@ async function prepareImageAssetForJson({
     })();
 
     const safeName = sanitizeFilename(parsedName.name, "image");
-    const extension = parsedName.ext || ".png";
+    const extension = parsedName.ext || path.extname(sourceForLoad) || ".png";
     const destPath = path.join(path.resolve(assetsDir), `${safeName}${extension}`);
 
-    if (remote) {
-      await downloadToFile(imagePath, destPath);
-    } else {
-      copyLocalFile(sourceForLoad, destPath);
-    }
+    copyLocalFile(sourceForLoad, destPath);
 
     copiedAssetPath = destPath;
     sourceForLoad = destPath;
@@ -349,373 +860,5594 @@ async function prepareImageAssetForJson({
   };
 }
 
-async function generateJsonFromImage({
-  imagePath,
-  outputJsonPath,
-  assetsDir,
-  includeBorder = true,
-  margin = 24,
-  position = { x: 0, y: 0 },
-  borderRadius = 0,
-  backgroundColor = defaultBorderBackground,
-  borderColor = defaultBorderStroke,
-  containerName,
-  imageName,
-}) {
-  if (!imagePath) {
-    throw new Error("imagePath is required to generate JSON");
-  }
-
-  const resolvedJsonPath = resolveOutputJsonPath({ imagePath, outputJsonPath });
-  ensureDir(path.dirname(resolvedJsonPath));
-
-  const jsonDir = path.dirname(resolvedJsonPath);
-  const assetPreparation = await prepareImageAssetForJson({
-    imagePath,
-    assetsDir,
-    jsonDir,
-  });
-
-  const image = await loadImage(assetPreparation.sourceForLoad);
-  const width = Math.max(1, Math.round(image.width));
-  const height = Math.max(1, Math.round(image.height));
-
-  const parsedForNaming = (() => {
-    if (imageName) return { name: imageName };
-    if (isHttp(imagePath)) {
-      try {
-        const remoteParsed = path.parse(new URL(imagePath).pathname);
-        return remoteParsed.name ? remoteParsed : { name: "image" };
-      } catch (_err) {
-        return { name: "image" };
-      }
-    }
-    return path.parse(path.resolve(imagePath));
-  })();
-
-  const safeImageName = imageName || sanitizeFilename(parsedForNaming.name, "image");
-  const safeContainerName = containerName || `${safeImageName}-container`;
-
-  const marginValue = Math.max(0, Math.round(margin ?? 0));
-  const posX = Math.round(n(position?.x, 0));
-  const posY = Math.round(n(position?.y, 0));
-
-  const elements = [];
-  if (includeBorder) {
-    elements.push({
-      type: "Border",
-      name: safeContainerName,
-      position: { x: posX, y: posY },
-      size: {
-        width: width + marginValue * 2,
-        height: height + marginValue * 2,
-      },
-      color: {
-        background: backgroundColor,
-        border: borderColor,
-      },
-      border_radius: borderRadius,
-      z_order: 0,
-      children: [safeImageName],
-    });
-  }
-
-  elements.push({
-    type: "Image",
-    name: safeImageName,
-    position: {
-      x: posX + (includeBorder ? marginValue : 0),
-      y: posY + (includeBorder ? marginValue : 0),
-    },
-    size: { width, height },
-    image_source: assetPreparation.finalImageReference,
-    imageSource: assetPreparation.finalImageReference,
-    z_order: includeBorder ? 1 : 0,
-  });
-
-  writeJson(resolvedJsonPath, elements);
+// Screenshot region detection for imageToJson. Everything runs locally on a downscaled copy of the image.
+const regionAnalysisSize = 400;
 
+/** RGBA pixels of `image`, scaled so its long side is at most `maxSide`. */
+function analysisPixels(image, maxSide = regionAnalysisSize) {
+  const factor = Math.min(1, maxSide / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * factor));
+  const height = Math.max(1, Math.round(image.height * factor));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
   return {
-    jsonPath: resolvedJsonPath,
+    data: ctx.getImageData(0, 0, width, height).data,
     width,
     height,
-    elements: elements.length,
-    includeBorder,
-    imageReference: assetPreparation.finalImageReference,
-    copiedAssetPath: assetPreparation.copiedAssetPath,
+    scaleX: image.width / width,
+    scaleY: image.height / height,
   };
 }
 
-function buildLayerFrame(element, offsetX, offsetY) {
-  const type = (element?.type || "").toString().toLowerCase();
-  const textLength = ((element?.content ?? element?.text ?? "").toString() || "").length;
-  const fontSize = Math.max(1, Math.round(n(element?.font?.size, 24)));
-
-  let fallbackWidth = 256;
-  let fallbackHeight = 256;
+/**
+ * Detection thresholds for a sensitivity from 0 (few, large regions) to 1 (many, small ones).
+ * Areas are in analysis pixels.
+ */
+function regionSettings(sensitivity, area) {
+  const s = clamp01(n(sensitivity, 0.5));
+  return {
+    tolerance: Math.round(24 - 18 * s),
+    minPanelArea: area * (0.02 - 0.018 * s),
+    minContentArea: Math.max(4, area * (0.002 - 0.0018 * s)),
+    gap: Math.round(10 - 7 * s),
+  };
+}
 
-  if (type === "text" || type === "textblock" || type === "richtextblock") {
-    fallbackWidth = Math.max(128, Math.min(1400, textLength * Math.max(12, Math.round(fontSize * 0.6))));
-    fallbackHeight = Math.max(48, Math.round(fontSize * 1.6));
-  } else if (type === "image" || type === "texture" || type === "brush") {
-    fallbackWidth = Math.max(128, Math.round(n(element?.preferred_width, 256)));
-    fallbackHeight = Math.max(128, Math.round(n(element?.preferred_height, 256)));
-  }
+const newBox = (id) => ({ id, count: 0, minX: Infinity, minY: Infinity, maxX: -1, maxY: -1 });
 
-  const width = Math.max(1, Math.round(n(element?.size?.width, fallbackWidth)));
-  const height = Math.max(1, Math.round(n(element?.size?.height, fallbackHeight)));
-  if (width <= 0 || height <= 0) return null;
+const growBox = (box, x, y) => {
+  box.count += 1;
+  if (x < box.minX) box.minX = x;
+  if (y < box.minY) box.minY = y;
+  if (x > box.maxX) box.maxX = x;
+  if (y > box.maxY) box.maxY = y;
+};
 
-  const left = Math.round(n(element?.position?.x, 0) + offsetX);
-  const top = Math.round(n(element?.position?.y, 0) + offsetY);
+const boxWidth = (box) => box.maxX - box.minX + 1;
+const boxHeight = (box) => box.maxY - box.minY + 1;
+const boxArea = (box) => boxWidth(box) * boxHeight(box);
 
-  return {
-    width,
-    height,
-    left,
-    top,
-    right: left + width,
-    bottom: top + height,
-  };
+function boxOverlap(a, b) {
+  const width = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX) + 1;
+  const height = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY) + 1;
+  if (width <= 0 || height <= 0) return 0;
+  return (width * height) / (boxArea(a) + boxArea(b) - width * height);
 }
 
-function renderBorderLayer(element, frame) {
-  const radius = n(element.border_radius, n(element.corner_radius, 0));
-  const strokeWidth = n(element.border_width, n(element.stroke_width, 0));
-  const background = element.color?.background || element.background || null;
-  const borderColor = element.color?.border || element.border_color || null;
+const boxContains = (outer, inner, slack = 1) =>
+  inner.minX >= outer.minX - slack && inner.minY >= outer.minY - slack && inner.maxX <= outer.maxX + slack && inner.maxY <= outer.maxY + slack;
 
-  const canvas = createCanvas(frame.width, frame.height);
-  const ctx = canvas.getContext("2d");
+/**
+ * Flood-fills 4-connected regions whose pixels stay within `tolerance` of the
+ * region's running mean colour, so an anti-aliased seed pixel does not decide the
+ * whole region. Returns a label per pixel and each region's bounds and colour sums.
+ */
+function segmentColors({ data, width, height }, tolerance) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const stack = new Int32Array(width * height);
+  const regions = [];
+  for (let start = 0; start < labels.length; start += 1) {
+    if (labels[start] !== -1) continue;
+    const region = { ...newBox(regions.length), sum: [0, 0, 0, 0] };
+    regions.push(region);
+    labels[start] = region.id;
+    let top = 0;
+    stack[top++] = start;
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      growBox(region, x, y);
+      for (let channel = 0; channel < 4; channel += 1) region.sum[channel] += data[index * 4 + channel];
+      const neighbours = [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, y > 0 ? index - width : -1, y < height - 1 ? index + width : -1];
+      for (const next of neighbours) {
+        if (next < 0 || labels[next] !== -1) continue;
+        let distance = 0;
+        for (let channel = 0; channel < 4; channel += 1) {
+          distance = Math.max(distance, Math.abs(data[next * 4 + channel] - region.sum[channel] / region.count));
+        }
+        if (distance > tolerance) continue;
+        labels[next] = region.id;
+        stack[top++] = next;
+      }
+    }
+  }
+  return { labels, regions };
+}
 
-  if (background) {
-    ctx.save();
-    if (radius > 0) {
-      rr(ctx, 0, 0, frame.width, frame.height, radius);
-      ctx.clip();
+/** 8-connected components of a 0/1 mask, with their bounds. */
+function maskComponents(mask, width, height) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const stack = new Int32Array(width * height);
+  const boxes = [];
+  for (let start = 0; start < labels.length; start += 1) {
+    if (!mask[start] || labels[start] !== -1) continue;
+    const box = newBox(boxes.length);
+    boxes.push(box);
+    labels[start] = box.id;
+    let top = 0;
+    stack[top++] = start;
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      growBox(box, x, y);
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dx = -1; dx <= 1; dx += 1) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const next = ny * width + nx;
+          if (!mask[next] || labels[next] !== -1) continue;
+          labels[next] = box.id;
+          stack[top++] = next;
+        }
+      }
     }
-    ctx.fillStyle = background;
-    ctx.fillRect(0, 0, frame.width, frame.height);
-    if (radius > 0) ctx.restore();
   }
+  return { labels, boxes };
+}
 
-  if (borderColor && strokeWidth > 0) {
-    ctx.save();
-    rr(ctx, strokeWidth / 2, strokeWidth / 2, frame.width - strokeWidth, frame.height - strokeWidth, Math.max(0, radius - strokeWidth / 2));
-    ctx.lineWidth = strokeWidth;
-    ctx.strokeStyle = borderColor;
-    ctx.stroke();
-    ctx.restore();
+/** Grows a 0/1 mask by `radius` pixels (a square dilation), so nearby glyphs and icons merge. */
+function dilateMask(mask, width, height, radius) {
+  if (radius <= 0) return mask;
+  const prefix = new Int32Array(Math.max(width, height) + 1);
+  const rows = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) prefix[x + 1] = prefix[x] + mask[y * width + x];
+    for (let x = 0; x < width; x += 1) {
+      rows[y * width + x] = prefix[Math.min(width, x + radius + 1)] > prefix[Math.max(0, x - radius)] ? 1 : 0;
+    }
+  }
+  const result = new Uint8Array(mask.length);
+  for (let x = 0; x < width; x += 1) {
+    for (let y = 0; y < height; y += 1) prefix[y + 1] = prefix[y] + rows[y * width + x];
+    for (let y = 0; y < height; y += 1) {
+      result[y * width + x] = prefix[Math.min(height, y + radius + 1)] > prefix[Math.max(0, y - radius)] ? 1 : 0;
+    }
   }
+  return result;
+}
 
-  return {
-    name: element.name || element.type || "Border",
-    canvas,
-    top: frame.top,
-    left: frame.left,
-    right: frame.right,
-    bottom: frame.bottom,
-    opacity: Math.round(Math.min(1, Math.max(0, n(element.opacity, 1))) * 255),
+/**
+ * Fraction of a box's outline where `hit(x, y)` holds within `depth` pixels inward.
+ * The outer 15% of each side is skipped so rounded corners still count as rectangles.
+ */
+function outlineCoverage(box, hit, depth = 2) {
+  const skipX = Math.floor(boxWidth(box) * 0.15);
+  const skipY = Math.floor(boxHeight(box) * 0.15);
+  let total = 0;
+  let covered = 0;
+  const probe = (x, y, dx, dy) => {
+    total += 1;
+    for (let step = 0; step <= depth; step += 1) {
+      if (hit(x + dx * step, y + dy * step)) {
+        covered += 1;
+        return;
+      }
+    }
   };
+  for (let x = box.minX + skipX; x <= box.maxX - skipX; x += 1) {
+    probe(x, box.minY, 0, 1);
+    probe(x, box.maxY, 0, -1);
+  }
+  for (let y = box.minY + skipY; y <= box.maxY - skipY; y += 1) {
+    probe(box.minX, y, 1, 0);
+    probe(box.maxX, y, -1, 0);
+  }
+  return total ? covered / total : 0;
 }
 
-async function renderImageLayer(element, frame, baseDir) {
-  const source = element.image_source || element.imageSource;
-  if (!source) return null;
+/** Corner radius from how far each corner's diagonal runs before reaching the region. */
+function estimateCornerRadius(box, hit) {
+  const limit = Math.floor(Math.min(boxWidth(box), boxHeight(box)) / 2);
+  const corners = [
+    [box.minX, box.minY, 1, 1],
+    [box.maxX, box.minY, -1, 1],
+    [box.minX, box.maxY, 1, -1],
+    [box.maxX, box.maxY, -1, -1],
+  ];
+  const steps = corners.map(([x, y, dx, dy]) => {
+    let step = 0;
+    while (step < limit && !hit(x + dx * step, y + dy * step)) step += 1;
+    return step;
+  });
+  const inset = steps.reduce((sum, step) => sum + step, 0) / corners.length;
+  // A quarter circle of radius r leaves r·(1 − 1/√2) of its diagonal outside the arc.
+  const radius = Math.round(inset / (1 - Math.SQRT1_2));
+  return radius >= 2 ? Math.min(limit, radius) : 0;
+}
 
-  const absolute = isHttp(source) ? source : path.resolve(baseDir, source);
-  let image;
-  try {
-    image = await loadImage(absolute);
-  } catch (err) {
-    console.warn(`⚠️  Failed to load image "${source}": ${err.message}`);
-    return null;
+/** Mean colour of row `y` across the middle half of a box. */
+function rowColor({ data, width }, box, y) {
+  const sum = [0, 0, 0, 0];
+  let count = 0;
+  const from = box.minX + Math.floor(boxWidth(box) / 4);
+  const to = box.maxX - Math.floor(boxWidth(box) / 4);
+  for (let x = from; x <= to; x += 1) {
+    const index = (y * width + x) * 4;
+    for (let channel = 0; channel < 4; channel += 1) sum[channel] += data[index + channel];
+    count += 1;
   }
+  return { r: sum[0] / count, g: sum[1] / count, b: sum[2] / count, a: sum[3] / count / 255 };
+}
 
-  const canvas = createCanvas(frame.width, frame.height);
-  const ctx = canvas.getContext("2d");
-  const radius = n(element.border_radius, n(element.corner_radius, 0));
+/**
+ * Finds UI regions in analysis pixels:
+ * - flat-colour panels: large colour regions whose outline is a (rounded) rectangle;
+ * - strokes: thin regions hugging a panel on all sides, which widen it and give it an outline;
+ * - content: what is left (text, icons, photos), merged across small gaps.
+ * Boxes are in analysis pixels.
+ */
+function detectRegions(pixels, sensitivity) {
+  const { width, height } = pixels;
+  const settings = regionSettings(sensitivity, width * height);
+  const { labels, regions } = segmentColors(pixels, settings.tolerance);
+  const labelAt = (x, y) => (x >= 0 && y >= 0 && x < width && y < height ? labels[y * width + x] : -1);
+  const meanColor = (region) => ({
+    r: region.sum[0] / region.count,
+    g: region.sum[1] / region.count,
+    b: region.sum[2] / region.count,
+    a: region.sum[3] / region.count / 255,
+  });
 
-  if (radius > 0) {
-    ctx.save();
-    rr(ctx, 0, 0, frame.width, frame.height, radius);
-    ctx.clip();
+  // The background is the region touching most of the image's edge.
+  const edgeCounts = new Map();
+  for (let x = 0; x < width; x += 1) {
+    [labelAt(x, 0), labelAt(x, height - 1)].forEach((label) => edgeCounts.set(label, (edgeCounts.get(label) || 0) + 1));
+  }
+  for (let y = 0; y < height; y += 1) {
+    [labelAt(0, y), labelAt(width - 1, y)].forEach((label) => edgeCounts.set(label, (edgeCounts.get(label) || 0) + 1));
+  }
+  const backgroundId = [...edgeCounts].sort((a, b) => b[1] - a[1])[0][0];
+
+  const panels = [];
+  for (const region of regions) {
+    if (region.id === backgroundId || region.count < settings.minPanelArea) continue;
+    if (boxArea(region) >= width * height * 0.95 || boxWidth(region) < 4 || boxHeight(region) < 4) continue;
+    const hit = (x, y) => labelAt(x, y) === region.id;
+    if (outlineCoverage(region, hit) < 0.8) continue;
+    panels.push({ box: region, fill: meanColor(region), radius: estimateCornerRadius(region, hit), label: region.id });
   }
 
-  ctx.drawImage(image, 0, 0, frame.width, frame.height);
-
-  if (radius > 0) ctx.restore();
+  // Thin colour regions hugging a panel on all sides are its stroke.
+  const maxStroke = 6;
+  const thin = (label) => label >= 0 && label !== backgroundId && Math.min(boxWidth(regions[label]), boxHeight(regions[label])) <= maxStroke;
+  for (const panel of panels) {
+    const { box } = panel;
+    const samples = [];
+    const probe = (x, y, dx, dy) => {
+      let depth = 0;
+      while (depth < maxStroke && thin(labelAt(x + dx * (depth + 1), y + dy * (depth + 1)))) depth += 1;
+      samples.push(depth);
+    };
+    for (let x = box.minX + Math.floor(boxWidth(box) / 4); x <= box.maxX - Math.floor(boxWidth(box) / 4); x += 1) {
+      probe(x, box.minY, 0, -1);
+      probe(x, box.maxY, 0, 1);
+    }
+    for (let y = box.minY + Math.floor(boxHeight(box) / 4); y <= box.maxY - Math.floor(boxHeight(box) / 4); y += 1) {
+      probe(box.minX, y, -1, 0);
+      probe(box.maxX, y, 1, 0);
+    }
+    const stroked = samples.filter((depth) => depth > 0).sort((a, b) => a - b);
+    if (stroked.length < samples.length * 0.8) continue;
+    const thickness = stroked[Math.floor(stroked.length / 2)];
+    panel.box = { ...box, minX: Math.max(0, box.minX - thickness), minY: Math.max(0, box.minY - thickness), maxX: Math.min(width - 1, box.maxX + thickness), maxY: Math.min(height - 1, box.maxY + thickness) };
+    panel.stroke = rowColor(pixels, panel.box, panel.box.minY);
+    panel.thickness = thickness;
+    panel.radius += panel.radius ? thickness : 0;
+  }
 
-  if (element.color?.border && n(element.border_width, 0) > 0) {
-    const stroke = n(element.border_width, 1);
-    ctx.save();
-    rr(ctx, stroke / 2, stroke / 2, frame.width - stroke, frame.height - stroke, Math.max(0, radius - stroke / 2));
-    ctx.lineWidth = stroke;
-    ctx.strokeStyle = element.color.border;
-    ctx.stroke();
-    ctx.restore();
+  // Content is everything that is neither background nor a panel fill nor a stroke.
+  const chrome = new Set([backgroundId, ...panels.map((panel) => panel.label)]);
+  const mask = new Uint8Array(width * height);
+  for (let index = 0; index < mask.length; index += 1) {
+    if (!chrome.has(labels[index])) mask[index] = 1;
+  }
+  // Strokes, faint outlines and the anti-aliased pixels around rounded corners belong to the panel too.
+  const edge = 2;
+  for (const { box, thickness = 0, radius } of panels) {
+    const band = thickness + edge;
+    for (let y = Math.max(0, box.minY - edge); y <= Math.min(height - 1, box.maxY + edge); y += 1) {
+      for (let x = Math.max(0, box.minX - edge); x <= Math.min(width - 1, box.maxX + edge); x += 1) {
+        const inStroke = x - box.minX < band || box.maxX - x < band || y - box.minY < band || box.maxY - y < band;
+        const dx = Math.max(0, box.minX + radius - x, x - (box.maxX - radius));
+        const dy = Math.max(0, box.minY + radius - y, y - (box.maxY - radius));
+        const outsideCorner = radius > 0 && dx > 0 && dy > 0 && Math.hypot(dx, dy) > radius - thickness - 1.5;
+        if (inStroke || outsideCorner) mask[y * width + x] = 0;
+      }
+    }
+  }
+  const groups = maskComponents(dilateMask(mask, width, height, settings.gap), width, height);
+  const tight = groups.boxes.map((group) => newBox(group.id));
+  for (let index = 0; index < mask.length; index += 1) {
+    if (!mask[index]) continue;
+    const x = index % width;
+    growBox(tight[groups.labels[index]], x, (index - x) / width);
   }
+  const content = tight.filter((box) => box.count >= settings.minContentArea).map((box) => ({ box }));
+
+  return { background: meanColor(regions[backgroundId]), panels, content };
+}
+
+/** Gives each region the smallest panel that contains it as its parent (null for top-level regions). */
+function nestRegions(panels, content) {
+  const nodes = [
+    ...panels.map((panel) => ({ ...panel, kind: "panel" })),
+    ...content.map((region) => ({ ...region, kind: "content" })),
+  ].sort((a, b) => boxArea(b.box) - boxArea(a.box) || (a.kind === "panel" ? -1 : 1));
+  nodes.forEach((node, index) => {
+    node.parent = null;
+    for (let candidate = index - 1; candidate >= 0; candidate -= 1) {
+      if (nodes[candidate].kind === "panel" && boxContains(nodes[candidate].box, node.box)) {
+        node.parent = nodes[candidate];
+        break;
+      }
+    }
+  });
+  return nodes;
+}
+
+/** Crops `frame` (`left`, `top`, `width`, `height`) out of `source` into a PNG and returns its path relative to `jsonDir`. */
+function writeCrop(source, frame, cropPath, jsonDir) {
+  const crop = createCanvas(frame.width, frame.height);
+  crop.getContext("2d").drawImage(source, frame.left, frame.top, frame.width, frame.height, 0, 0, frame.width, frame.height);
+  fs.writeFileSync(cropPath, crop.toBuffer("image/png"));
+  return path.relative(jsonDir, cropPath).replace(/\\/g, "/");
+}
+
+// The whole source image, kept hidden under generated regions or slices for reference.
+const hiddenReferenceImage = (image, name, reference, position, zOrder) => ({
+  type: "Image",
+  name,
+  position,
+  size: { width: image.width, height: image.height },
+  image_source: reference,
+  imageSource: reference,
+  visibility: "Hidden",
+  z_order: zOrder,
+});
+
+/**
+ * Builds nested Border/Image elements for the regions detected in `image`.
+ * Panels become Borders with their fill, outline and corner radius; content
+ * regions become Images cropped into `cropDir`. The full screenshot is kept as a
+ * hidden reference Image at the bottom of the root Border.
+ */
+function regionElements(image, { jsonDir, cropDir, containerName, imageName, imageReference, includeBorder, margin, posX, posY, sensitivity }) {
+  const pixels = analysisPixels(image);
+  const { background, panels, content } = detectRegions(pixels, sensitivity);
+  const nodes = nestRegions(panels, content);
+  const inset = includeBorder ? margin : 0;
+
+  const source = createCanvas(image.width, image.height);
+  source.getContext("2d").drawImage(image, 0, 0);
+  ensureDir(cropDir);
+
+  const frameOf = ({ box }) => {
+    const left = Math.round(box.minX * pixels.scaleX);
+    const top = Math.round(box.minY * pixels.scaleY);
+    return {
+      left,
+      top,
+      width: Math.max(1, Math.round((box.maxX + 1) * pixels.scaleX) - left),
+      height: Math.max(1, Math.round((box.maxY + 1) * pixels.scaleY) - top),
+    };
+  };
+  const hex = (color) => rgbToHex(color, color.a);
+
+  const depthOf = (node) => (node.parent ? depthOf(node.parent) + 1 : 0);
+  const rootDepth = includeBorder ? 1 : 0;
+  let panelCount = 0;
+  let imageCount = 0;
+  const elements = nodes.map((node) => {
+    const frame = frameOf(node);
+    const base = {
+      position: { x: posX + inset + frame.left, y: posY + inset + frame.top },
+      size: { width: frame.width, height: frame.height },
+      z_order: rootDepth + depthOf(node),
+    };
+    if (node.kind === "panel") {
+      panelCount += 1;
+      node.name = `${imageName}-panel-${panelCount}`;
+      return {
+        type: "Border",
+        name: node.name,
+        ...base,
+        color: { background: hex(node.fill), ...(node.stroke ? { border: hex(node.stroke) } : {}) },
+        ...(node.stroke ? { border_width: Math.max(1, Math.round(node.thickness * pixels.scaleX)) } : {}),
+        border_radius: Math.round(node.radius * pixels.scaleX),
+        children: [],
+      };
+    }
+
+    imageCount += 1;
+    node.name = `${imageName}-region-${imageCount}`;
+    const reference = writeCrop(source, frame, path.join(cropDir, `${sanitizeFilename(node.name, "region")}.png`), jsonDir);
+    return { type: "Image", name: node.name, ...base, image_source: reference, imageSource: reference };
+  });
+  nodes.forEach((node) => {
+    if (node.parent) elements[nodes.indexOf(node.parent)].children.push(node.name);
+  });
+  elements.forEach((element) => {
+    if (element.children && !element.children.length) delete element.children;
+  });
+
+  const referenceImage = hiddenReferenceImage(image, imageName, imageReference, { x: posX + inset, y: posY + inset }, rootDepth);
+  const topLevel = nodes.filter((node) => !node.parent).map((node) => node.name);
+  const root = includeBorder
+    ? [{
+      type: "Border",
+      name: containerName,
+      position: { x: posX, y: posY },
+      size: { width: image.width + margin * 2, height: image.height + margin * 2 },
+      color: { background: hex(background) },
+      z_order: 0,
+      children: [imageName, ...topLevel],
+    }]
+    : [];
 
   return {
-    name: element.name || element.type || "Image",
-    canvas,
-    top: frame.top,
-    left: frame.left,
-    right: frame.right,
-    bottom: frame.bottom,
-    opacity: Math.round(Math.min(1, Math.max(0, n(element.opacity, 1))) * 255),
+    elements: [...root, referenceImage, ...elements],
+    regions: { panels: panelCount, images: imageCount },
   };
 }
 
-function registerFontIfProvided(font) {
-  if (!font) return;
-  const paths = toArray(font.paths || font.path || font.file);
-  for (const fontPath of paths) {
-    if (!fontPath) continue;
-    const abs = path.resolve(fontPath);
-    if (!fs.existsSync(abs)) continue;
-    const family = font.family || defaultFontFamily;
-    try {
-      registerFont(abs, { family });
-    } catch (err) {
-      console.warn(`⚠️  Failed to register font ${abs}: ${err.message}`);
+const sliceColumns = ["name", "x", "y", "width", "height", "type"];
+const sliceColumnAliases = { w: "width", h: "height", left: "x", top: "y", element_type: "type" };
+
+/** Splits CSV text into rows of fields. Quoted fields may hold commas, newlines and doubled quotes. */
+function parseCsv(text) {
+  const rows = [[]];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      rows[rows.length - 1].push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      rows[rows.length - 1].push(field);
+      rows.push([]);
+      field = "";
+    } else {
+      field += char;
     }
   }
+  rows[rows.length - 1].push(field);
+  return rows.filter((row) => row.some((value) => value.trim()));
 }
 
-function drawTextContent(ctx, element, width, height) {
-  const text = (element.content ?? element.text ?? "").toString();
-  if (!text) return false;
+/**
+ * Reads slices from a sidecar file: a JSON array (or `{ "slices": [...] }`), or a CSV
+ * whose header names the `name,x,y,width,height,type` columns. A CSV without a header
+ * lists the columns in that order.
+ */
+function readSlicesFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Slices file not found: ${resolved}`);
+  }
 
-  const font = element.font || {};
-  registerFontIfProvided(font);
+  if (path.extname(resolved).toLowerCase() === ".csv") {
+    const rows = parseCsv(fs.readFileSync(resolved, "utf-8"));
+    const header = (rows[0] || []).map((value) => value.trim().toLowerCase()).map((value) => sliceColumnAliases[value] || value);
+    const hasHeader = header.includes("x") && header.includes("y");
+    const columns = hasHeader ? header : sliceColumns;
+    return rows.slice(hasHeader ? 1 : 0).map((row) =>
+      Object.fromEntries(columns.map((column, index) => [column, row[index]?.trim()]).filter(([, value]) => value))
+    );
+  }
 
-  const size = Math.max(1, Math.round(n(font.size, 24)));
-  const weightKey = (font.weight || "normal").toString().toLowerCase();
-  const weight = weightMap[weightKey] || weightKey || "400";
-  const style = (font.style || "normal").toString().toLowerCase();
-  const family = font.family || defaultFontFamily;
+  const data = readJson(resolved);
+  const slices = Array.isArray(data) ? data : data?.slices;
+  if (!Array.isArray(slices)) {
+    throw new Error(`Slices file must hold an array of slices or { "slices": [...] }: ${resolved}`);
+  }
+  return slices;
+}
 
-  const fontParts = [];
-  if (style && style !== "normal") fontParts.push(style);
-  if (weight) fontParts.push(weight);
-  fontParts.push(`${size}px`);
-  fontParts.push(family.includes(" ") ? `"${family}"` : family);
-  ctx.font = fontParts.join(" ");
+/**
+ * Checks slices against the image and rounds them to whole pixels. Slices reaching
+ * past the image are cut to fit; slices without a name are numbered after the image.
+ */
+function normalizeSlices(slices, { imageName, width, height, reserved = [] }) {
+  const names = new Set(reserved);
+  return slices.map((slice, index) => {
+    const name = (slice?.name ?? "").toString().trim() || `${imageName}-slice-${index + 1}`;
+    const x = Number(slice?.x);
+    const y = Number(slice?.y);
+    const sliceWidth = Number(slice?.width ?? slice?.w);
+    const sliceHeight = Number(slice?.height ?? slice?.h);
+    if (![x, y, sliceWidth, sliceHeight].every(Number.isFinite) || sliceWidth <= 0 || sliceHeight <= 0) {
+      throw new Error(`Slice "${name}" needs numeric x and y and a positive width and height`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Slice name "${name}" is already used in the layout`);
+    }
+    names.add(name);
+
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(width, Math.round(x + sliceWidth));
+    const bottom = Math.min(height, Math.round(y + sliceHeight));
+    if (right <= left || bottom <= top) {
+      throw new Error(`Slice "${name}" lies outside the ${width}x${height} image`);
+    }
+    if (left !== Math.round(x) || top !== Math.round(y) || right !== Math.round(x + sliceWidth) || bottom !== Math.round(y + sliceHeight)) {
+      console.warn(`⚠️  Slice "${name}" reaches past the ${width}x${height} image; cropped to ${right - left}x${bottom - top}`);
+    }
+    return { name, type: (slice?.type ?? "").toString().trim() || "Image", left, top, width: right - left, height: bottom - top };
+  });
+}
 
-  const alignKey = (font.alignment || font.justification || "center").toString().toLowerCase();
-  const textAlign = alignMap[alignKey] || "center";
-  ctx.textAlign = textAlign;
+/**
+ * Builds one element per slice, each cropped from `image` into `cropDir` and placed
+ * where it sits in the source. Image slices use the crop as `image_source`; other
+ * types (Border, Button, ...) use it as `background_image`.
+ */
+function sliceElements(image, { jsonDir, cropDir, slices, containerName, imageName, imageReference, includeBorder, margin, posX, posY, backgroundColor, borderColor, borderRadius }) {
+  const inset = includeBorder ? margin : 0;
+  const rootDepth = includeBorder ? 1 : 0;
+  const files = new Set();
+  ensureDir(cropDir);
+
+  const reserved = includeBorder ? [imageName, containerName] : [imageName];
+  const elements = normalizeSlices(slices, { imageName, width: image.width, height: image.height, reserved }).map((slice) => {
+    let file = sanitizeFilename(slice.name, "slice");
+    for (let suffix = 2; files.has(file); suffix += 1) file = `${sanitizeFilename(slice.name, "slice")}-${suffix}`;
+    files.add(file);
+    const reference = writeCrop(image, slice, path.join(cropDir, `${file}.png`), jsonDir);
+    return {
+      type: slice.type,
+      name: slice.name,
+      position: { x: posX + inset + slice.left, y: posY + inset + slice.top },
+      size: { width: slice.width, height: slice.height },
+      ...(imageTypes.has(slice.type.toLowerCase())
+        ? { image_source: reference, imageSource: reference }
+        : { background_image: reference }),
+      z_order: rootDepth,
+    };
+  });
 
-  const vAlignKey = (font.vertical_alignment || font.verticalAlignment || "middle").toString().toLowerCase();
-  const verticalAlign = verticalAlignMap[vAlignKey] || "middle";
+  const referenceImage = hiddenReferenceImage(image, imageName, imageReference, { x: posX + inset, y: posY + inset }, rootDepth);
+  const root = includeBorder
+    ? [{
+      type: "Border",
+      name: containerName,
+      position: { x: posX, y: posY },
+      size: { width: image.width + margin * 2, height: image.height + margin * 2 },
+      color: { background: backgroundColor, border: borderColor },
+      border_radius: borderRadius,
+      z_order: 0,
+      children: [imageName, ...elements.map((element) => element.name)],
+    }]
+    : [];
 
-  ctx.fillStyle = element.color?.text || font.color || "#ffffff";
-  ctx.textBaseline = "middle";
+  return [...root, referenceImage, ...elements];
+}
 
-  const lines = text.split(/\r?\n/);
-  const lineHeight = Math.max(size, Math.round(n(font.line_height, size * 1.25)));
-  const totalHeight = lineHeight * lines.length;
+async function generateJsonFromImage({
+  imagePath,
+  outputJsonPath,
+  assetsDir,
+  includeBorder = true,
+  margin = 24,
+  position = { x: 0, y: 0 },
+  borderRadius = 0,
+  backgroundColor = defaultBorderBackground,
+  borderColor = defaultBorderStroke,
+  containerName,
+  imageName,
+  detectRegions: detect = false,
+  sensitivity = 0.5,
+  slices,
+  slicesFile,
+  offline = false,
+  cacheDir,
+  maxAssetBytes = defaultMaxAssetBytes,
+}) {
+  if (!imagePath) {
+    throw new Error("imagePath is required to generate JSON");
+  }
 
-  let startY = height / 2;
-  if (verticalAlign === "top") startY = lineHeight / 2;
-  else if (verticalAlign === "bottom") startY = height - totalHeight + lineHeight / 2;
+  const sliceList = [...(slicesFile ? readSlicesFile(slicesFile) : []), ...(slices || [])];
+  if (sliceList.length && detect) {
+    throw new Error("Use either slices or region detection, not both");
+  }
 
-  const xPos = textAlign === "left" ? 4 : textAlign === "right" ? width - 4 : width / 2;
+  const resolvedJsonPath = resolveOutputJsonPath({ imagePath, outputJsonPath });
+  ensureDir(path.dirname(resolvedJsonPath));
 
-  lines.forEach((line, index) => {
-    const y = startY + index * lineHeight;
-    ctx.fillText(line, xPos, y);
+  const jsonDir = path.dirname(resolvedJsonPath);
+  const assetCache = createAssetCache({ dir: cacheDir, offline, maxBytes: maxAssetBytes });
+  const assetPreparation = await prepareImageAssetForJson({
+    imagePath,
+    assetsDir,
+    jsonDir,
+    assetCache,
   });
 
-  return true;
-}
+  const image = await loadImage(assetPreparation.sourceForLoad);
+  const width = Math.max(1, Math.round(image.width));
+  const height = Math.max(1, Math.round(image.height));
 
-function renderTextLayer(element, frame) {
-  const text = (element.content ?? element.text ?? "").toString();
-  if (!text) return null;
+  const parsedForNaming = (() => {
+    if (imageName) return { name: imageName };
+    if (isHttp(imagePath)) {
+      try {
+        const remoteParsed = path.parse(new URL(imagePath).pathname);
+        return remoteParsed.name ? remoteParsed : { name: "image" };
+      } catch (_err) {
+        return { name: "image" };
+      }
+    }
+    return path.parse(path.resolve(imagePath));
+  })();
 
-  const canvas = createCanvas(frame.width, frame.height);
-  const ctx = canvas.getContext("2d");
+  const safeImageName = imageName || sanitizeFilename(parsedForNaming.name, "image");
+  const safeContainerName = containerName || `${safeImageName}-container`;
 
-  const drawn = drawTextContent(ctx, element, frame.width, frame.height);
-  if (!drawn) return null;
+  const marginValue = Math.max(0, Math.round(margin ?? 0));
+  const posX = Math.round(n(position?.x, 0));
+  const posY = Math.round(n(position?.y, 0));
+
+  let regions = null;
+  const elements = [];
+  const cropRoot = path.resolve(assetsDir || path.join(jsonDir, "assets"));
+  if (sliceList.length) {
+    elements.push(...sliceElements(image, {
+      jsonDir,
+      cropDir: path.join(cropRoot, `${safeImageName}-slices`),
+      slices: sliceList,
+      containerName: safeContainerName,
+      imageName: safeImageName,
+      imageReference: assetPreparation.finalImageReference,
+      includeBorder,
+      margin: marginValue,
+      posX,
+      posY,
+      backgroundColor,
+      borderColor,
+      borderRadius,
+    }));
+  } else if (detect) {
+    const detected = regionElements(image, {
+      jsonDir,
+      cropDir: path.join(cropRoot, `${safeImageName}-regions`),
+      containerName: safeContainerName,
+      imageName: safeImageName,
+      imageReference: assetPreparation.finalImageReference,
+      includeBorder,
+      margin: marginValue,
+      posX,
+      posY,
+      sensitivity,
+    });
+    elements.push(...detected.elements);
+    regions = detected.regions;
+  } else {
+    if (includeBorder) {
+      elements.push({
+        type: "Border",
+        name: safeContainerName,
+        position: { x: posX, y: posY },
+        size: {
+          width: width + marginValue * 2,
+          height: height + marginValue * 2,
+        },
+        color: {
+          background: backgroundColor,
+          border: borderColor,
+        },
+        border_radius: borderRadius,
+        z_order: 0,
+        children: [safeImageName],
+      });
+    }
+
+    elements.push({
+      type: "Image",
+      name: safeImageName,
+      position: {
+        x: posX + (includeBorder ? marginValue : 0),
+        y: posY + (includeBorder ? marginValue : 0),
+      },
+      size: { width, height },
+      image_source: assetPreparation.finalImageReference,
+      imageSource: assetPreparation.finalImageReference,
+      z_order: includeBorder ? 1 : 0,
+    });
+  }
+
+  writeJson(resolvedJsonPath, elements);
 
   return {
-    name: element.name || element.type || "Text",
-    canvas,
-    top: frame.top,
-    left: frame.left,
-    right: frame.right,
-    bottom: frame.bottom,
-    opacity: Math.round(Math.min(1, Math.max(0, n(element.opacity, 1))) * 255),
+    jsonPath: resolvedJsonPath,
+    width,
+    height,
+    elements: elements.length,
+    includeBorder,
+    imageReference: assetPreparation.finalImageReference,
+    copiedAssetPath: assetPreparation.copiedAssetPath,
+    ...(regions ? { regions } : {}),
+    ...(sliceList.length ? { slices: sliceList.length } : {}),
+    ...(isHttp(imagePath) ? { assetCache: assetCache.report() } : {}),
   };
 }
 
-async function renderElement(element, context) {
-  const frame = buildLayerFrame(element, context.offsetX, context.offsetY);
-  if (!frame) return null;
+const toHex = (value) => Math.round(Math.min(255, Math.max(0, n(value, 0)))).toString(16).padStart(2, "0");
 
-  const type = (element.type || "").toString().toLowerCase();
+function rgbToHex({ r, g, b }, alpha = 1) {
+  const hex = `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+  return alpha < 1 ? `${hex}${toHex(alpha * 255)}`.toUpperCase() : hex;
+}
 
-  if (type === "border" || type === "panel" || type === "rectangle" || type === "box") {
-    return renderBorderLayer(element, frame);
-  }
+const psdJustificationMap = {
+  left: "left",
+  right: "right",
+  center: "center",
+  "justify-left": "justify",
+  "justify-right": "justify",
+  "justify-center": "justify",
+  "justify-all": "justify",
+};
 
-  if (type === "text" || type === "textblock" || type === "richtextblock") {
-    return renderTextLayer(element, frame);
+/**
+ * Reverses resolvePostScriptName as far as possible: "Arial-BoldItalicMT"
+ * becomes { family: "Arial", weight: "bold", style: "italic" }.
+ */
+function parsePostScriptName(name) {
+  const raw = (name || "").toString();
+  if (!raw) return { family: defaultFontFamily };
+
+  const [base, ...rest] = raw.split("-");
+  let variant = rest.join("-");
+  let family = null;
+
+  for (const [key, known] of Object.entries(postScriptFamilies)) {
+    if (base === known.base || base === known.regular) {
+      family = key.replace(/\b\w/g, (c) => c.toUpperCase());
+      if (variant.endsWith(known.suffix)) variant = variant.slice(0, -known.suffix.length);
+    }
   }
+  if (!family) family = base.replace(/([a-z])([A-Z])/g, "$1 $2");
+
+  const result = { family, postscript_name: raw };
+  if (/italic|oblique/i.test(variant)) result.style = "italic";
+  const weightName = variant.replace(/italic|oblique/gi, "");
+  const weightEntry = Object.values(postScriptWeightNames).find((value) => value.toLowerCase() === weightName.toLowerCase());
+  if (weightEntry) result.weight = weightEntry.toLowerCase();
+  return result;
+}
 
-  if (type === "button" || type === "editabletextbox" || type === "textbox" || type === "input" || type === "textfield" || type === "textarea") {
-    const baseLayer = renderBorderLayer(element, frame);
-    if (baseLayer) {
-      const ctx = baseLayer.canvas.getContext("2d");
-      drawTextContent(ctx, element, frame.width, frame.height);
-      return baseLayer;
+function imageDataToCanvas(imageData) {
+  const canvas = createCanvas(imageData.width, imageData.height);
+  const ctx = canvas.getContext("2d");
+  const target = ctx.createImageData(imageData.width, imageData.height);
+  target.data.set(imageData.data);
+  ctx.putImageData(target, 0, 0);
+  return canvas;
+}
+
+/** Returns the shared colour when every visible pixel matches (within tolerance), otherwise null. */
+function uniformColor(imageData, tolerance = 2) {
+  const { data } = imageData;
+  let first = null;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    if (!first) {
+      first = { r: data[i], g: data[i + 1], b: data[i + 2], a: data[i + 3] };
+      continue;
+    }
+    if (
+      Math.abs(data[i] - first.r) > tolerance ||
+      Math.abs(data[i + 1] - first.g) > tolerance ||
+      Math.abs(data[i + 2] - first.b) > tolerance ||
+      Math.abs(data[i + 3] - first.a) > tolerance
+    ) {
+      return null;
     }
+  }
+  return first;
+}
 
-    return renderTextLayer(element, frame);
+const layerFrameOf = (layer) => {
+  const left = n(layer.left, 0);
+  const top = n(layer.top, 0);
+  return {
+    x: left,
+    y: top,
+    width: Math.max(0, n(layer.right, left) - left),
+    height: Math.max(0, n(layer.bottom, top) - top),
+  };
+};
+
+const colorFromPsd = (color) => ({ r: n(color?.r, 0), g: n(color?.g, 0), b: n(color?.b, 0) });
+
+/** Reads Border styling back from a shape layer written by applyVectorShape (or drawn in Photoshop). */
+function vectorShapeToStyle(layer) {
+  const fill = layer.vectorFill;
+  if (!layer.vectorMask || (fill?.type !== "color" && fill?.type !== "solid")) return null;
+
+  const style = { color: {} };
+  const stroke = layer.vectorStroke;
+  const fillVisible = n(layer.fillOpacity, 1) > 0 && stroke?.fillEnabled !== false;
+  if (fillVisible && fill.type === "solid") {
+    style.color.background = psdGradientToSpec(fill);
+  } else if (fillVisible) {
+    style.color.background = rgbToHex(colorFromPsd(fill.color), n(layer.fillOpacity, 1));
+  }
+
+  if (stroke?.strokeEnabled && stroke.content?.type === "color") {
+    style.color.border = rgbToHex(colorFromPsd(stroke.content.color), n(stroke.opacity, 1));
+    style.border_width = n(stroke.lineWidth?.value, 1);
+  }
+
+  const radius = radiusFromVectorMask(layer);
+  if (radius > 0) style.border_radius = radius;
+  return style;
+}
+
+/** Reverse of psdGradientContent. */
+function psdGradientToSpec(fill) {
+  const opacityAt = (location) => {
+    const stops = fill.opacityStops || [];
+    const match = stops.find((stop) => Math.abs(stop.location - location) < 1e-3);
+    return match ? match.opacity : n(stops[0]?.opacity, 1);
+  };
+  const spec = {
+    type: fill.style === "radial" ? "radial" : "linear",
+    angle: Math.round((90 - n(fill.angle, 90)) * 100) / 100,
+    stops: (fill.colorStops || []).map((stop) => ({
+      offset: Math.round(stop.location * 1000) / 1000,
+      color: rgbToHex(colorFromPsd(stop.color), opacityAt(stop.location)),
+    })),
+  };
+  if (spec.type === "radial" && fill.scale !== undefined) spec.radius = n(fill.scale, 100) / 100;
+  return spec;
+}
+
+function radiusFromVectorMask(layer) {
+  const radii = layer.vectorOrigination?.keyDescriptorList?.[0]?.keyOriginRRectRadii;
+  if (radii?.topLeft) return Math.round(n(radii.topLeft.value, 0) * 100) / 100;
+
+  const knots = layer.vectorMask?.paths?.[0]?.knots;
+  if (!knots || knots.length !== 8) return 0;
+  const minX = Math.min(...knots.map((knot) => knot.points[2]));
+  return Math.round((knots[0].points[2] - minX) * 100) / 100;
+}
+
+/** Reverse of buildLayerEffects so effects survive a PSD → JSON round trip. */
+function psdEffectsToSpec(effects) {
+  if (!effects || effects.disabled) return null;
+
+  const common = (effect) => {
+    const spec = { color: rgbToHex(colorFromPsd(effect.color)), opacity: Math.round(n(effect.opacity, 1) * 1000) / 1000 };
+    if (effect.blendMode) spec.blend_mode = effect.blendMode;
+    if (effect.enabled === false) spec.enabled = false;
+    return spec;
+  };
+  const shadow = (effect) => ({
+    ...common(effect),
+    angle: n(effect.angle, 120),
+    distance: n(effect.distance?.value, 0),
+    size: n(effect.size?.value, 0),
+    spread: n(effect.choke?.value, 0),
+  });
+
+  const spec = {};
+  if (effects.dropShadow?.length) spec.drop_shadow = effects.dropShadow.map(shadow);
+  if (effects.innerShadow?.length) spec.inner_shadow = effects.innerShadow.map(shadow);
+  if (effects.outerGlow) {
+    spec.outer_glow = { ...common(effects.outerGlow), size: n(effects.outerGlow.size?.value, 0), spread: n(effects.outerGlow.choke?.value, 0) };
+  }
+  if (effects.stroke?.length) {
+    spec.stroke = effects.stroke
+      .filter((effect) => !effect.fillType || effect.fillType === "color")
+      .map((effect) => ({ ...common(effect), size: n(effect.size?.value, 1), position: effect.position || "outside" }));
+  }
+  if (effects.solidFill?.length) spec.color_overlay = effects.solidFill.map(common);
+
+  return Object.keys(spec).length ? spec : null;
+}
+
+function psdTextToElement(layer, base) {
+  const text = layer.text;
+  const style = text.style || {};
+  const transform = text.transform || [1, 0, 0, 1, n(layer.left, 0), n(layer.top, 0)];
+  const scale = Math.abs(n(transform[3], 1)) || 1;
+  const fillColor = style.fillColor || { r: 255, g: 255, b: 255 };
+
+  const font = {
+    ...parsePostScriptName(style.font?.name),
+    size: Math.round(n(style.fontSize, 24) * scale),
+    color: rgbToHex(fillColor),
+    alignment: psdJustificationMap[text.paragraphStyle?.justification] || "left",
+  };
+  if (style.autoLeading === false && n(style.leading, 0) > 0) {
+    font.line_height = Math.round(style.leading * scale);
+  }
+
+  const element = { type: "TextBlock", ...base, content: (text.text || "").replace(/\r/g, "\n"), font };
+  if (text.shapeType === "box" && Array.isArray(text.boxBounds)) {
+    const [bl, bt, br, bb] = text.boxBounds;
+    // Box bounds are in the text's own space, so they scale with the transform like the font does.
+    const scaleX = n(transform[0], 1);
+    const scaleY = n(transform[3], 1);
+    element.position = { x: Math.round(transform[4] + bl * scaleX), y: Math.round(transform[5] + bt * scaleY) };
+    element.size = { width: Math.round((br - bl) * Math.abs(scaleX)), height: Math.round((bb - bt) * scale) };
+    font.vertical_alignment = "top";
+  }
+  return element;
+}
+
+/**
+ * Reads a PSD and writes a UMG JSON layout: groups become Border containers with
+ * `children`, text layers become TextBlocks and pixel layers become Image
+ * elements backed by exported PNG assets.
+ */
+async function generateJsonFromPsd({
+  psdPath,
+  outputJsonPath,
+  assetsDir,
+  includeHidden = true,
+}) {
+  if (!psdPath) {
+    throw new Error("psdPath is required to generate JSON");
+  }
+
+  const resolvedPsd = path.resolve(psdPath);
+  if (!fs.existsSync(resolvedPsd)) {
+    throw new Error(`PSD file not found: ${resolvedPsd}`);
+  }
+
+  const resolvedJsonPath = resolveOutputJsonPath({ imagePath: resolvedPsd, outputJsonPath });
+  const jsonDir = path.dirname(resolvedJsonPath);
+  const resolvedAssetsDir = path.resolve(assetsDir || path.join(jsonDir, "assets"));
+  ensureDir(jsonDir);
+  ensureDir(resolvedAssetsDir);
+
+  const psd = readPsd(fs.readFileSync(resolvedPsd), {
+    useImageData: true,
+    skipCompositeImageData: true,
+    skipThumbnail: true,
+  });
+
+  const elements = [];
+  const assets = [];
+  const warnings = [];
+  const usedNames = new Set();
+  const files = new Set();
+  const stats = { groups: 0, textLayers: 0, imageLayers: 0, shapeLayers: 0 };
+
+  const uniqueName = (value, fallback) => {
+    const baseName = (value || "").toString().trim() || fallback;
+    let candidate = baseName;
+    for (let i = 2; usedNames.has(candidate); i += 1) candidate = `${baseName}_${i}`;
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  // Unique names can still sanitize to the same file ("Icon/A", "Icon:A"), so files get their own suffixes.
+  const exportPixels = (layer, name) => {
+    let file = sanitizeFilename(name, "layer");
+    for (let suffix = 2; files.has(file); suffix += 1) file = `${sanitizeFilename(name, "layer")}-${suffix}`;
+    files.add(file);
+    const assetPath = path.join(resolvedAssetsDir, `${file}.png`);
+    fs.writeFileSync(assetPath, imageDataToCanvas(layer.imageData).toBuffer("image/png"));
+    assets.push(assetPath);
+    return path.relative(jsonDir, assetPath).replace(/\\/g, "/");
+  };
+
+  // Returns the element built for the layer (already pushed to `elements`), or null.
+  const convert = (layer, zOrder, parentName, nameOverride) => {
+    if (!includeHidden && layer.hidden) return null;
+
+    const frame = layerFrameOf(layer);
+    const base = {
+      name: uniqueName(nameOverride || layer.name, `Layer${elements.length + 1}`),
+      position: { x: frame.x, y: frame.y },
+      size: { width: frame.width, height: frame.height },
+      z_order: zOrder,
+    };
+    if (n(layer.opacity, 1) < 1) base.opacity = Math.round(layer.opacity * 1000) / 1000;
+    if (layer.hidden) base.visibility = "Hidden";
+    if (layer.blendMode && layer.blendMode !== "normal" && layer.blendMode !== "pass through") base.blend_mode = layer.blendMode;
+    if (layer.layerColor && layer.layerColor !== "none") base.layer_color = layer.layerColor;
+    const effects = psdEffectsToSpec(layer.effects);
+    if (effects) base.effects = effects;
+
+    if (layer.children) {
+      const element = { type: "Border", ...base, children: [] };
+      elements.push(element);
+      stats.groups += 1;
+
+      let childZ = 0;
+      layer.children.forEach((child, index) => {
+        // The bottom layer named after its group is the container's own background (see composePsd).
+        const isBackground = index === 0 && child.name === layer.name && !child.children && !child.text && child.imageData;
+        if (isBackground) {
+          const frameOfChild = layerFrameOf(child);
+          const shapeStyle = vectorShapeToStyle(child);
+          const color = shapeStyle ? null : uniformColor(child.imageData);
+          if (shapeStyle || color) {
+            element.position = { x: frameOfChild.x, y: frameOfChild.y };
+            element.size = { width: frameOfChild.width, height: frameOfChild.height };
+            Object.assign(element, shapeStyle || { color: { background: rgbToHex(color, color.a / 255) } });
+            const backgroundEffects = psdEffectsToSpec(child.effects);
+            if (backgroundEffects) element.effects = backgroundEffects;
+            return;
+          }
+        }
+        const converted = convert(child, childZ, element.name, isBackground ? `${layer.name} Background` : undefined);
+        childZ += 1;
+        if (converted) element.children.push(converted.name);
+      });
+
+      if (!element.color) {
+        const childFrames = elements
+          .filter((item) => element.children.includes(item.name))
+          .map((item) => ({ ...item.position, ...item.size }));
+        if (childFrames.length) {
+          const minX = Math.min(...childFrames.map((f) => f.x));
+          const minY = Math.min(...childFrames.map((f) => f.y));
+          const maxX = Math.max(...childFrames.map((f) => f.x + f.width));
+          const maxY = Math.max(...childFrames.map((f) => f.y + f.height));
+          element.position = { x: minX, y: minY };
+          element.size = { width: maxX - minX, height: maxY - minY };
+        }
+      }
+      return element;
+    }
+
+    if (layer.text) {
+      const element = psdTextToElement(layer, base);
+      elements.push(element);
+      stats.textLayers += 1;
+      return element;
+    }
+
+    const shapeStyle = vectorShapeToStyle(layer);
+    if (shapeStyle) {
+      const element = { type: "Border", ...base, ...shapeStyle };
+      elements.push(element);
+      stats.shapeLayers += 1;
+      return element;
+    }
+
+    if (layer.imageData && frame.width > 0 && frame.height > 0) {
+      const source = exportPixels(layer, base.name);
+      const element = { type: "Image", ...base, image_source: source, imageSource: source };
+      const radius = radiusFromVectorMask(layer);
+      if (radius > 0) element.border_radius = radius;
+      elements.push(element);
+      stats.imageLayers += 1;
+      return element;
+    }
+
+    warnings.push(`Skipped empty layer "${layer.name || "(unnamed)"}"${parentName ? ` in "${parentName}"` : ""}`);
+    return null;
+  };
+
+  (psd.children || []).forEach((layer, index) => convert(layer, index, null));
+
+  writeJson(resolvedJsonPath, elements);
+
+  return {
+    jsonPath: resolvedJsonPath,
+    width: psd.width,
+    height: psd.height,
+    elements: elements.length,
+    ...stats,
+    assets,
+    warnings,
+  };
+}
+
+/**
+ * Size an element gets when its JSON has no explicit `size`. Text is measured;
+ * wrapping text wraps at its own width or, failing that, `availableWidth`.
+ */
+function fallbackSize(element, availableWidth = Infinity) {
+  const type = elementTypeOf(element);
+  const hasText = (element?.content ?? element?.text ?? "").toString().length > 0;
+
+  let width = 256;
+  let height = 256;
+
+  if (textTypes.has(type) && hasText) {
+    const layout = layoutTextElement(element, n(element?.size?.width, availableWidth));
+    width = Math.max(layout.minDesiredWidth, Math.ceil(layout.contentWidth) + layout.inset * 2, 1);
+    height = Math.max(layout.lineHeight, Math.ceil(layout.contentHeight));
+  } else if (textTypes.has(type)) {
+    width = 128;
+    height = 48;
+  } else if (imageTypes.has(type)) {
+    width = Math.max(128, Math.round(n(element?.preferred_width, 256)));
+    height = Math.max(128, Math.round(n(element?.preferred_height, 256)));
+  } else if (type === "progressbar") {
+    height = 16;
+  } else if (type === "slider") {
+    ({ width, height } = isVerticalOrientation(element) ? { width: 20, height: 256 } : { width: 256, height: 20 });
+  } else if (type === "checkbox") {
+    width = hasText ? 160 : 24;
+    height = 24;
+  } else if (comboBoxTypes.has(type)) {
+    width = 160;
+    height = 32;
+  } else if (type === "spinbox") {
+    width = 120;
+    height = 32;
+  } else if (type === "spacer") {
+    // UMG's Spacer.Size is its desired size, 1×1 by default.
+    ({ x: width, y: height } = readVector(pick(element, "spacer_size", "Size"), 1));
+  } else if (type === "throbber") {
+    width = 16 * Math.max(1, Math.round(n(pick(element, "number_of_pieces", "NumberOfPieces"), 3)));
+    height = 16;
+  } else if (type === "circularthrobber") {
+    width = Math.max(1, Math.round(n(pick(element, "radius", "Radius"), 16) * 2));
+    height = width;
+  }
+
+  return { width, height };
+}
+
+function buildLayerFrame(element, offsetX, offsetY) {
+  const fallback = fallbackSize(element);
+  const width = Math.max(1, Math.round(n(element?.size?.width, fallback.width)));
+  const height = Math.max(1, Math.round(n(element?.size?.height, fallback.height)));
+  if (width <= 0 || height <= 0) return null;
+
+  const left = Math.round(n(element?.position?.x, 0) + offsetX);
+  const top = Math.round(n(element?.position?.y, 0) + offsetY);
+
+  return {
+    width,
+    height,
+    left,
+    top,
+    right: left + width,
+    bottom: top + height,
+  };
+}
+
+const defaultTargetResolution = { width: 1920, height: 1080 };
+
+const anchorPresets = {
+  top_left: [0, 0, 0, 0],
+  top_center: [0.5, 0, 0.5, 0],
+  top_right: [1, 0, 1, 0],
+  center_left: [0, 0.5, 0, 0.5],
+  center: [0.5, 0.5, 0.5, 0.5],
+  center_right: [1, 0.5, 1, 0.5],
+  bottom_left: [0, 1, 0, 1],
+  bottom_center: [0.5, 1, 0.5, 1],
+  bottom_right: [1, 1, 1, 1],
+  stretch_top: [0, 0, 1, 0],
+  stretch_horizontal: [0, 0.5, 1, 0.5],
+  stretch_bottom: [0, 1, 1, 1],
+  stretch_left: [0, 0, 0, 1],
+  stretch_vertical: [0.5, 0, 0.5, 1],
+  stretch_right: [1, 0, 1, 1],
+  stretch: [0, 0, 1, 1],
+  fill: [0, 0, 1, 1],
+};
+
+// Reads `{x, y}` / `{X, Y}` pairs used by both snake_case JSON and UMG exports.
+const readVector = (value, fallbackX, fallbackY = fallbackX) => ({
+  x: n(value?.x ?? value?.X, fallbackX),
+  y: n(value?.y ?? value?.Y, fallbackY),
+});
+
+const pick = (source, ...keys) => {
+  for (const key of keys) {
+    if (source?.[key] !== undefined) return source[key];
+  }
+  return undefined;
+};
+
+/**
+ * Normalizes a UMG CanvasPanel slot (`slot` or `Slot`, optionally wrapping
+ * `LayoutData`) into anchors, offsets, alignment and auto-size. Returns null
+ * for elements without a slot, which keep their absolute `position`.
+ */
+function readCanvasSlot(element) {
+  const slot = pick(element, "slot", "Slot");
+  if (!isElementObject(slot)) return null;
+  const layout = pick(slot, "layout_data", "LayoutData") || slot;
+
+  const anchorsValue = pick(layout, "anchors", "Anchors", "anchor");
+  let anchorMin = { x: 0, y: 0 };
+  let anchorMax = { x: 0, y: 0 };
+  if (typeof anchorsValue === "string") {
+    const preset = anchorPresets[anchorsValue.toLowerCase().replace(/[\s-]+/g, "_")];
+    if (preset) {
+      anchorMin = { x: preset[0], y: preset[1] };
+      anchorMax = { x: preset[2], y: preset[3] };
+    }
+  } else if (isElementObject(anchorsValue)) {
+    anchorMin = readVector(pick(anchorsValue, "min", "minimum", "Minimum"), 0);
+    anchorMax = readVector(pick(anchorsValue, "max", "maximum", "Maximum"), anchorMin.x, anchorMin.y);
+  }
+
+  const offsetsValue = pick(layout, "offsets", "Offsets");
+  const offsets = isElementObject(offsetsValue)
+    ? {
+      left: n(pick(offsetsValue, "left", "Left"), 0),
+      top: n(pick(offsetsValue, "top", "Top"), 0),
+      right: pick(offsetsValue, "right", "Right"),
+      bottom: pick(offsetsValue, "bottom", "Bottom"),
+    }
+    : null;
+
+  return {
+    anchorMin,
+    anchorMax,
+    offsets,
+    alignment: readVector(pick(layout, "alignment", "Alignment"), 0),
+    autoSize: Boolean(pick(slot, "auto_size", "autoSize", "bAutoSize")),
+  };
+}
+
+/**
+ * Resolves one axis of a canvas slot the way UMG's SConstraintCanvas does:
+ * a point anchor places the widget at anchor + offset minus the alignment
+ * pivot, a stretched anchor keeps `start`/`end` margins from both anchors.
+ */
+function resolveSlotAxis({ parentStart, parentLength, anchorMin, anchorMax, start, end, alignment, desired }) {
+  const anchorStart = parentStart + anchorMin * parentLength;
+  if (anchorMin === anchorMax) {
+    const length = n(end, desired);
+    return { position: anchorStart + start - alignment * length, length };
+  }
+  const anchorEnd = parentStart + anchorMax * parentLength;
+  return { position: anchorStart + start, length: Math.max(0, anchorEnd - n(end, 0) - (anchorStart + start)) };
+}
+
+function resolveSlotFrame(slot, parentFrame, element, desired) {
+  // Without explicit offsets, position is relative to the anchor and size is the desired size.
+  const offsets = slot.offsets || {
+    left: n(element.position?.x, 0),
+    top: n(element.position?.y, 0),
+    right: slot.anchorMin.x === slot.anchorMax.x ? desired.width : 0,
+    bottom: slot.anchorMin.y === slot.anchorMax.y ? desired.height : 0,
+  };
+
+  const horizontal = resolveSlotAxis({
+    parentStart: parentFrame.x,
+    parentLength: parentFrame.width,
+    anchorMin: slot.anchorMin.x,
+    anchorMax: slot.anchorMax.x,
+    start: offsets.left,
+    end: slot.autoSize && slot.anchorMin.x === slot.anchorMax.x ? desired.width : offsets.right,
+    alignment: slot.alignment.x,
+    desired: desired.width,
+  });
+  const vertical = resolveSlotAxis({
+    parentStart: parentFrame.y,
+    parentLength: parentFrame.height,
+    anchorMin: slot.anchorMin.y,
+    anchorMax: slot.anchorMax.y,
+    start: offsets.top,
+    end: slot.autoSize && slot.anchorMin.y === slot.anchorMax.y ? desired.height : offsets.bottom,
+    alignment: slot.alignment.y,
+    desired: desired.height,
+  });
+
+  return { x: horizontal.position, y: vertical.position, width: horizontal.length, height: vertical.length };
+}
+
+const readPadding = (value) => {
+  if (typeof value === "number") return { left: value, top: value, right: value, bottom: value };
+  if (!isElementObject(value)) return { left: 0, top: 0, right: 0, bottom: 0 };
+  const horizontal = n(pick(value, "horizontal", "Horizontal"), 0);
+  const vertical = n(pick(value, "vertical", "Vertical"), 0);
+  return {
+    left: n(pick(value, "left", "Left"), horizontal),
+    top: n(pick(value, "top", "Top"), vertical),
+    right: n(pick(value, "right", "Right"), horizontal),
+    bottom: n(pick(value, "bottom", "Bottom"), vertical),
+  };
+};
+
+// Accepts "center", "Center" or UMG enum names such as "HAlign_Center".
+const readAlignment = (value, fallback) => {
+  if (typeof value !== "string" || !value) return fallback;
+  const key = value.replace(/^[HV]Align_/i, "").toLowerCase();
+  if (key === "middle") return "center";
+  return ["left", "top", "center", "right", "bottom", "fill"].includes(key) ? key : fallback;
+};
+
+/** Normalizes the slot properties a child uses inside an auto-layout panel. */
+function readPanelSlot(element, defaults = {}) {
+  const slot = pick(element, "slot", "Slot") || {};
+  const sizeValue = pick(slot, "size", "Size");
+  let sizeRule = "auto";
+  let fillValue = 1;
+  if (typeof sizeValue === "string") {
+    sizeRule = sizeValue.toLowerCase() === "fill" ? "fill" : "auto";
+  } else if (isElementObject(sizeValue)) {
+    sizeRule = String(pick(sizeValue, "rule", "size_rule", "SizeRule") || "auto").toLowerCase() === "fill" ? "fill" : "auto";
+    fillValue = Math.max(0, n(pick(sizeValue, "value", "Value"), 1));
+  }
+  if (typeof slot.fill === "number") {
+    sizeRule = "fill";
+    fillValue = Math.max(0, slot.fill);
+  }
+
+  return {
+    padding: readPadding(pick(slot, "padding", "Padding")),
+    sizeRule,
+    fillValue,
+    horizontal: readAlignment(pick(slot, "horizontal_alignment", "HorizontalAlignment"), defaults.horizontal || "fill"),
+    vertical: readAlignment(pick(slot, "vertical_alignment", "VerticalAlignment"), defaults.vertical || "fill"),
+    row: Math.max(0, Math.floor(n(pick(slot, "row", "Row"), 0))),
+    column: Math.max(0, Math.floor(n(pick(slot, "column", "Column"), 0))),
+    rowSpan: Math.max(1, Math.floor(n(pick(slot, "row_span", "RowSpan"), 1))),
+    columnSpan: Math.max(1, Math.floor(n(pick(slot, "column_span", "ColumnSpan"), 1))),
+    fillEmptySpace: Boolean(pick(slot, "fill_empty_space", "bFillEmptySpace", "FillEmptySpace")),
+    fillSpanWhenLessThan: n(pick(slot, "fill_span_when_less_than", "FillSpanWhenLessThan"), 0),
+  };
+}
+
+/** Places `desired` inside the available span according to a slot alignment. */
+function alignWithin(start, available, desired, alignment) {
+  if (alignment === "fill") return { position: start, length: Math.max(0, available) };
+  const length = Math.min(desired, Math.max(0, available));
+  if (alignment === "center") return { position: start + (available - length) / 2, length };
+  if (alignment === "right" || alignment === "bottom") return { position: start + available - length, length };
+  return { position: start, length };
+}
+
+function insetFrame(frame, padding) {
+  return {
+    x: frame.x + padding.left,
+    y: frame.y + padding.top,
+    width: Math.max(0, frame.width - padding.left - padding.right),
+    height: Math.max(0, frame.height - padding.top - padding.bottom),
+  };
+}
+
+function placeInCell(cell, slot, desired) {
+  const inner = insetFrame(cell, slot.padding);
+  const horizontal = alignWithin(inner.x, inner.width, desired.width, slot.horizontal);
+  const vertical = alignWithin(inner.y, inner.height, desired.height, slot.vertical);
+  return { x: horizontal.position, y: vertical.position, width: horizontal.length, height: vertical.length };
+}
+
+// UMG slot defaults: box and grid slots fill, overlay/uniform grid/wrap slots hug the top-left.
+const panelSlotDefaults = {
+  horizontalbox: { horizontal: "fill", vertical: "fill" },
+  verticalbox: { horizontal: "fill", vertical: "fill" },
+  gridpanel: { horizontal: "fill", vertical: "fill" },
+  overlay: { horizontal: "left", vertical: "top" },
+  uniformgridpanel: { horizontal: "left", vertical: "top" },
+  wrapbox: { horizontal: "left", vertical: "top" },
+  scrollbox: { horizontal: "fill", vertical: "fill" },
+};
+
+const isVerticalOrientation = (element) => umgEnumValue(pick(element, "orientation", "Orientation")).replace(/^orient_/, "") === "vertical";
+
+// Scroll boxes scroll vertically unless their Orientation says otherwise.
+const isHorizontalBox = (element) => {
+  const type = elementTypeOf(element);
+  if (type === "scrollbox") return umgEnumValue(pick(element, "orientation", "Orientation")).replace(/^orient_/, "") === "horizontal";
+  return type === "horizontalbox";
+};
+
+/**
+ * Splits a track (grid columns/rows) into sizes: auto tracks take their
+ * desired size, tracks with a positive fill coefficient share the rest.
+ */
+function sizeTracks(desired, fills, available) {
+  const fillTotal = fills.reduce((sum, fill) => sum + fill, 0);
+  const autoTotal = desired.reduce((sum, size, i) => sum + (fills[i] > 0 ? 0 : size), 0);
+  const remaining = Math.max(0, available - autoTotal);
+  return desired.map((size, i) => (fills[i] > 0 && fillTotal > 0 ? (remaining * fills[i]) / fillTotal : size));
+}
+
+function gridTrackDesired(items, count, indexKey, spanKey, sizeKey) {
+  const sizes = new Array(count).fill(0);
+  const padKeys = sizeKey === "width" ? ["left", "right"] : ["top", "bottom"];
+  const needed = (item) => item.desired[sizeKey] + item.slot.padding[padKeys[0]] + item.slot.padding[padKeys[1]];
+  items.filter((item) => item.slot[spanKey] === 1).forEach((item) => {
+    sizes[item.slot[indexKey]] = Math.max(sizes[item.slot[indexKey]], needed(item));
+  });
+  items.filter((item) => item.slot[spanKey] > 1).forEach((item) => {
+    const first = item.slot[indexKey];
+    const span = sizes.slice(first, first + item.slot[spanKey]);
+    const extra = needed(item) - span.reduce((sum, size) => sum + size, 0);
+    if (extra > 0) span.forEach((_size, i) => { sizes[first + i] += extra / span.length; });
+  });
+  return sizes;
+}
+
+const readFillList = (value, count) => {
+  const list = Array.isArray(value) ? value : [];
+  return Array.from({ length: count }, (_v, i) => Math.max(0, n(list[i], 0)));
+};
+
+function wrapLines(items, wrapWidth, gap) {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  for (const item of items) {
+    const width = item.desired.width + item.slot.padding.left + item.slot.padding.right;
+    if (line.length && lineWidth + gap.x + width > wrapWidth) {
+      lines.push(line);
+      line = [];
+      lineWidth = 0;
+    }
+    lineWidth += (line.length ? gap.x : 0) + width;
+    line.push({ ...item, outerWidth: width });
+  }
+  if (line.length) lines.push(line);
+  return lines.map((entries) => ({
+    entries,
+    width: entries.reduce((sum, entry) => sum + entry.outerWidth, 0) + gap.x * (entries.length - 1),
+    height: Math.max(0, ...entries.map((entry) => entry.desired.height + entry.slot.padding.top + entry.slot.padding.bottom)),
+  }));
+}
+
+function wrapBoxSettings(element, frameWidth) {
+  const gap = readVector(pick(element, "inner_slot_padding", "InnerSlotPadding"), 0);
+  const explicit = n(pick(element, "wrap_width", "wrap_size", "WrapSize"), 0);
+  return { gap, wrapWidth: explicit > 0 ? explicit : frameWidth };
+}
+
+/**
+ * Layout engine for UMG box panels. `measure(node)` returns a node's desired
+ * size; `arrange(node, frame)` returns the frames of its children.
+ */
+function createPanelLayout() {
+  const cache = new Map();
+
+  const explicitSize = (element) => ({ width: element.size?.width, height: element.size?.height });
+
+  const childItems = (node) => {
+    const defaults = panelSlotDefaults[elementTypeOf(node.element)] || {};
+    return node.children.map((child) => ({
+      node: child,
+      slot: readPanelSlot(child.element, defaults),
+      desired: measure(child),
+    }));
+  };
+
+  const measureContent = (node, availableWidth) => {
+    const { element } = node;
+    const type = elementTypeOf(element);
+    const items = childItems(node);
+    const outer = (item) => ({
+      width: item.desired.width + item.slot.padding.left + item.slot.padding.right,
+      height: item.desired.height + item.slot.padding.top + item.slot.padding.bottom,
+    });
+
+    if (type === "horizontalbox" || type === "verticalbox" || type === "scrollbox") {
+      const main = isHorizontalBox(element) ? "width" : "height";
+      const cross = main === "width" ? "height" : "width";
+      const sizes = items.map(outer);
+      return {
+        [main]: sizes.reduce((sum, size) => sum + size[main], 0),
+        [cross]: Math.max(0, ...sizes.map((size) => size[cross])),
+      };
+    }
+    if (type === "overlay") {
+      const sizes = items.map(outer);
+      return { width: Math.max(0, ...sizes.map((size) => size.width)), height: Math.max(0, ...sizes.map((size) => size.height)) };
+    }
+    if (type === "gridpanel") {
+      const columns = Math.max(0, ...items.map((item) => item.slot.column + item.slot.columnSpan));
+      const rows = Math.max(0, ...items.map((item) => item.slot.row + item.slot.rowSpan));
+      const widths = gridTrackDesired(items, columns, "column", "columnSpan", "width");
+      const heights = gridTrackDesired(items, rows, "row", "rowSpan", "height");
+      return { width: widths.reduce((a, b) => a + b, 0), height: heights.reduce((a, b) => a + b, 0) };
+    }
+    if (type === "uniformgridpanel") {
+      const slotPadding = readPadding(pick(element, "slot_padding", "SlotPadding"));
+      const columns = Math.max(0, ...items.map((item) => item.slot.column + 1));
+      const rows = Math.max(0, ...items.map((item) => item.slot.row + 1));
+      const cellWidth = Math.max(n(pick(element, "min_desired_slot_width", "MinDesiredSlotWidth"), 0), ...items.map((item) => outer(item).width))
+        + slotPadding.left + slotPadding.right;
+      const cellHeight = Math.max(n(pick(element, "min_desired_slot_height", "MinDesiredSlotHeight"), 0), ...items.map((item) => outer(item).height))
+        + slotPadding.top + slotPadding.bottom;
+      return { width: columns * cellWidth, height: rows * cellHeight };
+    }
+    if (type === "wrapbox") {
+      const { gap, wrapWidth } = wrapBoxSettings(element, n(element.size?.width, availableWidth));
+      const lines = wrapLines(items, wrapWidth, gap);
+      return {
+        width: Math.max(0, ...lines.map((line) => line.width)),
+        height: lines.reduce((sum, line) => sum + line.height, 0) + gap.y * Math.max(0, lines.length - 1),
+      };
+    }
+    return fallbackSize(element);
+  };
+
+  /**
+   * Desired size of a node. Wrap boxes depend on the width they get, so a
+   * known `availableWidth` (e.g. inside a vertical box) is used to wrap them.
+   */
+  function measure(node, availableWidth = Infinity) {
+    const key = `${availableWidth}`;
+    const cached = cache.get(node);
+    if (cached?.has(key)) return cached.get(key);
+
+    const { element } = node;
+    const explicit = explicitSize(element);
+    let desired;
+    if (layoutPanelTypes.has(elementTypeOf(element)) && (explicit.width === undefined || explicit.height === undefined)) {
+      const content = measureContent(node, availableWidth);
+      desired = { width: n(explicit.width, content.width), height: n(explicit.height, content.height) };
+    } else {
+      const fallback = fallbackSize(element, availableWidth);
+      desired = { width: n(explicit.width, fallback.width), height: n(explicit.height, fallback.height) };
+    }
+    if (!cached) cache.set(node, new Map());
+    cache.get(node).set(key, desired);
+    return desired;
+  }
+
+  function arrangeBox(items, frame, horizontal) {
+    if (!horizontal) {
+      // Children of a vertical box know their width up front, which decides how wrap boxes wrap.
+      items.forEach((item) => {
+        if (item.slot.horizontal === "fill") {
+          item.desired = measure(item.node, Math.max(0, frame.width - item.slot.padding.left - item.slot.padding.right));
+        }
+      });
+    }
+    const main = horizontal ? "width" : "height";
+    const [padStart, padEnd] = horizontal ? ["left", "right"] : ["top", "bottom"];
+    const paddingTotal = items.reduce((sum, item) => sum + item.slot.padding[padStart] + item.slot.padding[padEnd], 0);
+    const autoTotal = items.filter((item) => item.slot.sizeRule === "auto").reduce((sum, item) => sum + item.desired[main], 0);
+    const fillTotal = items.filter((item) => item.slot.sizeRule === "fill").reduce((sum, item) => sum + item.slot.fillValue, 0);
+    const remaining = Math.max(0, frame[main] - paddingTotal - autoTotal);
+
+    let cursor = horizontal ? frame.x : frame.y;
+    return items.map((item) => {
+      const allotted = item.slot.sizeRule === "fill"
+        ? (fillTotal > 0 ? (remaining * item.slot.fillValue) / fillTotal : 0)
+        : item.desired[main];
+      const cell = horizontal
+        ? { x: cursor, y: frame.y, width: allotted + item.slot.padding.left + item.slot.padding.right, height: frame.height }
+        : { x: frame.x, y: cursor, width: frame.width, height: allotted + item.slot.padding.top + item.slot.padding.bottom };
+      cursor += horizontal ? cell.width : cell.height;
+      return placeInCell(cell, item.slot, item.desired);
+    });
+  }
+
+  function arrangeGrid(element, items, frame) {
+    const columns = Math.max(0, ...items.map((item) => item.slot.column + item.slot.columnSpan));
+    const rows = Math.max(0, ...items.map((item) => item.slot.row + item.slot.rowSpan));
+    const widths = sizeTracks(
+      gridTrackDesired(items, columns, "column", "columnSpan", "width"),
+      readFillList(pick(element, "column_fill", "ColumnFill"), columns),
+      frame.width
+    );
+    const heights = sizeTracks(
+      gridTrackDesired(items, rows, "row", "rowSpan", "height"),
+      readFillList(pick(element, "row_fill", "RowFill"), rows),
+      frame.height
+    );
+    const offset = (sizes, index) => sizes.slice(0, index).reduce((a, b) => a + b, 0);
+    return items.map((item) => {
+      const cell = {
+        x: frame.x + offset(widths, item.slot.column),
+        y: frame.y + offset(heights, item.slot.row),
+        width: widths.slice(item.slot.column, item.slot.column + item.slot.columnSpan).reduce((a, b) => a + b, 0),
+        height: heights.slice(item.slot.row, item.slot.row + item.slot.rowSpan).reduce((a, b) => a + b, 0),
+      };
+      return placeInCell(cell, item.slot, item.desired);
+    });
+  }
+
+  function arrangeUniformGrid(element, items, frame) {
+    const slotPadding = readPadding(pick(element, "slot_padding", "SlotPadding"));
+    const columns = Math.max(1, ...items.map((item) => item.slot.column + 1));
+    const rows = Math.max(1, ...items.map((item) => item.slot.row + 1));
+    const cellWidth = frame.width / columns;
+    const cellHeight = frame.height / rows;
+    return items.map((item) => {
+      const cell = insetFrame(
+        { x: frame.x + item.slot.column * cellWidth, y: frame.y + item.slot.row * cellHeight, width: cellWidth, height: cellHeight },
+        slotPadding
+      );
+      return placeInCell(cell, item.slot, item.desired);
+    });
+  }
+
+  function arrangeWrap(element, items, frame) {
+    const { gap, wrapWidth } = wrapBoxSettings(element, frame.width);
+    const frames = new Map();
+    let y = frame.y;
+    for (const line of wrapLines(items, wrapWidth, gap)) {
+      let x = frame.x;
+      line.entries.forEach((entry, index) => {
+        let width = entry.outerWidth;
+        const spare = wrapWidth - (x - frame.x) - width;
+        const isLast = index === line.entries.length - 1;
+        if (isLast && entry.slot.fillEmptySpace) width += Math.max(0, spare);
+        if (entry.slot.fillSpanWhenLessThan > 0 && wrapWidth < entry.slot.fillSpanWhenLessThan) width = wrapWidth;
+        const cell = { x, y, width, height: line.height };
+        const slot = entry.slot.fillEmptySpace || width === wrapWidth ? { ...entry.slot, horizontal: "fill" } : entry.slot;
+        frames.set(entry.node, placeInCell(cell, slot, entry.desired));
+        x += width + gap.x;
+      });
+      y += line.height + gap.y;
+    }
+    return items.map((item) => frames.get(item.node));
+  }
+
+  function arrange(node, frame) {
+    const type = elementTypeOf(node.element);
+    const items = childItems(node);
+    if (type === "horizontalbox" || type === "verticalbox") return arrangeBox(items, frame, type === "horizontalbox");
+    // Scroll box children keep their desired size along the scroll axis and may run past the frame.
+    if (type === "scrollbox") {
+      return arrangeBox(items.map((item) => ({ ...item, slot: { ...item.slot, sizeRule: "auto" } })), frame, isHorizontalBox(node.element));
+    }
+    if (type === "overlay") return items.map((item) => placeInCell(frame, item.slot, item.desired));
+    if (type === "gridpanel") return arrangeGrid(node.element, items, frame);
+    if (type === "uniformgridpanel") return arrangeUniformGrid(node.element, items, frame);
+    if (type === "wrapbox") return arrangeWrap(node.element, items, frame);
+    return null;
+  }
+
+  return { measure, arrange };
+}
+
+const applyFrame = (element, frame) => {
+  element.position = { ...(element.position || {}), x: Math.round(frame.x), y: Math.round(frame.y) };
+  element.size = { ...(element.size || {}), width: Math.round(frame.width), height: Math.round(frame.height) };
+};
+
+/**
+ * Layout pass run before computeBounds. Children of auto-layout panels get
+ * frames from the panel; slot-based elements resolve against their parent's
+ * frame (or the target resolution for roots). Resolved absolute
+ * `position`/`size` are written back onto the (cloned) elements.
+ */
+function resolveLayout(tree, { targetResolution = defaultTargetResolution } = {}) {
+  const viewport = {
+    x: 0,
+    y: 0,
+    width: n(targetResolution?.width, defaultTargetResolution.width),
+    height: n(targetResolution?.height, defaultTargetResolution.height),
+  };
+  const panels = createPanelLayout();
+
+  const frameOf = (node) => {
+    const desired = panels.measure(node);
+    return {
+      x: n(node.element.position?.x, 0),
+      y: n(node.element.position?.y, 0),
+      width: desired.width,
+      height: desired.height,
+    };
+  };
+
+  const slotFrameOf = (node, parentFrame) => {
+    const slot = readCanvasSlot(node.element);
+    return slot ? resolveSlotFrame(slot, parentFrame, node.element, panels.measure(node)) : frameOf(node);
+  };
+
+  // Content size of each ScrollBox, for its scrollbar.
+  const scrollExtents = new Map();
+
+  const arrange = (node, frame) => {
+    applyFrame(node.element, frame);
+    const panelFrames = layoutPanelTypes.has(elementTypeOf(node.element)) ? panels.arrange(node, frame) : null;
+    if (panelFrames && elementTypeOf(node.element) === "scrollbox") {
+      scrollExtents.set(node.element, {
+        width: Math.max(0, ...panelFrames.map((child) => child.x + child.width - frame.x)),
+        height: Math.max(0, ...panelFrames.map((child) => child.y + child.height - frame.y)),
+      });
+    }
+    node.children.forEach((child, index) => {
+      arrange(child, panelFrames ? panelFrames[index] : slotFrameOf(child, frame));
+    });
+  };
+
+  tree.roots.forEach((root) => arrange(root, slotFrameOf(root, viewport)));
+  return { viewport, scrollExtents };
+}
+
+// 2D affine matrices in canvas setTransform order: [a, b, c, d, e, f] maps (x, y) to (a·x + c·y + e, b·x + d·y + f).
+const identityMatrix = [1, 0, 0, 1, 0, 0];
+
+const multiplyMatrix = (m, k) => [
+  m[0] * k[0] + m[2] * k[1],
+  m[1] * k[0] + m[3] * k[1],
+  m[0] * k[2] + m[2] * k[3],
+  m[1] * k[2] + m[3] * k[3],
+  m[0] * k[4] + m[2] * k[5] + m[4],
+  m[1] * k[4] + m[3] * k[5] + m[5],
+];
+
+const applyMatrix = (m, x, y) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+
+const isIdentityMatrix = (m) => m.every((value, index) => Math.abs(value - identityMatrix[index]) < 1e-9);
+
+/** Axis-aligned bounds of a rectangle after `matrix`. */
+function transformedExtents(matrix, x, y, width, height) {
+  const corners = [
+    applyMatrix(matrix, x, y),
+    applyMatrix(matrix, x + width, y),
+    applyMatrix(matrix, x + width, y + height),
+    applyMatrix(matrix, x, y + height),
+  ];
+  const xs = corners.map((corner) => corner.x);
+  const ys = corners.map((corner) => corner.y);
+  return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+}
+
+/**
+ * Reads UMG's `RenderTransform` (`render_transform`: `translation`, `scale`,
+ * `shear` angles and `angle`, all in degrees) and `RenderTransformPivot`
+ * (normalized, centre by default). Returns null for untransformed elements.
+ */
+function readRenderTransform(element) {
+  const source = pick(element, "render_transform", "RenderTransform");
+  if (!isElementObject(source)) return null;
+  return {
+    translation: readVector(pick(source, "translation", "Translation"), 0),
+    scale: readVector(pick(source, "scale", "Scale"), 1),
+    shear: readVector(pick(source, "shear", "Shear"), 0),
+    angle: n(pick(source, "angle", "Angle"), 0),
+    pivot: readVector(pick(element, "render_transform_pivot", "RenderTransformPivot") ?? pick(source, "pivot", "Pivot"), 0.5),
+  };
+}
+
+/**
+ * Document-space matrix for an element's render transform. Like UMG it
+ * scales, shears, rotates (clockwise) about the pivot, then translates.
+ */
+function renderTransformMatrix(element, frame) {
+  const transform = readRenderTransform(element);
+  if (!transform) return identityMatrix;
+
+  const shearFactor = (degrees) => Math.tan((Math.max(-89, Math.min(89, degrees)) * Math.PI) / 180);
+  const radians = (transform.angle * Math.PI) / 180;
+  const scale = [transform.scale.x, 0, 0, transform.scale.y, 0, 0];
+  const shear = [1, shearFactor(transform.shear.y), shearFactor(transform.shear.x), 1, 0, 0];
+  const rotate = [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+  const pivotX = frame.left + transform.pivot.x * frame.width;
+  const pivotY = frame.top + transform.pivot.y * frame.height;
+
+  const local = multiplyMatrix(rotate, multiplyMatrix(shear, scale));
+  return multiplyMatrix(
+    [1, 0, 0, 1, pivotX + transform.translation.x, pivotY + transform.translation.y],
+    multiplyMatrix(local, [1, 0, 0, 1, -pivotX, -pivotY])
+  );
+}
+
+/**
+ * Accumulated render transform of every transformed element, keyed by
+ * element. A parent's transform carries over to its children, as in UMG.
+ */
+function renderTransformMatrices(tree, offsetX = 0, offsetY = 0) {
+  const matrices = new Map();
+  const visit = (node, parentMatrix) => {
+    const frame = buildLayerFrame(node.element, offsetX, offsetY);
+    const matrix = frame ? multiplyMatrix(parentMatrix, renderTransformMatrix(node.element, frame)) : parentMatrix;
+    if (!isIdentityMatrix(matrix)) matrices.set(node.element, matrix);
+    node.children.forEach((child) => visit(child, matrix));
+  };
+  tree.roots.forEach((root) => visit(root, identityMatrix));
+  return matrices;
+}
+
+/**
+ * Re-rasterizes a layer (or every layer of a group) through `matrix`, growing
+ * it to the transformed bounds. Vector masks and editable text get the same
+ * transform; shape origination data no longer matches, so it is dropped.
+ */
+function transformLayer(layer, matrix) {
+  if (!layer) return layer;
+  if (layer.children) {
+    layer.children.forEach((child) => transformLayer(child, matrix));
+    return layer;
+  }
+
+  if (layer.canvas) {
+    const extents = transformedExtents(matrix, layer.left, layer.top, layer.right - layer.left, layer.bottom - layer.top);
+    const left = Math.floor(extents.left);
+    const top = Math.floor(extents.top);
+    const width = Math.max(1, Math.ceil(extents.right) - left);
+    const height = Math.max(1, Math.ceil(extents.bottom) - top);
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(matrix[0], matrix[1], matrix[2], matrix[3], matrix[4] - left, matrix[5] - top);
+    ctx.drawImage(layer.canvas, layer.left, layer.top);
+    Object.assign(layer, { canvas, left, top, right: left + width, bottom: top + height });
+  }
+
+  layer.vectorMask?.paths?.forEach((vectorPath) => {
+    vectorPath.knots.forEach((knot) => {
+      for (let index = 0; index < knot.points.length; index += 2) {
+        const point = applyMatrix(matrix, knot.points[index], knot.points[index + 1]);
+        knot.points[index] = point.x;
+        knot.points[index + 1] = point.y;
+      }
+    });
+  });
+  if (layer.vectorMask) delete layer.vectorOrigination;
+
+  if (layer.text?.transform) layer.text.transform = multiplyMatrix(matrix, layer.text.transform);
+  return layer;
+}
+
+// ag-psd takes layer opacity as 0–1.
+const layerOpacity = (element) => Math.min(1, Math.max(0, n(element.opacity, 1)));
+
+const tintKeys = ["tint", "tint_color", "TintColor"];
+
+/**
+ * Reads an element's tint as rgba, or null when there is none (or it is opaque white).
+ * `widgetKeys` are per-widget UMG names: ColorAndOpacity on an Image, BrushColor on a Border.
+ */
+function readTint(element, widgetKeys = []) {
+  const brush = element.brush || element.Brush || backgroundBrushOf(element)?.settings;
+  const present = (value) => value !== undefined && value !== null && value !== "";
+  const value = [...tintKeys, ...widgetKeys].map((key) => element[key]).find(present)
+    ?? tintKeys.map((key) => brush?.[key]).find(present);
+  if (value === undefined) return null;
+
+  const tint = cssColorToRgba(value, null);
+  if (!tint) {
+    console.warn(`⚠️  Unrecognised tint ${JSON.stringify(value)} on "${element.name || element.type || "element"}"; ignoring it`);
+    return null;
+  }
+  return tint.r === 255 && tint.g === 255 && tint.b === 255 && tint.a >= 1 ? null : tint;
+}
+
+const tintRgba = (color, tint) => ({
+  r: Math.round((color.r * tint.r) / 255),
+  g: Math.round((color.g * tint.g) / 255),
+  b: Math.round((color.b * tint.b) / 255),
+  a: n(color.a, 1) * tint.a,
+});
+
+/** Multiplies every pixel of a canvas by the tint colour, alpha included, like UMG's brush tint. */
+function tintCanvas(canvas, tint) {
+  if (!tint || !canvas.width || !canvas.height) return;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const factors = [tint.r / 255, tint.g / 255, tint.b / 255, tint.a];
+  const { data } = image;
+  for (let index = 0; index < data.length; index += 1) {
+    data[index] *= factors[index % 4];
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+const psdBlendModes = new Set([
+  "pass through", "normal", "dissolve", "darken", "multiply", "color burn", "linear burn", "darker color",
+  "lighten", "screen", "color dodge", "linear dodge", "lighter color", "overlay", "soft light", "hard light",
+  "vivid light", "linear light", "pin light", "hard mix", "difference", "exclusion", "subtract", "divide",
+  "hue", "saturation", "color", "luminosity",
+]);
+
+/** Resolves `blend_mode` (CSS, Photoshop or Unreal `BLEND_*` names) to an ag-psd blend mode, or null for normal. */
+function layerBlendMode(element) {
+  const value = element.blend_mode ?? element.blendMode ?? element.BlendMode;
+  if (value === undefined || value === null || value === "") return null;
+  const mode = toPsdBlendMode(String(value).replace(/^(?:E\w+::)?BLEND_/i, ""));
+  if (!psdBlendModes.has(mode)) {
+    console.warn(`⚠️  Unknown blend_mode ${JSON.stringify(value)} on "${element.name || element.type || "element"}"; using normal`);
+    return null;
+  }
+  return mode === "normal" ? null : mode;
+}
+
+const layerColors = new Set(["none", "red", "orange", "yellow", "green", "blue", "violet", "gray"]);
+const layerColorAliases = { grey: "gray", purple: "violet", seafoam: "green" };
+
+/** Photoshop layer colour label: `layer_color` when given, otherwise one per element kind. */
+function layerColorOf(element, automatic = true) {
+  const explicit = element.layer_color ?? element.layerColor;
+  if (explicit !== undefined && explicit !== null && explicit !== "") {
+    const key = String(explicit).trim().toLowerCase();
+    const color = layerColorAliases[key] || key;
+    if (layerColors.has(color)) return color;
+    console.warn(`⚠️  Unknown layer_color ${JSON.stringify(explicit)} on "${element.name || element.type || "element"}"; expected one of ${[...layerColors].join(", ")}`);
+  }
+  if (!automatic) return null;
+
+  const type = elementTypeOf(element);
+  if (textTypes.has(type)) return "blue";
+  if (imageTypes.has(type)) return "green";
+  if (inputTypes.has(type) || stateWidgetTypes.has(type) || type === "slider" || type === "spinbox") return "orange";
+  if (type === "progressbar" || type === "throbber" || type === "circularthrobber") return "yellow";
+  if (containerTypes.has(type) || panelTypes.has(type)) return "gray";
+  return null;
+}
+
+// Control-point distance that makes a cubic Bézier approximate a quarter circle.
+const bezierCircleKappa = 0.5522847498;
+
+/**
+ * Builds an ag-psd Bézier path (document coordinates) for a rounded rectangle.
+ * Knot points are [precedingX, precedingY, anchorX, anchorY, leavingX, leavingY].
+ */
+function roundedRectPath(x, y, w, h, r) {
+  const rad = Math.max(0, Math.min(Number(r || 0), Math.min(w, h) / 2));
+  const knot = (px, py, ax, ay, lx, ly) => ({ linked: rad > 0, points: [px, py, ax, ay, lx, ly] });
+  const point = (ax, ay) => knot(ax, ay, ax, ay, ax, ay);
+
+  if (rad <= 0) {
+    return {
+      open: false,
+      fillRule: "non-zero",
+      knots: [point(x, y), point(x + w, y), point(x + w, y + h), point(x, y + h)],
+    };
+  }
+
+  const k = rad * bezierCircleKappa;
+  const right = x + w;
+  const bottom = y + h;
+  return {
+    open: false,
+    fillRule: "non-zero",
+    knots: [
+      knot(x + rad - k, y, x + rad, y, x + rad, y),
+      knot(right - rad, y, right - rad, y, right - rad + k, y),
+      knot(right, y + rad - k, right, y + rad, right, y + rad),
+      knot(right, bottom - rad, right, bottom - rad, right, bottom - rad + k),
+      knot(right - rad + k, bottom, right - rad, bottom, right - rad, bottom),
+      knot(x + rad, bottom, x + rad, bottom, x + rad - k, bottom),
+      knot(x, bottom - rad + k, x, bottom - rad, x, bottom - rad),
+      knot(x, y + rad, x, y + rad, x, y + rad - k),
+    ],
+  };
+}
+
+const pixels = (value) => ({ units: "Pixels", value });
+
+function roundedRectVectorMask(frame, radius) {
+  return {
+    paths: [roundedRectPath(frame.left, frame.top, frame.width, frame.height, radius)],
+  };
+}
+
+/**
+ * Turns a rasterized Border layer into a Photoshop shape layer: solid colour
+ * fill, rounded-rect vector mask and an inside-aligned vector stroke. The
+ * rasterized canvas stays as the layer preview.
+ */
+function applyVectorShape(layer, element, frame, tint = null) {
+  const radius = Math.max(0, Math.min(n(element.border_radius, n(element.corner_radius, 0)), Math.min(frame.width, frame.height) / 2));
+  const strokeWidth = n(element.border_width, n(element.stroke_width, 0));
+  const background = element.color?.background || element.background || null;
+  const borderColor = element.color?.border || element.border_color || null;
+  const hasStroke = Boolean(borderColor) && strokeWidth > 0;
+  if (!background && !hasStroke) return layer;
+
+  const gradient = readGradient(background);
+  if (gradient?.stops.length) {
+    const stops = tint ? gradient.stops.map((stop) => ({ ...stop, color: tintRgba(stop.color, tint) })) : gradient.stops;
+    layer.vectorFill = psdGradientContent({ ...gradient, stops });
+    layer.fillOpacity = 1;
+  } else {
+    const fill = cssColorToRgba(background || "#000000", { r: 0, g: 0, b: 0, a: 1 });
+    const { a: fillAlpha, ...fillColor } = tint ? tintRgba(fill, tint) : fill;
+    layer.vectorFill = { type: "color", color: fillColor };
+    layer.fillOpacity = background ? fillAlpha : 0;
+  }
+  layer.vectorMask = roundedRectVectorMask(frame, radius);
+  layer.vectorOrigination = {
+    keyDescriptorList: [
+      {
+        keyOriginType: radius > 0 ? 2 : 1,
+        keyOriginResolution: 72,
+        keyOriginRRectRadii: {
+          topRight: pixels(radius),
+          topLeft: pixels(radius),
+          bottomLeft: pixels(radius),
+          bottomRight: pixels(radius),
+        },
+        keyOriginShapeBoundingBox: {
+          top: pixels(frame.top),
+          left: pixels(frame.left),
+          bottom: pixels(frame.bottom),
+          right: pixels(frame.right),
+        },
+      },
+    ],
+  };
+
+  if (hasStroke) {
+    const { a: strokeAlpha, ...strokeColor } = cssColorToRgba(solidColorOf(borderColor), { r: 0, g: 0, b: 0, a: 1 });
+    layer.vectorStroke = {
+      strokeEnabled: true,
+      fillEnabled: Boolean(background),
+      lineWidth: pixels(strokeWidth),
+      lineDashOffset: pixels(0),
+      miterLimit: 100,
+      lineCapType: "butt",
+      lineJoinType: "miter",
+      lineAlignment: "inside",
+      scaleLock: false,
+      strokeAdjust: false,
+      lineDashSet: [],
+      blendMode: "normal",
+      opacity: strokeAlpha,
+      content: { type: "color", color: strokeColor },
+      resolution: 72,
+    };
+  }
+
+  return layer;
+}
+
+const brushFits = ["stretch", "contain", "cover", "none", "tile"];
+
+// Short names plus the UMG enum spellings (ESlateBrushTileType / ESlateBrushDrawType).
+const brushTilingAliases = { none: "none", notile: "none", horizontal: "horizontal", vertical: "vertical", both: "both" };
+const brushDrawAsAliases = { image: "image", roundedbox: "image", box: "box", border: "border", none: "none", nodrawtype: "none" };
+
+const readBrushEnum = (value, aliases, fallback) => {
+  if (typeof value !== "string") return fallback;
+  const key = value.replace(/^ESlateBrush\w+::/i, "").replace(/[\s_-]+/g, "").toLowerCase();
+  return aliases[key] ?? fallback;
+};
+
+/**
+ * Normalizes how an image brush paints its frame. Settings are read from the
+ * first source that defines them, so an element's own `fit` wins over its
+ * `brush` object. `draw_as` "box" or "border" turns on nine-slice scaling
+ * with `margin`; `image_size` is the tile size and the size used by fit "none".
+ */
+function readBrush(...sources) {
+  const setting = (...keys) => {
+    for (const source of sources) {
+      const value = pick(source, ...keys);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  };
+
+  const fitValue = String(setting("fit", "Fit") ?? "").toLowerCase();
+  const fit = brushFits.includes(fitValue) ? fitValue : "stretch";
+  const tiling = readBrushEnum(setting("tiling", "Tiling"), brushTilingAliases, "none");
+  const imageSize = setting("image_size", "ImageSize");
+
+  return {
+    fit,
+    tiling: fit === "tile" && tiling === "none" ? "both" : tiling,
+    drawAs: readBrushEnum(setting("draw_as", "DrawAs"), brushDrawAsAliases, "image"),
+    margin: readPadding(setting("margin", "Margin")),
+    imageSize: isElementObject(imageSize) ? readVector(imageSize, 0) : null,
+    alignment: readVector(setting("fit_alignment", "FitAlignment"), 0.5),
+  };
+}
+
+// A Border's `background_image` is either a path or a brush object with its own `image_source`.
+function backgroundBrushOf(element) {
+  const key = element?.background_image !== undefined ? "background_image" : "backgroundImage";
+  const value = element?.[key];
+  if (typeof value === "string" && value.trim()) return { key, source: value.trim(), settings: {} };
+  if (isElementObject(value)) {
+    const source = pick(value, "image_source", "imageSource");
+    if (typeof source === "string" && source.trim()) return { key, source: source.trim(), settings: value };
+  }
+  return null;
+}
+
+async function loadBrushImage(source, baseDir, assetCache) {
+  try {
+    return await loadImage(await imageSourcePath(source, baseDir, assetCache));
+  } catch (err) {
+    console.warn(`⚠️  Failed to load image "${source}": ${err.message}`);
+    return null;
+  }
+}
+
+// Like UMG, margins up to 1 are fractions of the source image; larger values are pixels.
+const brushMarginPixels = (value, size) => Math.max(0, value <= 1 ? value * size : value);
+
+function drawNineSlice(ctx, image, brush, width, height) {
+  const { margin } = brush;
+  const sourceX = [0, brushMarginPixels(margin.left, image.width), image.width - brushMarginPixels(margin.right, image.width), image.width];
+  const sourceY = [0, brushMarginPixels(margin.top, image.height), image.height - brushMarginPixels(margin.bottom, image.height), image.height];
+
+  // Edges keep their source thickness (scaled by image_size) and shrink together when the frame is too small.
+  const scaleX = brush.imageSize?.x > 0 ? brush.imageSize.x / image.width : 1;
+  const scaleY = brush.imageSize?.y > 0 ? brush.imageSize.y / image.height : 1;
+  let left = sourceX[1] * scaleX;
+  let right = (image.width - sourceX[2]) * scaleX;
+  let top = sourceY[1] * scaleY;
+  let bottom = (image.height - sourceY[2]) * scaleY;
+  if (left + right > width) {
+    const shrink = width / (left + right);
+    left *= shrink;
+    right *= shrink;
+  }
+  if (top + bottom > height) {
+    const shrink = height / (top + bottom);
+    top *= shrink;
+    bottom *= shrink;
+  }
+  const targetX = [0, left, width - right, width];
+  const targetY = [0, top, height - bottom, height];
+
+  for (let row = 0; row < 3; row += 1) {
+    for (let column = 0; column < 3; column += 1) {
+      if (brush.drawAs === "border" && row === 1 && column === 1) continue;
+      const sw = sourceX[column + 1] - sourceX[column];
+      const sh = sourceY[row + 1] - sourceY[row];
+      const tw = targetX[column + 1] - targetX[column];
+      const th = targetY[row + 1] - targetY[row];
+      if (sw <= 0 || sh <= 0 || tw <= 0 || th <= 0) continue;
+      ctx.drawImage(image, sourceX[column], sourceY[row], sw, sh, targetX[column], targetY[row], tw, th);
+    }
+  }
+}
+
+/** Paints `image` into a width × height area following a brush from `readBrush`. */
+function drawBrush(ctx, image, brush, width, height) {
+  if (brush.drawAs === "none") return;
+  if (brush.drawAs === "box" || brush.drawAs === "border") {
+    drawNineSlice(ctx, image, brush, width, height);
+    return;
+  }
+
+  const natural = brush.imageSize?.x > 0 && brush.imageSize?.y > 0
+    ? brush.imageSize
+    : { x: image.width, y: image.height };
+
+  if (brush.tiling !== "none") {
+    // Tiling along one axis stretches the image across the other, as UMG does.
+    const tileWidth = Math.max(1, brush.tiling === "vertical" ? width : natural.x);
+    const tileHeight = Math.max(1, brush.tiling === "horizontal" ? height : natural.y);
+    for (let y = 0; y < height; y += tileHeight) {
+      for (let x = 0; x < width; x += tileWidth) {
+        ctx.drawImage(image, x, y, tileWidth, tileHeight);
+      }
+    }
+    return;
+  }
+
+  let drawWidth = width;
+  let drawHeight = height;
+  if (brush.fit === "contain" || brush.fit === "cover") {
+    const scale = (brush.fit === "contain" ? Math.min : Math.max)(width / image.width, height / image.height);
+    drawWidth = image.width * scale;
+    drawHeight = image.height * scale;
+  } else if (brush.fit === "none") {
+    drawWidth = natural.x;
+    drawHeight = natural.y;
+  }
+
+  ctx.drawImage(
+    image,
+    (width - drawWidth) * brush.alignment.x,
+    (height - drawHeight) * brush.alignment.y,
+    drawWidth,
+    drawHeight
+  );
+}
+
+async function renderBorderLayer(element, frame, options = {}) {
+  const radius = n(element.border_radius, n(element.corner_radius, 0));
+  const strokeWidth = n(element.border_width, n(element.stroke_width, 0));
+  const background = element.color?.background || element.background || null;
+  const borderColor = element.color?.border || element.border_color || null;
+  const backgroundBrush = backgroundBrushOf(element);
+  const backgroundImage = backgroundBrush ? await loadBrushImage(backgroundBrush.source, options.baseDir, options.assetCache) : null;
+  const layerName = element.name || element.type || "Border";
+  const tint = readTint(element, ["brush_color", "BrushColor"]);
+
+  const canvas = createCanvas(frame.width, frame.height);
+  const ctx = canvas.getContext("2d");
+  const strokePaint = borderColor && strokeWidth > 0 ? canvasPaint(ctx, borderColor, frame.width, frame.height, { label: layerName }) : null;
+
+  if (background || backgroundImage) {
+    ctx.save();
+    if (radius > 0) {
+      rr(ctx, 0, 0, frame.width, frame.height, radius);
+      ctx.clip();
+    }
+    const paint = background ? canvasPaint(ctx, background, frame.width, frame.height, { label: layerName }) : null;
+    if (paint) {
+      ctx.fillStyle = paint;
+      ctx.fillRect(0, 0, frame.width, frame.height);
+    }
+    if (backgroundImage) {
+      drawBrush(ctx, backgroundImage, readBrush(backgroundBrush.settings), frame.width, frame.height);
+    }
+    ctx.restore();
+    // The tint (UMG BrushColor) multiplies the brush only, not the outline drawn below.
+    tintCanvas(canvas, tint);
+  }
+
+  if (strokePaint) {
+    ctx.save();
+    rr(ctx, strokeWidth / 2, strokeWidth / 2, frame.width - strokeWidth, frame.height - strokeWidth, Math.max(0, radius - strokeWidth / 2));
+    ctx.lineWidth = strokeWidth;
+    ctx.strokeStyle = strokePaint;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  const layer = {
+    name: layerName,
+    canvas,
+    top: frame.top,
+    left: frame.left,
+    right: frame.right,
+    bottom: frame.bottom,
+    opacity: layerOpacity(element),
+  };
+
+  return options.vectorShapes ? applyVectorShape(layer, element, frame, tint) : layer;
+}
+
+async function renderImageLayer(element, frame, baseDir, options = {}) {
+  const source = element.image_source || element.imageSource;
+  if (!source) return null;
+
+  const image = await loadBrushImage(source, baseDir, options.assetCache);
+  if (!image) return null;
+
+  const canvas = createCanvas(frame.width, frame.height);
+  const ctx = canvas.getContext("2d");
+  const radius = n(element.border_radius, n(element.corner_radius, 0));
+  // With vector shapes the corners are cut by a vector mask instead of being baked into the pixels.
+  const clipCorners = radius > 0 && !options.vectorShapes;
+
+  if (clipCorners) {
+    ctx.save();
+    rr(ctx, 0, 0, frame.width, frame.height, radius);
+    ctx.clip();
+  }
+
+  drawBrush(ctx, image, readBrush(element, element.brush), frame.width, frame.height);
+
+  if (clipCorners) ctx.restore();
+  tintCanvas(canvas, readTint(element, ["ColorAndOpacity", "color_and_opacity"]));
+
+  const strokePaint = element.color?.border && n(element.border_width, 0) > 0
+    ? canvasPaint(ctx, element.color.border, frame.width, frame.height, { label: element.name || element.type || "Image" })
+    : null;
+  if (strokePaint) {
+    const stroke = n(element.border_width, 1);
+    ctx.save();
+    rr(ctx, stroke / 2, stroke / 2, frame.width - stroke, frame.height - stroke, Math.max(0, radius - stroke / 2));
+    ctx.lineWidth = stroke;
+    ctx.strokeStyle = strokePaint;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  const layer = {
+    name: element.name || element.type || "Image",
+    canvas,
+    top: frame.top,
+    left: frame.left,
+    right: frame.right,
+    bottom: frame.bottom,
+    opacity: layerOpacity(element),
+  };
+
+  if (radius > 0 && options.vectorShapes) {
+    layer.vectorMask = roundedRectVectorMask(frame, radius);
+  }
+
+  return layer;
+}
+
+const fontFileExtensions = new Set([".ttf", ".otf", ".ttc", ".otc"]);
+const genericFontFamilies = new Set(["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui"]);
+const fontFallbackFiles = ["font-fallbacks.json"];
+
+// Chains are keyed by Unicode script name (lower case), "cjk", "emoji" or "default".
+const defaultFontFallbacks = {
+  cjk: [
+    "Noto Sans CJK SC",
+    "Noto Sans CJK JP",
+    "Noto Sans CJK KR",
+    "Noto Sans SC",
+    "Noto Sans JP",
+    "Noto Sans KR",
+    "Source Han Sans",
+    "Microsoft YaHei",
+    "PingFang SC",
+    "Hiragino Sans",
+    "Malgun Gothic",
+  ],
+  emoji: ["Noto Color Emoji", "Apple Color Emoji", "Segoe UI Emoji"],
+  default: ["Noto Sans", "DejaVu Sans", "Arial", "Helvetica"],
+};
+
+const fontScripts = [
+  "Han",
+  "Hiragana",
+  "Katakana",
+  "Hangul",
+  "Bopomofo",
+  "Arabic",
+  "Hebrew",
+  "Cyrillic",
+  "Greek",
+  "Thai",
+  "Devanagari",
+  "Bengali",
+  "Tamil",
+  "Armenian",
+  "Georgian",
+  "Latin",
+].map((name) => ({ key: name.toLowerCase(), pattern: new RegExp(`\\p{Script=${name}}`, "u") }));
+const cjkScripts = new Set(["han", "hiragana", "katakana", "hangul", "bopomofo"]);
+
+/** Fallback chain keys for a character, most specific first. */
+function fallbackKeys(char) {
+  if (/\p{Extended_Pictographic}/u.test(char)) return ["emoji", "default"];
+  const script = fontScripts.find(({ pattern }) => pattern.test(char))?.key;
+  return [script, cjkScripts.has(script) ? "cjk" : null, "default"].filter(Boolean);
+}
+
+function systemFontDirs() {
+  if (process.platform === "win32") return [path.join(process.env.WINDIR || "C:\\Windows", "Fonts")];
+  if (process.platform === "darwin") {
+    return ["/System/Library/Fonts", "/Library/Fonts", path.join(os.homedir(), "Library", "Fonts")];
+  }
+  return ["/usr/share/fonts", "/usr/local/share/fonts", path.join(os.homedir(), ".local", "share", "fonts"), path.join(os.homedir(), ".fonts")];
+}
+
+const readUtf16 = (bytes) => Buffer.from(bytes).swap16().toString("utf16le");
+
+// Family (1/16) and subfamily (2/17) names, preferring Windows English entries.
+function readFontNames(table) {
+  const count = table.readUInt16BE(2);
+  const storage = table.readUInt16BE(4);
+  const names = {};
+  const ranks = {};
+  for (let i = 0; i < count; i++) {
+    const at = 6 + i * 12;
+    const platform = table.readUInt16BE(at);
+    const encoding = table.readUInt16BE(at + 2);
+    const language = table.readUInt16BE(at + 4);
+    const id = table.readUInt16BE(at + 6);
+    if (![1, 2, 16, 17].includes(id)) continue;
+    const rank = platform === 3 && language === 0x409 ? 3 : platform === 3 || platform === 0 ? 2 : platform === 1 && encoding === 0 ? 1 : 0;
+    if (rank <= (ranks[id] || 0)) continue;
+    const start = storage + table.readUInt16BE(at + 10);
+    const bytes = table.subarray(start, start + table.readUInt16BE(at + 8));
+    names[id] = platform === 1 ? bytes.toString("latin1") : readUtf16(bytes);
+    ranks[id] = rank;
+  }
+  return names;
+}
+
+// Covered code points as sorted [start, end] ranges, from a format 12 or format 4 Unicode cmap.
+function readCmapRanges(table) {
+  const subtables = [];
+  for (let i = 0; i < table.readUInt16BE(2); i++) {
+    const at = 4 + i * 8;
+    const offset = table.readUInt32BE(at + 4);
+    subtables.push({ platform: table.readUInt16BE(at), encoding: table.readUInt16BE(at + 2), offset, format: table.readUInt16BE(offset) });
+  }
+  const unicode = (entry) => entry.platform === 0 || (entry.platform === 3 && (entry.encoding === 1 || entry.encoding === 10));
+  const full = subtables.find((entry) => unicode(entry) && entry.format === 12);
+  const basic = subtables.find((entry) => unicode(entry) && entry.format === 4);
+  const ranges = [];
+  if (full) {
+    const groups = table.readUInt32BE(full.offset + 12);
+    for (let i = 0; i < groups; i++) {
+      const at = full.offset + 16 + i * 12;
+      ranges.push([table.readUInt32BE(at), table.readUInt32BE(at + 4)]);
+    }
+  } else if (basic) {
+    const segments = table.readUInt16BE(basic.offset + 6) / 2;
+    const ends = basic.offset + 14;
+    const starts = ends + segments * 2 + 2;
+    for (let i = 0; i < segments; i++) {
+      const start = table.readUInt16BE(starts + i * 2);
+      const end = table.readUInt16BE(ends + i * 2);
+      if (start !== 0xffff) ranges.push([start, end]);
+    }
+  } else {
+    return null;
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Reads the faces of a TTF/OTF/TTC file: family names, weight, style and
+ * character coverage. Only the name, OS/2 and cmap tables are read.
+ */
+function readFontFaces(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const read = (offset, length) => {
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, offset);
+      return buffer;
+    };
+    let offsets = [0];
+    if (read(0, 4).toString("latin1") === "ttcf") {
+      const count = read(8, 4).readUInt32BE(0);
+      const list = read(12, count * 4);
+      offsets = Array.from({ length: count }, (_, i) => list.readUInt32BE(i * 4));
+    }
+    return offsets.flatMap((offset) => {
+      const tableCount = read(offset + 4, 2).readUInt16BE(0);
+      const directory = read(offset + 12, tableCount * 16);
+      const tables = {};
+      for (let i = 0; i < tableCount; i++) {
+        tables[directory.toString("latin1", i * 16, i * 16 + 4)] = {
+          offset: directory.readUInt32BE(i * 16 + 8),
+          length: directory.readUInt32BE(i * 16 + 12),
+        };
+      }
+      if (!tables.name) return [];
+      const names = readFontNames(read(tables.name.offset, tables.name.length));
+      const os2 = tables["OS/2"]?.length >= 64 ? read(tables["OS/2"].offset, 64) : null;
+      const family = names[16] || names[1];
+      if (!family) return [];
+      return [
+        {
+          path: filePath,
+          family,
+          families: [...new Set([family, names[1]].filter(Boolean))],
+          subfamily: names[17] || names[2] || "Regular",
+          weight: os2 ? os2.readUInt16BE(4) : /bold/i.test(names[2] || "") ? 700 : 400,
+          style: (os2 ? os2.readUInt16BE(62) & 1 : /italic|oblique/i.test(names[2] || "")) ? "italic" : "normal",
+          coverage: tables.cmap ? readCmapRanges(read(tables.cmap.offset, tables.cmap.length)) : null,
+        },
+      ];
+    });
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Font directories are scanned once per process.
+const scannedFontDirs = new Map();
+
+function scanFontDir(dir, { quiet = false } = {}) {
+  const resolved = path.resolve(dir);
+  if (scannedFontDirs.has(resolved)) return scannedFontDirs.get(resolved);
+  const faces = [];
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (fontFileExtensions.has(path.extname(entry.name).toLowerCase())) {
+        try {
+          faces.push(...readFontFaces(full));
+        } catch (err) {
+          if (!quiet) console.warn(`⚠️  Skipping unreadable font ${full}: ${err.message}`);
+        }
+      }
+    }
+  };
+  walk(resolved);
+  scannedFontDirs.set(resolved, faces);
+  return faces;
+}
+
+// Each file is registered with the canvas once per family name.
+const registeredFonts = new Set();
+
+function registerFontFace(face, family = face.family) {
+  const key = `${face.path}|${family}`;
+  if (registeredFonts.has(key)) return;
+  registeredFonts.add(key);
+  try {
+    registerFont(face.path, { family, weight: String(face.weight), style: face.style });
+  } catch (err) {
+    console.warn(`⚠️  Failed to register font ${face.path}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads fallback chains from an object or a JSON file, defaulting to
+ * font-fallbacks.json next to the layout. Keys are matched case-insensitively.
+ */
+function loadFontFallbacks(value, jsonDir) {
+  let chains = value;
+  if (chains === undefined || typeof chains === "string") {
+    const resolved = chains
+      ? path.resolve(chains)
+      : fontFallbackFiles.map((file) => path.join(jsonDir, file)).find((file) => fs.existsSync(file));
+    if (!resolved) return {};
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Font fallbacks file not found: ${resolved}`);
+    }
+    chains = readJson(resolved);
+  }
+  if (!isElementObject(chains)) {
+    throw new Error("Font fallbacks must be an object of script name → font families");
+  }
+  return Object.fromEntries(Object.entries(chains).map(([key, families]) => [key.toLowerCase(), toArray(families).map(String)]));
+}
+
+/**
+ * Fonts available to a pipeline run: the faces in `fontsDir` (registered with
+ * the canvas up front), fonts declared through `font.paths`, and installed
+ * system fonts, which are only scanned when a family is not found otherwise.
+ */
+function createFontCatalog({ fontsDir, fallbacks = {} } = {}) {
+  if (fontsDir && !fs.existsSync(fontsDir)) {
+    throw new Error(`Fonts directory not found: ${path.resolve(fontsDir)}`);
+  }
+  const provided = fontsDir ? [...scanFontDir(fontsDir)] : [];
+  provided.forEach((face) => registerFontFace(face));
+  let system;
+  const chains = { ...defaultFontFallbacks, ...fallbacks };
+
+  const facesOf = (faces, family) => {
+    const key = family.toLowerCase();
+    return faces.filter((face) => face.families.some((name) => name.toLowerCase() === key));
+  };
+
+  return {
+    /** Registers `font.paths` files under `font.family`, resolving paths against the layout. */
+    declare(font, baseDir) {
+      const family = font.family || defaultFontFamily;
+      for (const fontPath of toArray(font.paths || font.path || font.file)) {
+        if (!fontPath) continue;
+        const abs = [path.resolve(baseDir, fontPath), path.resolve(fontPath)].find((candidate) => fs.existsSync(candidate));
+        if (!abs) continue;
+        let faces;
+        try {
+          faces = readFontFaces(abs);
+        } catch {
+          faces = [];
+        }
+        if (!faces.length) faces = [{ path: abs, family, families: [], weight: 400, style: "normal", coverage: null }];
+        for (const face of faces) {
+          const declared = { ...face, families: [...new Set([family, ...face.families])] };
+          if (!provided.some((known) => known.path === abs && known.families.includes(family))) provided.push(declared);
+          registerFontFace(declared, family);
+        }
+      }
+    },
+    /** Closest face of a family by weight and style, or null when it is not installed. */
+    match(family, weight = 400, style = "normal") {
+      let faces = facesOf(provided, family);
+      if (!faces.length) {
+        system ??= systemFontDirs().flatMap((dir) => scanFontDir(dir, { quiet: true }));
+        faces = facesOf(system, family);
+      }
+      const italic = style !== "normal";
+      const distance = (face) => Math.abs(face.weight - weight) + ((face.style !== "normal") === italic ? 0 : 1000);
+      return faces.reduce((best, face) => (!best || distance(face) < distance(best) ? face : best), null);
+    },
+    covers(face, char) {
+      if (!face.coverage) return true;
+      const code = char.codePointAt(0);
+      let low = 0;
+      let high = face.coverage.length - 1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        const [start, end] = face.coverage[mid];
+        if (code < start) high = mid - 1;
+        else if (code > end) low = mid + 1;
+        else return true;
+      }
+      return false;
+    },
+    chainFor(char) {
+      return fallbackKeys(char).flatMap((key) => chains[key] || []);
+    },
+    /** The same faces with other fallback chains, for layouts that bring their own. */
+    withFallbacks(other = {}) {
+      const merged = { ...chains, ...other };
+      return { ...this, chainFor: (char) => fallbackKeys(char).flatMap((key) => merged[key] || []) };
+    },
+  };
+}
+
+// Text an element draws with its own font.
+function fontCoverageText(element) {
+  const text = (element.content ?? element.text ?? "").toString();
+  const parts = [isRichText(element) ? parseRichText(text).map((segment) => segment.text || "").join("") : text];
+  for (const value of [pick(element, "selected_option", "SelectedOption"), ...toArray(pick(element, "options", "default_options", "DefaultOptions"))]) {
+    if (typeof value === "string") parts.push(value);
+  }
+  return parts.join("");
+}
+
+const characterSample = (chars) => (chars.length > 12 ? `${chars.slice(0, 12).join("")}…` : chars.join(""));
+
+/**
+ * Checks each element's font against the catalog. Characters its family lacks
+ * are given to the first font of their fallback chain that has them; the chosen
+ * families land in `fallback_families` for resolveTextStyle. Returns one report
+ * entry per element whose family is missing or needed fallbacks.
+ */
+function planElementFonts(elements, catalog, { baseDir = process.cwd(), warnings = [] } = {}) {
+  const report = [];
+  for (const element of elements) {
+    const font = element.font || {};
+    catalog.declare(font, baseDir);
+    const chars = [...new Set(fontCoverageText(element))].filter((char) => !/[\s\p{Cc}\p{Cf}]/u.test(char));
+    if (!chars.length) continue;
+
+    const family = font.family || defaultFontFamily;
+    if (genericFontFamilies.has(family.toLowerCase())) continue;
+    const weightKey = (font.weight || "normal").toString().toLowerCase();
+    const weight = Number(weightMap[weightKey] || weightKey) || 400;
+    const style = (font.style || "normal").toString().toLowerCase();
+    const primary = catalog.match(family, weight, style);
+    const uncovered = primary ? chars.filter((char) => !catalog.covers(primary, char)) : chars;
+    if (!uncovered.length) continue;
+
+    const fallbacks = [];
+    const substituted = [];
+    const missingGlyphs = [];
+    for (const char of uncovered) {
+      const chain = [...toArray(font.fallbacks), ...catalog.chainFor(char)];
+      const fallback = chain.find((name) => {
+        const face = catalog.match(name, weight, style);
+        return face && catalog.covers(face, char);
+      });
+      if (fallback) {
+        if (!fallbacks.includes(fallback)) fallbacks.push(fallback);
+        substituted.push(char);
+      } else {
+        missingGlyphs.push(char);
+      }
+    }
+    if (fallbacks.length) element.fallback_families = fallbacks;
+
+    const name = element.name || element.type || "Text";
+    // The implicit default family is substituted quietly, but still reported.
+    if (!primary && font.family) {
+      warnings.push(`Font "${family}" for "${name}" is not installed; using ${fallbacks.join(", ") || "the default font"}`);
+    }
+    if (missingGlyphs.length) {
+      warnings.push(`No available font has glyphs for "${characterSample(missingGlyphs)}" in "${name}"; they will render as tofu`);
+    }
+    report.push({
+      element: name,
+      family,
+      found: Boolean(primary),
+      fallbacks,
+      substituted: substituted.join(""),
+      missingGlyphs: missingGlyphs.join(""),
+    });
+  }
+  return report;
+}
+
+const postScriptFamilies = {
+  arial: { base: "Arial", suffix: "MT", regular: "ArialMT" },
+  "times new roman": { base: "TimesNewRomanPS", suffix: "MT", regular: "TimesNewRomanPSMT" },
+  "courier new": { base: "CourierNewPS", suffix: "MT", regular: "CourierNewPSMT" },
+};
+
+const postScriptWeightNames = {
+  100: "Thin",
+  200: "ExtraLight",
+  300: "Light",
+  500: "Medium",
+  600: "SemiBold",
+  700: "Bold",
+  800: "ExtraBold",
+  900: "Black",
+};
+
+function resolvePostScriptName(font, family, weight, style) {
+  const explicit = font.postscript_name || font.postscriptName;
+  if (explicit) return explicit;
+
+  const known = postScriptFamilies[family.toLowerCase()];
+  const weightName = postScriptWeightNames[Number(weight)] || "";
+  const italic = style === "italic" || style === "oblique" ? "Italic" : "";
+  const variant = `${weightName}${italic}`;
+
+  if (known) return variant ? `${known.base}-${variant}${known.suffix}` : known.regular;
+  const base = family.replace(/\s+/g, "");
+  return variant ? `${base}-${variant}` : base;
+}
+
+const colorProbeSentinel = "#010203";
+
+const colorProbe = (() => {
+  let ctx = null;
+  return () => {
+    if (!ctx) ctx = createCanvas(1, 1).getContext("2d");
+    return ctx;
+  };
+})();
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// sRGB transfer function: UMG's FLinearColor stores linear channels.
+const linearToSrgb = (value) => (value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055);
+
+// Unreal text exports write colours as "(R=1.000000,G=0.5,B=0,A=1)".
+const unrealColorPattern = /^\(\s*R=([-\d.eE+]+)\s*,\s*G=([-\d.eE+]+)\s*,\s*B=([-\d.eE+]+)\s*(?:,\s*A=([-\d.eE+]+)\s*)?\)$/i;
+
+function linearColorToRgba(value) {
+  // A SlateColor wraps its colour in SpecifiedColor.
+  const color = isElementObject(value.SpecifiedColor) ? value.SpecifiedColor : value;
+  const channel = (key) => n(color[key] ?? color[key.toLowerCase()], key === "A" ? 1 : 0);
+  const space = String(color.space ?? color.color_space ?? "linear").toLowerCase();
+  const encode = space === "srgb" ? clamp01 : (channelValue) => linearToSrgb(clamp01(channelValue));
+  return {
+    r: Math.round(encode(channel("R")) * 255),
+    g: Math.round(encode(channel("G")) * 255),
+    b: Math.round(encode(channel("B")) * 255),
+    a: clamp01(channel("A")),
+  };
+}
+
+/**
+ * The colour parser every renderer goes through. Accepts CSS colours (hex
+ * with optional alpha, rgb()/rgba(), names), Unreal hex without "#"
+ * (RRGGBB or RRGGBBAA), "(R=..,G=..,B=..,A=..)" exports and LinearColor
+ * objects `{R, G, B, A}`, which are linear unless they set `space: "sRGB"`.
+ * Returns `fallback` for anything else.
+ */
+function cssColorToRgba(value, fallback = { r: 255, g: 255, b: 255, a: 1 }) {
+  if (isElementObject(value)) {
+    const color = isElementObject(value.SpecifiedColor) ? value.SpecifiedColor : value;
+    const hasChannels = ["R", "G", "B", "r", "g", "b"].some((key) => typeof color[key] === "number");
+    return hasChannels ? linearColorToRgba(value) : fallback;
+  }
+  if (typeof value !== "string" || !value.trim()) return fallback;
+  let color = value.trim();
+
+  const unreal = unrealColorPattern.exec(color);
+  if (unreal) {
+    return linearColorToRgba({ R: Number(unreal[1]), G: Number(unreal[2]), B: Number(unreal[3]), A: unreal[4] === undefined ? 1 : Number(unreal[4]) });
+  }
+  if (/^[0-9a-f]{6}(?:[0-9a-f]{2})?$/i.test(color)) color = `#${color}`;
+
+  if (!/^#|^rgba?\(/i.test(color)) {
+    // Canvas ignores unknown colour names, so an unchanged sentinel means the name is invalid.
+    const ctx = colorProbe();
+    ctx.fillStyle = colorProbeSentinel;
+    ctx.fillStyle = color;
+    const normalized = String(ctx.fillStyle);
+    if (normalized === colorProbeSentinel) return fallback;
+    color = normalized;
+  }
+
+  const hex = /^#([0-9a-f]{3,8})$/i.exec(color);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = digits.split("").map((d) => d + d).join("");
+    if (digits.length !== 6 && digits.length !== 8) return fallback;
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  const fn = /^rgba?\(([^)]+)\)$/i.exec(color);
+  if (fn) {
+    const parts = fn[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (parts.length < 3 || parts.slice(0, 3).some((v) => !Number.isFinite(v))) return fallback;
+    return { r: parts[0], g: parts[1], b: parts[2], a: Number.isFinite(parts[3]) ? parts[3] : 1 };
+  }
+
+  return fallback;
+}
+
+const rgbaCss = (color, alpha = 1) => `rgba(${n(color?.r, 0)}, ${n(color?.g, 0)}, ${n(color?.b, 0)}, ${alpha})`;
+
+const gradientTypes = ["linear", "radial"];
+
+// CSS keyword directions for `linear-gradient(to ...)`, as CSS angles.
+const gradientDirections = {
+  top: 0,
+  "top right": 45,
+  right: 90,
+  "bottom right": 135,
+  bottom: 180,
+  "bottom left": 225,
+  left: 270,
+  "top left": 315,
+};
+
+// Splits on commas outside parentheses, so rgba() stops stay whole.
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of value) {
+    if (char === "(") depth += 1;
+    if (char === ")") depth -= 1;
+    if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseCssGradient(value) {
+  const match = /^(linear|radial)-gradient\((.*)\)$/is.exec(value.trim());
+  if (!match) return null;
+  const args = splitTopLevel(match[2]);
+  const gradient = { type: match[1].toLowerCase(), stops: [] };
+
+  const first = args[0]?.toLowerCase() ?? "";
+  const angle = /^(-?[\d.]+)(deg|turn|rad)$/.exec(first);
+  if (angle) {
+    const amount = Number(angle[1]);
+    gradient.angle = angle[2] === "turn" ? amount * 360 : angle[2] === "rad" ? (amount * 180) / Math.PI : amount;
+    args.shift();
+  } else if (first.startsWith("to ")) {
+    const key = first.slice(3).trim().split(/\s+/).sort((a, b) => (a === "top" || a === "bottom" ? -1 : b === "top" || b === "bottom" ? 1 : 0)).join(" ");
+    gradient.angle = gradientDirections[key] ?? 180;
+    args.shift();
+  } else if (gradient.type === "radial" && cssColorToRgba(args[0]?.replace(/\s+[-\d.]+%$/, ""), null) === null) {
+    // Shape and position arguments ("circle at center") are not modelled.
+    args.shift();
+  }
+
+  for (const arg of args) {
+    const stop = /^(.*?)\s+(-?[\d.]+)%$/.exec(arg);
+    gradient.stops.push(stop ? { color: stop[1], offset: Number(stop[2]) / 100 } : { color: arg });
+  }
+  return gradient;
+}
+
+/**
+ * Normalizes a gradient paint: `{ type: "linear" | "radial", angle, center,
+ * radius, stops }` or a CSS `linear-gradient()` / `radial-gradient()` string.
+ * Angles follow CSS (0 points up, 90 to the right). Stops are colours or
+ * `{ offset, color }`; missing offsets are spread evenly. Returns null when
+ * `value` is not a gradient, and lists unparseable stop colours in `invalid`.
+ */
+function readGradient(value) {
+  let source = null;
+  if (typeof value === "string") source = parseCssGradient(value);
+  else if (isElementObject(value) && gradientTypes.includes(String(value.type).toLowerCase())) source = value;
+  if (!source) return null;
+
+  const rawStops = toArray(source.stops);
+  const invalid = [];
+  const stops = rawStops.map((stop, index) => {
+    const entry = Array.isArray(stop) ? { offset: stop[0], color: stop[1] } : isElementObject(stop) && !("R" in stop) ? stop : { color: stop };
+    const color = cssColorToRgba(entry.color, null);
+    if (!color) invalid.push(entry.color);
+    const evenOffset = rawStops.length > 1 ? index / (rawStops.length - 1) : 0;
+    return {
+      offset: clamp01(n(entry.offset ?? entry.position ?? entry.location, evenOffset)),
+      color: color || { r: 0, g: 0, b: 0, a: 0 },
+    };
+  });
+
+  return {
+    type: String(source.type).toLowerCase(),
+    angle: n(source.angle, 180),
+    center: readVector(source.center, 0.5),
+    radius: n(source.radius, 1),
+    stops: stops.sort((a, b) => a.offset - b.offset),
+    invalid,
+  };
+}
+
+const isParsablePaint = (value) => {
+  const gradient = readGradient(value);
+  return gradient ? gradient.stops.length > 0 && gradient.invalid.length === 0 : isParsableColor(value);
+};
+
+// First stop of a gradient, or the colour itself, for places that only take a solid colour.
+const solidColorOf = (value) => {
+  const gradient = readGradient(value);
+  if (!gradient) return value;
+  const { a, ...rgb } = gradient.stops[0]?.color || { r: 0, g: 0, b: 0, a: 0 };
+  return rgbaCss(rgb, a);
+};
+
+/**
+ * Resolves a colour to a CSS string canvas understands. Unparseable colours
+ * are reported instead of silently painting black; `fallback` (null to skip
+ * painting) is used in their place.
+ */
+function colorToCss(value, { fallback = null, label = "element" } = {}) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const rgba = cssColorToRgba(value, null);
+  if (!rgba) {
+    console.warn(`⚠️  Unrecognised colour ${JSON.stringify(value)} on "${label}"; ${fallback ? `using ${fallback}` : "skipping it"}`);
+    return fallback;
+  }
+  return rgbaCss(rgba, rgba.a);
+}
+
+/** Like colorToCss, but also turns gradients into canvas gradients spanning a width × height box. */
+function canvasPaint(ctx, value, width, height, options = {}) {
+  const gradient = readGradient(value);
+  if (!gradient) return colorToCss(value, options);
+  if (gradient.invalid.length) {
+    console.warn(`⚠️  Unrecognised gradient colour(s) ${gradient.invalid.map((color) => JSON.stringify(color)).join(", ")} on "${options.label || "element"}"`);
+  }
+  if (!gradient.stops.length) return options.fallback ?? null;
+
+  let paint;
+  if (gradient.type === "radial") {
+    const cx = gradient.center.x * width;
+    const cy = gradient.center.y * height;
+    // Radius 1 reaches the farthest corner, like CSS's default radial size.
+    const farthest = Math.max(Math.hypot(cx, cy), Math.hypot(width - cx, cy), Math.hypot(cx, height - cy), Math.hypot(width - cx, height - cy));
+    paint = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.max(1, farthest * gradient.radius));
+  } else {
+    const radians = (gradient.angle * Math.PI) / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    paint = ctx.createLinearGradient(width / 2 - dx * half, height / 2 - dy * half, width / 2 + dx * half, height / 2 + dy * half);
+  }
+  gradient.stops.forEach((stop) => {
+    const { a, ...rgb } = stop.color;
+    paint.addColorStop(stop.offset, rgbaCss(rgb, a));
+  });
+  return paint;
+}
+
+/** Photoshop gradient fill content (shape layers) for a gradient paint. */
+function psdGradientContent(gradient) {
+  return {
+    type: "solid",
+    name: "Custom",
+    style: gradient.type === "radial" ? "radial" : "linear",
+    // Photoshop measures angles counter-clockwise from the positive x axis.
+    angle: 90 - gradient.angle,
+    scale: gradient.type === "radial" ? Math.round(gradient.radius * 100) : 100,
+    colorStops: gradient.stops.map((stop) => {
+      const { a, ...rgb } = stop.color;
+      return { color: rgb, location: stop.offset, midpoint: 0.5 };
+    }),
+    opacityStops: gradient.stops.map((stop) => ({ opacity: stop.color.a, location: stop.offset, midpoint: 0.5 })),
+  };
+}
+
+const textProbe = (() => {
+  let ctx = null;
+  return () => {
+    if (!ctx) ctx = createCanvas(1, 1).getContext("2d");
+    return ctx;
+  };
+})();
+
+// Horizontal padding kept between left/right aligned text and the frame edge.
+const textInset = 4;
+
+// Strips UMG enum prefixes such as "ETextJustify::" or "ETextOverflowPolicy::".
+const umgEnumValue = (value) => (typeof value === "string" ? value.replace(/^\w+::/, "").toLowerCase() : "");
+
+function resolveTextStyle(element) {
+  const text = (element.content ?? element.text ?? "").toString();
+  const font = element.font || {};
+
+  const size = Math.max(1, Math.round(n(font.size, 24)));
+  const weightKey = (font.weight || "normal").toString().toLowerCase();
+  const weight = weightMap[weightKey] || weightKey || "400";
+  const style = (font.style || "normal").toString().toLowerCase();
+  const family = font.family || defaultFontFamily;
+
+  const alignKey = umgEnumValue(font.alignment || font.justification || pick(element, "justification", "Justification") || "center");
+  const textAlign = alignMap[alignKey] || "center";
+
+  const vAlignKey = (font.vertical_alignment || font.verticalAlignment || "middle").toString().toLowerCase();
+  const verticalAlign = verticalAlignMap[vAlignKey] || "middle";
+
+  const lineHeight = Math.max(size, Math.round(n(font.line_height, size * 1.25)));
+
+  const fontParts = [];
+  if (style && style !== "normal") fontParts.push(style);
+  if (weight) fontParts.push(weight);
+  fontParts.push(`${size}px`);
+  // Fallback families picked by planElementFonts follow the requested one.
+  fontParts.push(
+    [family, ...toArray(element.fallback_families)].map((name) => (name.includes(" ") ? `"${name}"` : name)).join(", ")
+  );
+
+  return {
+    text,
+    font,
+    size,
+    weight,
+    style,
+    family,
+    fontString: fontParts.join(" "),
+    textAlign,
+    verticalAlign,
+    color: element.color?.text || font.color || "#ffffff",
+    lineHeight,
+    // Letter spacing uses UMG/Photoshop tracking units: 1/1000 em.
+    letterSpacing: n(pick(font, "letter_spacing", "LetterSpacing"), n(pick(element, "letter_spacing", "LetterSpacing"), 0)),
+    autoWrap: Boolean(pick(element, "auto_wrap", "AutoWrapText")),
+    wrapTextAt: n(pick(element, "wrap_text_at", "WrapTextAt"), 0),
+    overflowPolicy: umgEnumValue(pick(element, "overflow_policy", "OverflowPolicy")) === "ellipsis" ? "ellipsis" : "clip",
+    minDesiredWidth: n(pick(element, "min_desired_width", "MinDesiredWidth"), 0),
+  };
+}
+
+// CJK characters can break anywhere; everything else breaks at whitespace.
+const wrapTokenPattern = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]|[^\s\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]+|\s+/g;
+
+const measureTextWidth = (ctx, text, spacing) => {
+  if (!spacing) return ctx.measureText(text).width;
+  const chars = [...text];
+  return chars.reduce((sum, char) => sum + ctx.measureText(char).width, 0) + spacing * Math.max(0, chars.length - 1);
+};
+
+function wrapParagraph(paragraph, maxWidth, measure) {
+  if (!Number.isFinite(maxWidth)) return [paragraph];
+
+  const lines = [];
+  let line = "";
+  for (const token of paragraph.match(wrapTokenPattern) || []) {
+    if (/^\s+$/.test(token)) {
+      // Whitespace never starts a wrapped line.
+      if (line) line += token;
+      continue;
+    }
+    if (measure(line + token) <= maxWidth) {
+      line += token;
+      continue;
+    }
+    if (line.trim()) lines.push(line.trimEnd());
+    line = "";
+    if (measure(token) <= maxWidth) {
+      line = token;
+      continue;
+    }
+    // A word wider than the box is broken between characters.
+    for (const char of token) {
+      if (line && measure(line + char) > maxWidth) {
+        lines.push(line);
+        line = "";
+      }
+      line += char;
+    }
+  }
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+function truncateWithEllipsis(text, maxWidth, measure, force = false) {
+  if (!force && measure(text) <= maxWidth) return text;
+  const chars = [...text.trimEnd()];
+  while (chars.length && measure(`${chars.join("").trimEnd()}…`) > maxWidth) chars.pop();
+  return `${chars.join("").trimEnd()}…`;
+}
+
+/**
+ * Breaks a text element into lines for a `width` × `height` frame; pass
+ * Infinity to measure its natural size. Wrapping follows `auto_wrap` and
+ * `wrap_text_at`. With `overflow_policy: "ellipsis"` lines that do not fit
+ * are cut short with "…"; `overflow` describes the untruncated content.
+ */
+function layoutText(element, width = Infinity, height = Infinity) {
+  const resolved = resolveTextStyle(element);
+  const ctx = textProbe();
+  ctx.font = resolved.fontString;
+  const spacing = (resolved.letterSpacing * resolved.size) / 1000;
+  const measure = (text) => measureTextWidth(ctx, text, spacing);
+
+  const inset = resolved.textAlign === "center" ? 0 : textInset;
+  const available = Math.max(0, width - inset * 2);
+  let wrapWidth = resolved.autoWrap ? available : Infinity;
+  if (resolved.wrapTextAt > 0) wrapWidth = Math.min(wrapWidth, resolved.wrapTextAt);
+
+  const paragraphs = resolved.text.split(/\r?\n/);
+  let lines = paragraphs.flatMap((paragraph) =>
+    wrapParagraph(paragraph, wrapWidth, measure).map((text, index, all) => ({ text, paragraphEnd: index === all.length - 1 }))
+  );
+
+  const contentWidth = Math.max(0, ...lines.map((line) => measure(line.text)));
+  const contentHeight = resolved.lineHeight * lines.length;
+  const overflow = {
+    x: contentWidth > available + 0.5,
+    y: contentHeight > height + 0.5,
+  };
+
+  let truncated = false;
+  if (resolved.overflowPolicy === "ellipsis") {
+    const maxLines = Number.isFinite(height) ? Math.max(1, Math.floor(height / resolved.lineHeight)) : Infinity;
+    if (lines.length > maxLines) {
+      lines = lines.slice(0, maxLines);
+      const last = lines[lines.length - 1];
+      lines[lines.length - 1] = { text: truncateWithEllipsis(last.text, available, measure, true), paragraphEnd: true };
+      truncated = true;
+    }
+    if (Number.isFinite(available)) {
+      lines = lines.map((line) => {
+        const text = truncateWithEllipsis(line.text, available, measure);
+        if (text !== line.text) truncated = true;
+        return { ...line, text };
+      });
+    }
+  }
+
+  return {
+    ...resolved,
+    lines: lines.map((line) => ({ ...line, width: measure(line.text) })),
+    wrapping: Number.isFinite(wrapWidth),
+    spacing,
+    inset,
+    available,
+    contentWidth,
+    contentHeight,
+    totalHeight: resolved.lineHeight * lines.length,
+    overflow,
+    truncated,
+  };
+}
+
+function fillTextLine(ctx, text, x, y, spacing, wordGap = 0) {
+  if (!spacing && !wordGap) {
+    ctx.fillText(text, x, y);
+    return;
+  }
+  let cursor = x;
+  for (const char of text) {
+    ctx.fillText(char, cursor, y);
+    cursor += ctx.measureText(char).width + spacing + (/\s/.test(char) ? wordGap : 0);
+  }
+}
+
+function drawTextContent(ctx, element, width, height) {
+  const layout = layoutText(element, width, height);
+  if (!layout.text) return false;
+
+  const { textAlign, verticalAlign, lines, lineHeight, totalHeight, inset, available, spacing } = layout;
+
+  ctx.font = layout.fontString;
+  ctx.textAlign = "left";
+  ctx.fillStyle = canvasPaint(ctx, layout.color, width, height, { fallback: "#ffffff", label: element.name || element.type || "Text" });
+  ctx.textBaseline = "middle";
+
+  let startY = height / 2 - totalHeight / 2 + lineHeight / 2;
+  if (verticalAlign === "top") startY = lineHeight / 2;
+  else if (verticalAlign === "bottom") startY = height - totalHeight + lineHeight / 2;
+
+  lines.forEach((line, index) => {
+    const y = startY + index * lineHeight;
+    let x = inset;
+    let wordGap = 0;
+    if (textAlign === "right") x = width - inset - line.width;
+    else if (textAlign === "center") x = (width - line.width) / 2;
+    else if (textAlign === "justify" && !line.paragraphEnd) {
+      // Full justification stretches the spaces of every line except a paragraph's last.
+      const gaps = (line.text.match(/\s/g) || []).length;
+      if (gaps) wordGap = Math.max(0, available - line.width) / gaps;
+    }
+    fillTextLine(ctx, line.text, x, y, spacing, wordGap);
+  });
+
+  return layout;
+}
+
+/** ag-psd text style for a resolved text style; Photoshop text colours are opaque, so alpha is returned apart. */
+function psdTextStyle(resolved, leading) {
+  const { a, ...fillColor } = cssColorToRgba(solidColorOf(resolved.color));
+  const style = {
+    font: { name: resolvePostScriptName(resolved.font, resolved.family, resolved.weight, resolved.style) },
+    fontSize: resolved.size,
+    autoLeading: false,
+    leading,
+    fillColor,
+  };
+  if (resolved.letterSpacing) style.tracking = resolved.letterSpacing;
+  return { alpha: a, style };
+}
+
+/**
+ * Places the Photoshop text box for a laid-out text element. Photoshop has no
+ * vertical alignment for box text, so the box is shifted down to match the
+ * rasterized preview instead. Photoshop also rewraps box text itself, so
+ * unwrapped or truncated text keeps its laid-out lines (`keepLines`) in a box
+ * wide enough for them.
+ */
+function textBoxPlacement(layout, frame) {
+  const { textAlign, verticalAlign, lineHeight, totalHeight, inset } = layout;
+
+  let offsetY = (frame.height - totalHeight) / 2;
+  if (verticalAlign === "top") offsetY = 0;
+  else if (verticalAlign === "bottom") offsetY = frame.height - totalHeight;
+  offsetY = Math.max(0, Math.round(offsetY));
+
+  const keepLines = !layout.wrapping || layout.truncated;
+  const linesWidth = Math.max(0, ...layout.lines.map((line) => line.width));
+  const boxWidth = Math.max(1, frame.width - inset * 2, keepLines ? Math.ceil(linesWidth) + 1 : 0);
+  const boxHeight = Math.max(lineHeight, frame.height - offsetY);
+  let boxLeft = frame.left + inset;
+  if (textAlign === "center") boxLeft -= (boxWidth - frame.width) / 2;
+  else if (textAlign === "right") boxLeft -= boxWidth - (frame.width - inset * 2);
+
+  return {
+    keepLines,
+    transform: [1, 0, 0, 1, Math.round(boxLeft), frame.top + offsetY],
+    antiAlias: "smooth",
+    shapeType: "box",
+    boxBounds: [0, 0, boxWidth, boxHeight],
+    paragraphStyle: {
+      justification: textAlign === "justify" ? "justify-left" : textAlign,
+    },
+  };
+}
+
+/** Builds ag-psd `text` data for an editable box text layer covering the frame. */
+function buildTextLayerData(element, frame) {
+  const layout = layoutText(element, frame.width, frame.height);
+  if (!layout.text) return null;
+
+  const { keepLines, ...placement } = textBoxPlacement(layout, frame);
+  const { alpha, style } = psdTextStyle(layout, layout.lineHeight);
+
+  return {
+    alpha,
+    text: {
+      text: keepLines ? layout.lines.map((line) => line.text).join("\n") : layout.text,
+      ...placement,
+      style,
+    },
+  };
+}
+
+function renderTextLayer(element, frame, options = {}) {
+  const text = (element.content ?? element.text ?? "").toString();
+  if (!text) return null;
+
+  const canvas = createCanvas(frame.width, frame.height);
+  const ctx = canvas.getContext("2d");
+
+  const drawn = drawTextContent(ctx, element, frame.width, frame.height);
+  if (!drawn) return null;
+
+  const layer = {
+    name: options.name || element.name || element.type || "Text",
+    canvas,
+    top: frame.top,
+    left: frame.left,
+    right: frame.right,
+    bottom: frame.bottom,
+    opacity: layerOpacity(element),
+  };
+
+  if (options.editableText) {
+    const textData = buildTextLayerData(element, frame);
+    if (textData) {
+      layer.text = textData.text;
+      if (textData.alpha < 1) layer.opacity *= textData.alpha;
+    }
+  }
+
+  const textEffects = buildTextEffects(element);
+  if (textEffects) layer.effects = textEffects;
+
+  return layer;
+}
+
+const richTextTagPattern = /<img\b([^>]*?)\/?>|<([A-Za-z_][\w.-]*)(?:\s[^>]*)?>|<\/([A-Za-z_][\w.-]*)?>/g;
+const richTextEntities = { "&lt;": "<", "&gt;": ">", "&amp;": "&", "&quot;": '"', "&apos;": "'" };
+const decodeRichText = (text) => text.replace(/&(?:lt|gt|amp|quot|apos);/g, (entity) => richTextEntities[entity]);
+
+const readRichTextAttributes = (source = "") => {
+  const attributes = {};
+  for (const [, key, value] of source.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) attributes[key.toLowerCase()] = value;
+  return attributes;
+};
+
+/**
+ * Splits UMG rich-text markup into text and inline image segments. A tag
+ * applies its named style until `</>` (or `</Name>`); `<img id="..."/>`
+ * inserts an image decorator.
+ */
+function parseRichText(markup) {
+  const segments = [];
+  const stack = [];
+  let cursor = 0;
+  const pushText = (text) => {
+    if (text) segments.push({ type: "text", text: decodeRichText(text), tag: stack[stack.length - 1] ?? null });
+  };
+
+  for (const match of markup.matchAll(richTextTagPattern)) {
+    pushText(markup.slice(cursor, match.index));
+    cursor = match.index + match[0].length;
+    if (match[1] !== undefined) segments.push({ type: "image", ...readRichTextAttributes(match[1]) });
+    else if (match[2]) stack.push(match[2]);
+    else stack.pop();
+  }
+  pushText(markup.slice(cursor));
+  return segments;
+}
+
+// Style rows are looked up by exact name first, then case-insensitively.
+const lookupRow = (table, name) => {
+  if (!isElementObject(table) || !name) return undefined;
+  if (table[name] !== undefined) return table[name];
+  const key = Object.keys(table).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : table[key];
+};
+
+// Inline image paths in a style file are relative to that file, so they are made absolute when it is read.
+const rebaseInlineImages = (images, dir) =>
+  Object.fromEntries(Object.entries(images).map(([id, entry]) => {
+    const rebase = (source) => (typeof source === "string" && source.trim() && !isHttp(source) ? path.resolve(dir, source) : source);
+    if (typeof entry === "string") return [id, rebase(entry)];
+    if (!isElementObject(entry)) return [id, entry];
+    const { imageSource, ...rest } = entry;
+    const source = pick(entry, "image_source", "imageSource");
+    return [id, source === undefined ? entry : { ...rest, image_source: rebase(source) }];
+  }));
+
+/**
+ * Reads a text style file: a `{ Name: style }` table, an object with
+ * `text_styles`/`inline_images`, or a UMG DataTable export (`[{ Name, TextStyle }]`).
+ */
+function readTextStyleFile(filePath) {
+  try {
+    const data = readJson(filePath);
+    if (Array.isArray(data)) {
+      return {
+        textStyles: Object.fromEntries(data.filter((row) => row?.Name).map((row) => [row.Name, row])),
+        inlineImages: {},
+      };
+    }
+    if (isElementObject(data?.text_styles) || isElementObject(data?.inline_images)) {
+      return {
+        textStyles: data.text_styles || {},
+        inlineImages: rebaseInlineImages(data.inline_images || {}, path.dirname(filePath)),
+      };
+    }
+    return { textStyles: isElementObject(data) ? data : {}, inlineImages: {} };
+  } catch (err) {
+    console.warn(`⚠️  Failed to read text styles "${filePath}": ${err.message}`);
+    return { textStyles: {}, inlineImages: {} };
+  }
+}
+
+/**
+ * Style and image tables for a RichTextBlock. `text_styles` is either a table
+ * or the path of a style file, resolved against `baseDir`; entries on the
+ * element override the file's. Without `baseDir` a style file is not read.
+ */
+function richTextStyleSet(element, baseDir) {
+  const declared = pick(element, "text_styles", "TextStyleSet");
+  const fromFile = typeof declared === "string" && declared.trim() && baseDir
+    ? readTextStyleFile(path.resolve(baseDir, declared.trim()))
+    : { textStyles: {}, inlineImages: {} };
+  const inlineImages = pick(element, "inline_images", "InlineImages");
+
+  return {
+    textStyles: { ...fromFile.textStyles, ...(isElementObject(declared) ? declared : {}) },
+    inlineImages: { ...fromFile.inlineImages, ...(isElementObject(inlineImages) ? inlineImages : {}) },
+  };
+}
+
+/** Normalizes a style row, including UMG's `TextStyle.Font` / `ColorAndOpacity`, to `{ font, color }`. */
+function normalizeTextStyleRow(row) {
+  if (!isElementObject(row)) return { font: {} };
+  const source = isElementObject(row.TextStyle) ? row.TextStyle : row;
+  const umgFont = isElementObject(source.Font) ? source.Font : {};
+  const font = isElementObject(source.font) ? { ...source.font } : {};
+
+  const assign = (key, value) => {
+    if (value !== undefined && font[key] === undefined) font[key] = value;
+  };
+  assign("family", pick(source, "family") ?? pick(umgFont, "family", "Family"));
+  assign("size", pick(source, "size") ?? pick(umgFont, "size", "Size"));
+  assign("letter_spacing", pick(source, "letter_spacing") ?? pick(umgFont, "LetterSpacing"));
+  assign("weight", pick(source, "weight"));
+  assign("style", pick(source, "style"));
+
+  // UMG names a typeface such as "Bold" or "Light Italic" rather than a weight.
+  const typeface = pick(umgFont, "TypefaceFontName", "typeface");
+  if (typeof typeface === "string") {
+    const weightKey = typeface.replace(/italic|oblique/i, "").replace(/\s+/g, "").toLowerCase();
+    if (weightMap[weightKey]) assign("weight", weightKey);
+    if (/italic|oblique/i.test(typeface)) assign("style", "italic");
+  }
+
+  const colorAndOpacity = pick(source, "ColorAndOpacity");
+  const color = pick(source, "color") ?? (isElementObject(colorAndOpacity?.SpecifiedColor) ? colorAndOpacity.SpecifiedColor : colorAndOpacity);
+  return { font, color };
+}
+
+const inlineImageEntry = (entry) => {
+  if (typeof entry === "string") return { source: entry, raw: {} };
+  if (!isElementObject(entry)) return null;
+  const size = isElementObject(entry.size) ? entry.size : {};
+  return {
+    source: pick(entry, "image_source", "imageSource"),
+    width: pick(entry, "width") ?? size.width,
+    height: pick(entry, "height") ?? size.height,
+    raw: entry,
+  };
+};
+
+function richTextRunStyle(element, textStyles, tag) {
+  const base = normalizeTextStyleRow(lookupRow(textStyles, "Default"));
+  const tagged = tag ? normalizeTextStyleRow(lookupRow(textStyles, tag)) : { font: {} };
+  const color = tagged.color ?? base.color ?? element.color?.text ?? element.font?.color;
+  return resolveTextStyle({
+    ...element,
+    content: "",
+    font: { ...(element.font || {}), ...base.font, ...tagged.font },
+    color: { ...(element.color || {}), text: color },
+  });
+}
+
+/**
+ * Lays out a RichTextBlock the way layoutText lays out plain text, but with
+ * lines made of items: text runs in their tag's style and inline images.
+ * Wrapping, alignment and overflow settings come from the element itself.
+ */
+function layoutRichText(element, width = Infinity, height = Infinity) {
+  const base = resolveTextStyle(element);
+  // composePsd has already read the style file against the layout's directory.
+  const { textStyles, inlineImages } = richTextStyleSet(element);
+  const segments = parseRichText(base.text);
+  const ctx = textProbe();
+
+  const runs = new Map();
+  const unknownTags = new Set();
+  const runFor = (tag) => {
+    const key = tag ?? "";
+    if (!runs.has(key)) {
+      if (tag && lookupRow(textStyles, tag) === undefined) unknownTags.add(tag);
+      const style = richTextRunStyle(element, textStyles, tag);
+      runs.set(key, { ...style, tag, spacing: (style.letterSpacing * style.size) / 1000 });
+    }
+    return runs.get(key);
+  };
+  const defaultRun = runFor(null);
+  const measureRun = (run, text) => {
+    ctx.font = run.fontString;
+    return measureTextWidth(ctx, text, run.spacing);
+  };
+  const itemWidth = (item) => (item.kind === "image" ? item.width : measureRun(item.run, item.text));
+  const itemsWidth = (items) => items.reduce((sum, item) => sum + itemWidth(item), 0);
+
+  const tokens = [];
+  for (const segment of segments) {
+    if (segment.type === "image") {
+      // Like UMG's image decorator, images default to the text height unless a size is given.
+      const entry = inlineImageEntry(lookupRow(inlineImages, segment.id));
+      const imageHeight = Math.max(1, n(segment.height, n(entry?.height, defaultRun.size)));
+      const imageWidth = Math.max(1, n(segment.width, n(entry?.width, imageHeight)));
+      tokens.push({ kind: "image", id: segment.id, source: entry?.source, width: imageWidth, height: imageHeight, run: defaultRun });
+      continue;
+    }
+    const run = runFor(segment.tag);
+    segment.text.split(/\r?\n/).forEach((paragraph, index) => {
+      if (index > 0) tokens.push({ kind: "break" });
+      for (const text of paragraph.match(wrapTokenPattern) || []) {
+        tokens.push({ kind: "text", text, run, space: /^\s+$/.test(text) });
+      }
+    });
+  }
+
+  const inset = base.textAlign === "center" ? 0 : textInset;
+  const available = Math.max(0, width - inset * 2);
+  let wrapWidth = base.autoWrap ? available : Infinity;
+  if (base.wrapTextAt > 0) wrapWidth = Math.min(wrapWidth, base.wrapTextAt);
+
+  let lines = [];
+  let items = [];
+  const append = (token) => {
+    const last = items[items.length - 1];
+    if (last && token.kind === "text" && last.kind === "text" && last.run === token.run) {
+      last.text += token.text;
+    } else {
+      items.push({ ...token });
+    }
+  };
+  const trimTrailing = (list) => {
+    const last = list[list.length - 1];
+    if (last?.kind !== "text") return;
+    last.text = last.text.trimEnd();
+    if (!last.text) list.pop();
+  };
+  const finish = (paragraphEnd) => {
+    trimTrailing(items);
+    lines.push({ items, paragraphEnd });
+    items = [];
+  };
+
+  for (const token of tokens) {
+    if (token.kind === "break") {
+      finish(true);
+      continue;
+    }
+    if (token.space) {
+      if (items.length) append(token);
+      continue;
+    }
+    const tokenWidth = itemWidth(token);
+    if (itemsWidth(items) + tokenWidth <= wrapWidth) {
+      append(token);
+      continue;
+    }
+    if (items.length) finish(false);
+    if (tokenWidth <= wrapWidth || token.kind === "image") {
+      append(token);
+      continue;
+    }
+    for (const char of token.text) {
+      if (items.length && itemsWidth(items) + measureRun(token.run, char) > wrapWidth) finish(false);
+      append({ ...token, text: char });
+    }
+  }
+  finish(true);
+
+  // Images sit on the baseline; mixed font sizes share the tallest line height.
+  const lineMetrics = (line) => {
+    const textItems = line.items.filter((item) => item.kind === "text");
+    const textRuns = textItems.length ? textItems.map((item) => item.run) : [defaultRun];
+    const textHeight = Math.max(...textRuns.map((run) => run.lineHeight));
+    const descent = Math.max(...textRuns.map((run) => run.size * 0.2));
+    const ascent = Math.max(...textRuns.map((run) => run.size * 0.8), ...line.items.filter((item) => item.kind === "image").map((item) => item.height));
+    const lineHeight = Math.max(textHeight, ascent + descent);
+    return { ...line, height: lineHeight, baseline: (lineHeight - ascent - descent) / 2 + ascent };
+  };
+  lines = lines.map(lineMetrics);
+
+  const contentWidth = Math.max(0, ...lines.map((line) => itemsWidth(line.items)));
+  const contentHeight = lines.reduce((sum, line) => sum + line.height, 0);
+  const overflow = {
+    x: contentWidth > available + 0.5,
+    y: contentHeight > height + 0.5,
+  };
+
+  let truncated = false;
+  if (base.overflowPolicy === "ellipsis") {
+    const truncateLine = (line, force) => {
+      if (!force && itemsWidth(line.items) <= available) return line;
+      const list = line.items.map((item) => ({ ...item }));
+      const lastText = [...list].reverse().find((item) => item.kind === "text");
+      const run = lastText?.run ?? defaultRun;
+      const ellipsisWidth = measureRun(run, "…");
+      while (list.length && itemsWidth(list) + ellipsisWidth > available) {
+        const last = list[list.length - 1];
+        if (last.kind === "text" && last.text.length > 1) {
+          last.text = [...last.text].slice(0, -1).join("");
+        } else {
+          list.pop();
+        }
+      }
+      trimTrailing(list);
+      const last = list[list.length - 1];
+      if (last?.kind === "text" && last.run === run) last.text += "…";
+      else list.push({ kind: "text", text: "…", run });
+      truncated = true;
+      return { ...line, items: list, paragraphEnd: true };
+    };
+
+    let used = 0;
+    const kept = [];
+    for (const line of lines) {
+      if (kept.length && used + line.height > height) break;
+      kept.push(line);
+      used += line.height;
+    }
+    const cut = kept.length < lines.length;
+    lines = kept.map((line, index) => truncateLine(line, cut && index === kept.length - 1));
+  }
+
+  return {
+    ...base,
+    name: element.name || element.type || "RichText",
+    text: segments.map((segment) => (segment.type === "image" ? " " : segment.text)).join(""),
+    segments,
+    runs,
+    lines: lines.map((line) => ({ ...line, width: itemsWidth(line.items) })),
+    unknownTags: [...unknownTags],
+    wrapping: Number.isFinite(wrapWidth),
+    spacing: defaultRun.spacing,
+    inset,
+    available,
+    lineHeight: Math.max(base.lineHeight, ...lines.map((line) => line.height)),
+    contentWidth,
+    contentHeight,
+    totalHeight: lines.reduce((sum, line) => sum + line.height, 0),
+    overflow,
+    truncated,
+  };
+}
+
+const isRichText = (element) => elementTypeOf(element) === "richtextblock";
+
+const layoutTextElement = (element, width, height) =>
+  (isRichText(element) ? layoutRichText(element, width, height) : layoutText(element, width, height));
+
+/**
+ * Draws a rich text layout and returns where each inline image landed. Images
+ * are only painted when present in `images` (id → loaded image).
+ */
+function drawRichTextContent(ctx, layout, width, height, images = new Map()) {
+  const { textAlign, verticalAlign, lines, totalHeight, inset, available } = layout;
+  const placements = [];
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+
+  let top = (height - totalHeight) / 2;
+  if (verticalAlign === "top") top = 0;
+  else if (verticalAlign === "bottom") top = height - totalHeight;
+
+  for (const line of lines) {
+    let x = inset;
+    let wordGap = 0;
+    if (textAlign === "right") x = width - inset - line.width;
+    else if (textAlign === "center") x = (width - line.width) / 2;
+    else if (textAlign === "justify" && !line.paragraphEnd) {
+      const gaps = line.items.reduce((sum, item) => sum + (item.kind === "text" ? (item.text.match(/\s/g) || []).length : 0), 0);
+      if (gaps) wordGap = Math.max(0, available - line.width) / gaps;
+    }
+
+    const baseline = top + line.baseline;
+    for (const item of line.items) {
+      if (item.kind === "image") {
+        const placement = { id: item.id, x, y: baseline - item.height, width: item.width, height: item.height };
+        placements.push(placement);
+        const image = images.get(item.id);
+        if (image) ctx.drawImage(image, placement.x, placement.y, placement.width, placement.height);
+        x += item.width;
+        continue;
+      }
+      ctx.font = item.run.fontString;
+      ctx.fillStyle = canvasPaint(ctx, item.run.color, width, height, { fallback: "#ffffff", label: layout.name });
+      fillTextLine(ctx, item.text, x, baseline, item.run.spacing, wordGap);
+      x += measureTextWidth(ctx, item.text, item.run.spacing) + wordGap * (item.text.match(/\s/g) || []).length;
+    }
+    top += line.height;
+  }
+
+  return placements;
+}
+
+/** Editable text data for a rich text layout, with one Photoshop style run per tag run. */
+function buildRichTextLayerData(layout, frame) {
+  const { keepLines, ...placement } = textBoxPlacement(layout, frame);
+  const defaultRun = layout.runs.get("");
+
+  let text = "";
+  const runs = [];
+  const pushRun = (value, run) => {
+    if (!value) return;
+    const last = runs[runs.length - 1];
+    if (last && last.run === run) last.length += value.length;
+    else runs.push({ run, length: value.length });
+    text += value;
+  };
+
+  // Inline images are separate layers, so the text keeps a space where each one sits.
+  if (keepLines) {
+    layout.lines.forEach((line, index) => {
+      if (index > 0) pushRun("\n", runs[runs.length - 1]?.run ?? defaultRun);
+      line.items.forEach((item) => pushRun(item.kind === "image" ? " " : item.text, item.run));
+    });
+  } else {
+    layout.segments.forEach((segment) => {
+      pushRun(segment.type === "image" ? " " : segment.text, segment.type === "image" ? defaultRun : layout.runs.get(segment.tag ?? ""));
+    });
+  }
+  if (!text) return null;
+
+  const { alpha, style } = psdTextStyle(defaultRun, defaultRun.lineHeight);
+  return {
+    alpha,
+    text: {
+      text,
+      ...placement,
+      style,
+      styleRuns: runs.map(({ run, length }) => ({ length, style: psdTextStyle(run, run.lineHeight).style })),
+    },
+  };
+}
+
+async function renderRichTextLayer(element, frame, options = {}) {
+  const layout = layoutRichText(element, frame.width, frame.height);
+  if (!layout.lines.some((line) => line.items.length)) return null;
+
+  const name = options.name || element.name || element.type || "RichText";
+  layout.unknownTags.forEach((tag) => {
+    console.warn(`⚠️  RichTextBlock "${name}" uses unknown text style <${tag}>; drawing it with the default style`);
+  });
+
+  const images = new Map();
+  for (const item of layout.lines.flatMap((line) => line.items)) {
+    if (item.kind !== "image" || images.has(item.id)) continue;
+    if (!item.source) {
+      console.warn(`⚠️  RichTextBlock "${name}" references unknown inline image "${item.id}"`);
+      continue;
+    }
+    const image = await loadBrushImage(item.source, options.baseDir, options.assetCache);
+    if (image) images.set(item.id, image);
+  }
+
+  // Editable text cannot hold images, so they become their own layers above the text.
+  const canvas = createCanvas(frame.width, frame.height);
+  const placements = drawRichTextContent(canvas.getContext("2d"), layout, frame.width, frame.height, options.editableText ? new Map() : images);
+
+  const layer = {
+    name,
+    canvas,
+    top: frame.top,
+    left: frame.left,
+    right: frame.right,
+    bottom: frame.bottom,
+    opacity: layerOpacity(element),
+  };
+
+  const textEffects = buildTextEffects(element);
+  if (textEffects) layer.effects = textEffects;
+
+  if (!options.editableText) return layer;
+
+  const textData = buildRichTextLayerData(layout, frame);
+  if (textData) {
+    layer.text = textData.text;
+    if (textData.alpha < 1) layer.opacity *= textData.alpha;
+  }
+
+  const imageLayers = placements
+    .filter((placement) => images.has(placement.id))
+    .map((placement) => {
+      const width = Math.max(1, Math.round(placement.width));
+      const height = Math.max(1, Math.round(placement.height));
+      const imageCanvas = createCanvas(width, height);
+      imageCanvas.getContext("2d").drawImage(images.get(placement.id), 0, 0, width, height);
+      const left = frame.left + Math.round(placement.x);
+      const top = frame.top + Math.round(placement.y);
+      return {
+        name: `${name} ${placement.id}`,
+        canvas: imageCanvas,
+        top,
+        left,
+        right: left + width,
+        bottom: top + height,
+        opacity: layerOpacity(element),
+      };
+    });
+
+  return [layer, ...imageLayers];
+}
+
+const blendModeAliases = {
+  additive: "linear dodge",
+  add: "linear dodge",
+  "linear-dodge": "linear dodge",
+  "linear_dodge": "linear dodge",
+  "color-dodge": "color dodge",
+  "color_dodge": "color dodge",
+  "color-burn": "color burn",
+  "color_burn": "color burn",
+  "hard-light": "hard light",
+  "hard_light": "hard light",
+  "soft-light": "soft light",
+  "soft_light": "soft light",
+  "linear-burn": "linear burn",
+  "linear_burn": "linear burn",
+  // Unreal material blend modes, once their BLEND_ prefix is dropped.
+  modulate: "multiply",
+  translucent: "normal",
+  opaque: "normal",
+  masked: "normal",
+};
+
+const toPsdBlendMode = (value, fallback = "normal") => {
+  if (!value) return fallback;
+  const key = value.toString().trim().toLowerCase();
+  return blendModeAliases[key] || key;
+};
+
+const effectOpacity = (spec, alpha, fallback) => Math.min(1, Math.max(0, n(spec.opacity, fallback) * alpha));
+
+const effectColor = (spec, fallback) => {
+  const { a, ...color } = cssColorToRgba(spec.color ?? fallback, cssColorToRgba(fallback));
+  return { color, alpha: a };
+};
+
+function toPsdShadow(spec, { blendMode, opacity }) {
+  const { color, alpha } = effectColor(spec, "#000000");
+  let distance = n(spec.distance, 4);
+  let angle = n(spec.angle, 120);
+
+  const offset = spec.offset || (spec.offset_x != null || spec.offset_y != null ? { x: spec.offset_x, y: spec.offset_y } : null);
+  if (offset) {
+    // Photoshop stores the light angle: the shadow falls away from it.
+    const dx = n(offset.x ?? offset.X, 0);
+    const dy = n(offset.y ?? offset.Y, 0);
+    distance = Math.hypot(dx, dy);
+    angle = distance > 0 ? Math.round((Math.atan2(dy, -dx) * 180) / Math.PI) : 120;
+  }
+
+  return {
+    present: true,
+    showInDialog: true,
+    enabled: spec.enabled !== false,
+    color,
+    opacity: effectOpacity(spec, alpha, opacity),
+    blendMode: toPsdBlendMode(spec.blend_mode, blendMode),
+    angle,
+    distance: pixels(distance),
+    size: pixels(n(spec.size, n(spec.blur, 4))),
+    choke: pixels(n(spec.spread, n(spec.choke, 0))),
+    useGlobalLight: false,
+  };
+}
+
+function toPsdOuterGlow(spec) {
+  const { color, alpha } = effectColor(spec, "#FFFFBE");
+  return {
+    present: true,
+    showInDialog: true,
+    enabled: spec.enabled !== false,
+    color,
+    opacity: effectOpacity(spec, alpha, 0.75),
+    blendMode: toPsdBlendMode(spec.blend_mode, "screen"),
+    size: pixels(n(spec.size, n(spec.blur, 8))),
+    choke: pixels(n(spec.spread, n(spec.choke, 0))),
+    source: "edge",
+  };
+}
+
+function toPsdStroke(spec) {
+  const { color, alpha } = effectColor(spec, "#000000");
+  const position = ["inside", "center", "outside"].includes(spec.position) ? spec.position : "outside";
+  return {
+    present: true,
+    showInDialog: true,
+    enabled: spec.enabled !== false,
+    size: pixels(n(spec.size, n(spec.width, 1))),
+    position,
+    fillType: "color",
+    blendMode: toPsdBlendMode(spec.blend_mode, "normal"),
+    opacity: effectOpacity(spec, alpha, 1),
+    color,
+  };
+}
+
+function toPsdColorOverlay(spec) {
+  const { color, alpha } = effectColor(spec, "#FFFFFF");
+  return {
+    present: true,
+    showInDialog: true,
+    enabled: spec.enabled !== false,
+    blendMode: toPsdBlendMode(spec.blend_mode, "normal"),
+    opacity: effectOpacity(spec, alpha, 1),
+    color,
+  };
+}
+
+/**
+ * Converts an element's `effects` block into ag-psd layer effects. Every entry
+ * accepts a single object or an array (outer_glow keeps only the first).
+ */
+function buildLayerEffects(effects) {
+  if (!isElementObject(effects)) return null;
+
+  const result = {};
+  const dropShadow = toArray(effects.drop_shadow).map((spec) => toPsdShadow(spec, { blendMode: "multiply", opacity: 0.75 }));
+  const innerShadow = toArray(effects.inner_shadow).map((spec) => toPsdShadow(spec, { blendMode: "multiply", opacity: 0.75 }));
+  const outerGlow = toArray(effects.outer_glow).map(toPsdOuterGlow);
+  const stroke = toArray(effects.stroke).map(toPsdStroke);
+  const solidFill = toArray(effects.color_overlay).map(toPsdColorOverlay);
+
+  if (dropShadow.length) result.dropShadow = dropShadow;
+  if (innerShadow.length) result.innerShadow = innerShadow;
+  if (outerGlow.length) result.outerGlow = outerGlow[0];
+  if (stroke.length) result.stroke = stroke;
+  if (solidFill.length) result.solidFill = solidFill;
+
+  return Object.keys(result).length ? result : null;
+}
+
+/** Maps UMG text ShadowOffset/ShadowColorAndOpacity and font OutlineSettings to layer effects. */
+function buildTextEffects(element) {
+  const effects = {};
+
+  const shadowOffset = element.shadow_offset || element.ShadowOffset;
+  const shadowColor = element.shadow_color_and_opacity || element.ShadowColorAndOpacity || element.shadow_color;
+  if (shadowOffset && shadowColor && cssColorToRgba(shadowColor, { a: 0 }).a > 0) {
+    effects.drop_shadow = { offset: shadowOffset, color: shadowColor, opacity: 1, size: 0, blend_mode: "normal" };
+  }
+
+  const outline = element.font?.outline_settings || element.font?.OutlineSettings;
+  const outlineSize = n(outline?.outline_size ?? outline?.OutlineSize, 0);
+  if (outlineSize > 0) {
+    effects.stroke = {
+      size: outlineSize,
+      color: outline.outline_color ?? outline.OutlineColor ?? "#000000",
+      position: "outside",
+    };
+  }
+
+  return buildLayerEffects(effects);
+}
+
+function mergeLayerEffects(layer, effects) {
+  if (!layer || !effects) return layer;
+  const merged = { ...(layer.effects || {}) };
+  for (const [key, value] of Object.entries(effects)) {
+    merged[key] = Array.isArray(value) ? [...(merged[key] || []), ...value] : value;
+  }
+  layer.effects = merged;
+  return layer;
+}
+
+const hiddenVisibilities = new Set(["hidden", "collapsed"]);
+const visibilityValues = ["visible", "collapsed", "hidden", "hittestinvisible", "selfhittestinvisible"];
+
+/** Hidden and Collapsed widgets still get layers, written as hidden. */
+const isHiddenElement = (element) => hiddenVisibilities.has(umgEnumValue(pick(element, "visibility", "Visibility")));
+
+const stateWidgetTypes = new Set(["button", "checkbox", "combobox", "comboboxstring", "comboboxkey"]);
+const stateAliases = {
+  default: "normal",
+  hover: "hovered",
+  press: "pressed",
+  down: "pressed",
+  disable: "disabled",
+  on: "checked",
+  off: "unchecked",
+  indeterminate: "undetermined",
+};
+// UMG style brushes per state: FButtonStyle (also used by a ComboBox's button) and FCheckBoxStyle.
+const umgStateBrushes = {
+  button: { normal: "Normal", hovered: "Hovered", pressed: "Pressed", disabled: "Disabled" },
+  checkbox: {
+    unchecked: "UncheckedImage",
+    hovered: "UncheckedHoveredImage",
+    pressed: "UncheckedPressedImage",
+    checked: "CheckedImage",
+    undetermined: "UndeterminedImage",
+  },
+};
+
+const checkedStates = new Set(["checked", "unchecked", "undetermined"]);
+
+const stateKey = (name) => {
+  const key = umgEnumValue(String(name)).trim();
+  return stateAliases[key] || key;
+};
+
+const stateLabel = (key) => key.replace(/(^|\s)\S/g, (letter) => letter.toUpperCase());
+
+// A UMG style brush becomes a background image when it has one, otherwise its tint is the fill colour.
+const brushOverrides = (brush) => {
+  if (backgroundBrushOf({ background_image: brush })) return { background_image: brush };
+  const tint = pick(brush, "TintColor", "tint", "tint_color");
+  return tint !== undefined ? { background: tint } : {};
+};
+
+/**
+ * Interaction states a Button/CheckBox/ComboBox declares, as `{ key, overrides, name }` in declaration order.
+ * States come from UMG `WidgetStyle` brushes and from `states` (`{ hovered: { background: ... } }`),
+ * the latter winning where both name a state; `name` is the state's key in `states`, if it has one.
+ * Merged overrides are a new object, so changes meant for the layout go to `states[name]` or the brush.
+ */
+function declaredStates(element) {
+  const type = elementTypeOf(element);
+  if (!stateWidgetTypes.has(type)) return [];
+
+  const states = new Map();
+  const style = pick(element, "widget_style", "WidgetStyle");
+  const brushStyle = type.startsWith("combobox") ? style?.ComboButtonStyle?.ButtonStyle ?? style?.ButtonStyle ?? style : style;
+  if (isElementObject(brushStyle)) {
+    for (const [key, field] of Object.entries(umgStateBrushes[type] || umgStateBrushes.button)) {
+      if (!isElementObject(brushStyle[field])) continue;
+      const overrides = brushOverrides(brushStyle[field]);
+      // CheckBox images are per checked state; the hovered/pressed ones are the unchecked variants.
+      if (type === "checkbox") overrides.checked_state = checkedStates.has(key) ? key : "unchecked";
+      states.set(key, overrides);
+    }
+  }
+  const names = new Map();
+  if (isElementObject(element.states)) {
+    for (const [name, overrides] of Object.entries(element.states)) {
+      if (!isElementObject(overrides)) continue;
+      const key = stateKey(name);
+      states.set(key, states.has(key) ? { ...states.get(key), ...overrides } : overrides);
+      names.set(key, name);
+    }
+  }
+  return [...states].map(([key, overrides]) => ({ key, overrides, name: names.get(key) }));
+}
+
+/** The state shown by default: `default_state`, a CheckBox's checked state, disabled widgets, then normal/unchecked. */
+function defaultStateOf(element, states) {
+  const keys = states.map((state) => state.key);
+  const explicit = pick(element, "default_state", "CheckedState", "checked_state");
+  const checked = pick(element, "checked", "is_checked", "IsChecked");
+  const enabled = pick(element, "is_enabled", "IsEnabled", "bIsEnabled");
+  const requested = explicit !== undefined
+    ? stateKey(explicit)
+    : typeof checked === "boolean"
+      ? (checked ? "checked" : "unchecked")
+      : enabled === false ? "disabled" : null;
+
+  if (requested && keys.includes(requested)) return requested;
+  if (requested && explicit !== undefined) {
+    console.warn(`⚠️  "${element.name || element.type}" has no "${requested}" state; showing its default state instead`);
+  }
+  return ["normal", "unchecked"].find((key) => keys.includes(key)) || keys[0];
+}
+
+function stateElement(element, key, overrides) {
+  const { states, widget_style: _style, WidgetStyle: _umgStyle, ...base } = element;
+  const merged = { ...base, ...overrides };
+  if (elementTypeOf(element) === "checkbox" && checkedStates.has(key) && overrides.checked_state === undefined) merged.checked_state = key;
+  for (const key of ["color", "font"]) {
+    if (isElementObject(base[key]) && isElementObject(overrides[key])) merged[key] = { ...base[key], ...overrides[key] };
+  }
+  return merged;
+}
+
+// Box styling a widget part inherits from its element (fills, outlines, tints and background images).
+const boxStyleKeys = [
+  "background", "background_image", "backgroundImage", "border_color", "border_width", "stroke_width",
+  "color", "tint", "tint_color", "brush_color", "BrushColor", "border_radius", "corner_radius",
+];
+
+const boxStyleOf = (element) =>
+  Object.fromEntries(boxStyleKeys.filter((key) => element[key] !== undefined).map((key) => [key, element[key]]));
+
+const hasBoxStyle = (element) =>
+  Boolean(element.color?.background || element.background || element.color?.border || element.border_color || backgroundBrushOf(element));
+
+const widgetStyleOf = (element) => pick(element, "widget_style", "WidgetStyle") || {};
+
+/** A Border-like element for one part of a widget (bar, thumb, box...), drawn by renderBorderLayer. */
+const widgetPart = (element, name, style) => ({ type: "Border", name, opacity: element.opacity, ...style });
+
+/** The frame of `rect` (relative to `frame`), or null when it is smaller than a pixel. */
+function subFrame(frame, rect) {
+  const left = Math.round(frame.left + rect.x);
+  const top = Math.round(frame.top + rect.y);
+  const right = Math.round(frame.left + rect.x + rect.width);
+  const bottom = Math.round(frame.top + rect.y + rect.height);
+  if (right - left < 1 || bottom - top < 1) return null;
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+}
+
+/** A frame-sized pixel layer drawn by `draw(ctx, width, height)`. */
+async function canvasLayer(element, frame, name, draw) {
+  const canvas = createCanvas(frame.width, frame.height);
+  await draw(canvas.getContext("2d"), frame.width, frame.height);
+  return { name, canvas, top: frame.top, left: frame.left, right: frame.right, bottom: frame.bottom, opacity: layerOpacity(element) };
+}
+
+const widgetLabel = (element) => element.name || element.type || "Widget";
+
+const progressFillTypes = [
+  "lefttoright", "righttoleft", "fillfromcenter", "fillfromcenterhorizontal", "fillfromcentervertical", "toptobottom", "bottomtotop",
+];
+
+/** The filled part of a progress bar for UMG's EProgressBarFillType. */
+function progressFillRect(fillType, percent, width, height) {
+  const across = width * percent;
+  const down = height * percent;
+  switch (fillType) {
+    case "righttoleft": return { x: width - across, y: 0, width: across, height };
+    case "fillfromcenter": return { x: (width - across) / 2, y: (height - down) / 2, width: across, height: down };
+    case "fillfromcenterhorizontal": return { x: (width - across) / 2, y: 0, width: across, height };
+    case "fillfromcentervertical": return { x: 0, y: (height - down) / 2, width, height: down };
+    case "toptobottom": return { x: 0, y: 0, width, height: down };
+    case "bottomtotop": return { x: 0, y: height - down, width, height: down };
+    default: return { x: 0, y: 0, width: across, height };
+  }
+}
+
+async function renderProgressBar(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const style = widgetStyleOf(element);
+  const background = await renderBorderLayer(
+    widgetPart(element, name, { background: defaultBorderBackground, ...brushOverrides(style.BackgroundImage), ...boxStyleOf(element) }),
+    frame,
+    borderOptions
+  );
+
+  const percent = clamp01(n(pick(element, "percent", "Percent"), 0));
+  const fillType = umgEnumValue(pick(element, "bar_fill_type", "BarFillType") || "LeftToRight");
+  const inset = n(element.border_width, n(element.stroke_width, 0));
+  const inner = { width: frame.width - inset * 2, height: frame.height - inset * 2 };
+  const rect = progressFillRect(fillType, percent, inner.width, inner.height);
+  const fillRect = { ...rect, x: rect.x + inset, y: rect.y + inset };
+  const fillFrame = subFrame(frame, fillRect);
+  if (!fillFrame) return background;
+
+  const fillColor = pick(element, "fill_color", "fill_color_and_opacity", "FillColorAndOpacity");
+  const fillImage = backgroundBrushOf({ background_image: pick(element, "fill_image") ?? style.FillImage });
+  let fill;
+  if (fillImage) {
+    // Like UMG, the fill image spans the whole bar and the percentage reveals part of it.
+    fill = await canvasLayer(element, frame, `${name} Fill`, async (ctx, width, height) => {
+      const image = await loadBrushImage(fillImage.source, context.baseDir, context.assetCache);
+      if (!image) return;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(fillRect.x, fillRect.y, fillRect.width, fillRect.height);
+      ctx.clip();
+      drawBrush(ctx, image, readBrush(fillImage.settings), width, height);
+      ctx.restore();
+    });
+    if (fillColor !== undefined) tintCanvas(fill.canvas, cssColorToRgba(fillColor));
+  } else {
+    fill = await renderBorderLayer(
+      widgetPart(element, `${name} Fill`, {
+        background: fillColor ?? style.FillImage?.TintColor ?? defaultWidgetAccent,
+        border_radius: Math.max(0, n(element.border_radius, n(element.corner_radius, 0)) - inset),
+      }),
+      fillFrame,
+      borderOptions
+    );
+  }
+  return [background, fill].filter(Boolean);
+}
+
+async function renderSlider(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const style = widgetStyleOf(element);
+  const vertical = isVerticalOrientation(element);
+  const min = n(pick(element, "min_value", "MinValue"), 0);
+  const max = n(pick(element, "max_value", "MaxValue"), 1);
+  const ratio = max > min ? clamp01((n(pick(element, "value", "Value"), min) - min) / (max - min)) : 0;
+
+  const length = vertical ? frame.height : frame.width;
+  const cross = vertical ? frame.width : frame.height;
+  const thumbSize = readVector(pick(element, "thumb_size") ?? style.NormalThumbImage?.ImageSize, vertical ? 20 : 12, vertical ? 12 : 20);
+  const thumbAlong = Math.min(length, vertical ? thumbSize.y : thumbSize.x);
+  const thumbAcross = Math.min(cross, vertical ? thumbSize.x : thumbSize.y);
+  const thickness = Math.min(cross, n(pick(element, "bar_thickness", "BarThickness") ?? style.BarThickness, 4));
+
+  // The thumb's centre travels between its half-sizes at each end; vertical sliders grow upwards.
+  const travel = length - thumbAlong;
+  const thumbStart = vertical ? (1 - ratio) * travel : ratio * travel;
+  const along = (start, size) => (vertical
+    ? { x: (cross - thumbAcross) / 2, y: start, width: thumbAcross, height: size }
+    : { x: start, y: (cross - thumbAcross) / 2, width: size, height: thumbAcross });
+  const barRect = vertical
+    ? { x: (cross - thickness) / 2, y: thumbAlong / 2, width: thickness, height: travel }
+    : { x: thumbAlong / 2, y: (cross - thickness) / 2, width: travel, height: thickness };
+
+  const backdrop = hasBoxStyle(element) ? await renderBorderLayer(element, frame, borderOptions) : null;
+  const barFrame = subFrame(frame, barRect);
+  const bar = barFrame
+    ? await renderBorderLayer(
+      widgetPart(element, `${name} Bar`, {
+        background: pick(element, "bar_color", "SliderBarColor") ?? "#4D4D4D",
+        border_radius: thickness / 2,
+        ...brushOverrides(style.NormalBarImage),
+      }),
+      barFrame,
+      borderOptions
+    )
+    : null;
+  const thumbFrame = subFrame(frame, along(thumbStart, thumbAlong));
+  const thumb = thumbFrame
+    ? await renderBorderLayer(
+      widgetPart(element, `${name} Thumb`, {
+        background: pick(element, "handle_color", "SliderHandleColor") ?? "#FFFFFF",
+        border_radius: n(pick(element, "thumb_radius"), 2),
+        ...brushOverrides(style.NormalThumbImage),
+      }),
+      thumbFrame,
+      borderOptions
+    )
+    : null;
+  return [backdrop, bar, thumb].filter(Boolean);
+}
+
+function checkedStateOf(element) {
+  const state = umgEnumValue(String(pick(element, "checked_state", "CheckedState") ?? ""));
+  if (checkedStates.has(state)) return state;
+  return pick(element, "checked", "is_checked", "IsChecked") === true ? "checked" : "unchecked";
+}
+
+async function renderCheckBox(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const state = checkedStateOf(element);
+  const size = Math.min(frame.width, frame.height, Math.max(1, n(pick(element, "box_size"), 24)));
+  const boxFrame = subFrame(frame, { x: 0, y: (frame.height - size) / 2, width: size, height: size });
+  const { color, ...style } = boxStyleOf(element);
+  const ownBackground = element.color?.background ?? element.background;
+  const imageBrush = backgroundBrushOf(element);
+  const on = state !== "unchecked";
+
+  const box = await renderBorderLayer(
+    widgetPart(element, name, {
+      border_color: defaultBorderStroke,
+      border_width: 1,
+      border_radius: 3,
+      ...style,
+      ...(isElementObject(color) ? { color: { ...color, background: undefined } } : {}),
+      background: on && !imageBrush
+        ? pick(element, "checked_color") ?? ownBackground ?? defaultWidgetAccent
+        : ownBackground ?? defaultBorderBackground,
+    }),
+    boxFrame,
+    borderOptions
+  );
+
+  // A state image (UMG CheckedImage/UncheckedImage) already shows the mark.
+  const mark = on && !imageBrush
+    ? await canvasLayer(element, boxFrame, `${name} Check`, (ctx, width, height) => {
+      ctx.strokeStyle = colorToCss(pick(element, "check_color") ?? "#FFFFFF", { fallback: "#FFFFFF", label: name });
+      ctx.lineWidth = Math.max(2, width * 0.12);
+      ctx.lineCap = "round";
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      if (state === "undetermined") {
+        ctx.moveTo(width * 0.28, height / 2);
+        ctx.lineTo(width * 0.72, height / 2);
+      } else {
+        ctx.moveTo(width * 0.24, height * 0.52);
+        ctx.lineTo(width * 0.42, height * 0.7);
+        ctx.lineTo(width * 0.76, height * 0.32);
+      }
+      ctx.stroke();
+    })
+    : null;
+
+  const labelFrame = subFrame(frame, { x: size + 6, y: 0, width: frame.width - size - 6, height: frame.height });
+  const label = labelFrame
+    ? renderTextLayer(
+      { ...element, justification: pick(element, "justification", "Justification") ?? "left" },
+      labelFrame,
+      { editableText: context.editableText, name: `${name} Label` }
+    )
+    : null;
+  return [box, mark, label].filter(Boolean);
+}
+
+/** A text layer for a widget's label inside `labelFrame`, editable when the pipeline writes editable text. */
+function widgetTextLayer(element, labelFrame, text, { name, context, justification }) {
+  if (!labelFrame || text === undefined || text === null || text === "") return null;
+  return renderTextLayer(
+    { ...element, text: String(text), content: undefined, justification: pick(element, "justification", "Justification") ?? justification },
+    labelFrame,
+    { editableText: context.editableText, name }
+  );
+}
+
+async function renderComboBox(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const options = toArray(pick(element, "options", "default_options", "DefaultOptions"));
+  const selected = pick(element, "selected_option", "SelectedOption") ?? element.content ?? element.text ?? options[0];
+
+  const box = await renderBorderLayer(
+    widgetPart(element, name, { background: defaultBorderBackground, border_color: defaultBorderStroke, border_width: 1, ...boxStyleOf(element) }),
+    frame,
+    borderOptions
+  );
+
+  // The drop-down arrow sits in a square zone at the right edge.
+  const zone = Math.min(frame.height, frame.width / 2);
+  const label = widgetTextLayer(element, subFrame(frame, { x: 0, y: 0, width: frame.width - zone, height: frame.height }), selected, {
+    name: `${name} Label`,
+    context,
+    justification: "left",
+  });
+  const arrowFrame = subFrame(frame, { x: frame.width - zone, y: 0, width: zone, height: frame.height });
+  const arrow = arrowFrame
+    ? await canvasLayer(element, arrowFrame, `${name} Arrow`, (ctx, width, height) => {
+      const size = Math.max(4, Math.min(width, height) * 0.3);
+      const textColor = isElementObject(element.color) ? element.color.text : undefined;
+      ctx.fillStyle = colorToCss(pick(element, "arrow_color") ?? solidColorOf(textColor ?? "#FFFFFF"), { fallback: "#FFFFFF", label: name });
+      ctx.beginPath();
+      ctx.moveTo(width / 2 - size / 2, height / 2 - size / 4);
+      ctx.lineTo(width / 2 + size / 2, height / 2 - size / 4);
+      ctx.lineTo(width / 2, height / 2 + size / 4);
+      ctx.closePath();
+      ctx.fill();
+    })
+    : null;
+  return [box, label, arrow].filter(Boolean);
+}
+
+/** Formats a SpinBox value with UMG's Min/MaxFractionalDigits (1 and 6 by default). */
+function formatSpinValue(element, value) {
+  const minDigits = Math.max(0, Math.round(n(pick(element, "min_fractional_digits", "MinFractionalDigits"), 1)));
+  const maxDigits = Math.max(minDigits, Math.round(n(pick(element, "max_fractional_digits", "MaxFractionalDigits"), 6)));
+  const [whole, fraction = ""] = value.toFixed(maxDigits).split(".");
+  const digits = fraction.replace(/0+$/, "").padEnd(minDigits, "0");
+  return digits ? `${whole}.${digits}` : whole;
+}
+
+async function renderSpinBox(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const value = n(pick(element, "value", "Value"), 0);
+  const box = await renderBorderLayer(
+    widgetPart(element, name, { background: defaultBorderBackground, border_color: defaultBorderStroke, border_width: 1, ...boxStyleOf(element) }),
+    frame,
+    borderOptions
+  );
+
+  // Like UMG, a slider range shows how far the value is through it.
+  const sliderMin = pick(element, "min_slider_value", "MinSliderValue");
+  const sliderMax = pick(element, "max_slider_value", "MaxSliderValue");
+  let fill = null;
+  if (Number.isFinite(Number(sliderMin)) && Number.isFinite(Number(sliderMax)) && Number(sliderMax) > Number(sliderMin)) {
+    const ratio = clamp01((value - Number(sliderMin)) / (Number(sliderMax) - Number(sliderMin)));
+    const inset = n(element.border_width, n(element.stroke_width, 1));
+    const fillFrame = subFrame(frame, { x: inset, y: inset, width: (frame.width - inset * 2) * ratio, height: frame.height - inset * 2 });
+    fill = fillFrame
+      ? await renderBorderLayer(widgetPart(element, `${name} Fill`, { background: pick(element, "fill_color") ?? "#3A3A3A" }), fillFrame, borderOptions)
+      : null;
+  }
+
+  const label = widgetTextLayer(element, frame, formatSpinValue(element, value), { name: `${name} Label`, context, justification: "center" });
+  return [box, fill, label].filter(Boolean);
+}
+
+async function renderScrollBox(element, frame, context, borderOptions) {
+  const name = widgetLabel(element);
+  const backdrop = hasBoxStyle(element) ? await renderBorderLayer(element, frame, borderOptions) : null;
+
+  const horizontal = isHorizontalBox(element);
+  const viewport = horizontal ? frame.width : frame.height;
+  const extent = context.scrollExtents?.get(element);
+  const content = Math.max(viewport, horizontal ? n(extent?.width, 0) : n(extent?.height, 0));
+  const hidden = hiddenVisibilities.has(umgEnumValue(pick(element, "scroll_bar_visibility", "ScrollBarVisibility")));
+  const always = pick(element, "always_show_scrollbar", "AlwaysShowScrollbar") === true;
+  if (hidden || (content <= viewport && !always)) return backdrop;
+
+  const thickness = readVector(pick(element, "scrollbar_thickness", "ScrollbarThickness"), 9);
+  const size = Math.min(horizontal ? frame.height : frame.width, horizontal ? thickness.y : thickness.x);
+  const track = horizontal
+    ? { x: 0, y: frame.height - size, width: frame.width, height: size }
+    : { x: frame.width - size, y: 0, width: size, height: frame.height };
+  // The thumb shows the visible fraction of the content, scrolled to the top.
+  const thumbLength = Math.min(viewport, Math.max(size * 2, (viewport * viewport) / content));
+  const thumb = horizontal ? { ...track, width: thumbLength } : { ...track, height: thumbLength };
+
+  const trackFrame = subFrame(frame, track);
+  const thumbFrame = subFrame(frame, thumb);
+  const trackLayer = trackFrame
+    ? await renderBorderLayer(
+      widgetPart(element, `${name} Scrollbar`, { background: pick(element, "scrollbar_track_color") ?? "#FFFFFF14", border_radius: size / 2 }),
+      trackFrame,
+      borderOptions
+    )
+    : null;
+  const thumbLayer = thumbFrame
+    ? await renderBorderLayer(
+      widgetPart(element, `${name} Scrollbar Thumb`, { background: pick(element, "scrollbar_color") ?? "#8A8A8A", border_radius: size / 2 }),
+      thumbFrame,
+      borderOptions
+    )
+    : null;
+  return [backdrop, trackLayer, thumbLayer].filter(Boolean);
+}
+
+/**
+ * Throbber and CircularThrobber pieces, faded in sequence to suggest the animation.
+ * Pieces use the `Image` brush when it has an image, otherwise a dot in `piece_color`.
+ */
+async function renderThrobber(element, frame, context, borderOptions, circular) {
+  const name = widgetLabel(element);
+  const backdrop = hasBoxStyle(element) ? await renderBorderLayer(element, frame, borderOptions) : null;
+  const pieces = Math.max(1, Math.round(n(pick(element, "number_of_pieces", "NumberOfPieces"), circular ? 6 : 3)));
+  const brush = pick(element, "piece_image", "Image");
+  const pieceImage = backgroundBrushOf({ background_image: brush });
+  const color = pick(element, "piece_color") ?? (isElementObject(brush) ? pick(brush, "TintColor", "tint") : undefined) ?? "#FFFFFF";
+
+  const layer = await canvasLayer(element, frame, backdrop ? `${name} Pieces` : name, async (ctx, width, height) => {
+    const image = pieceImage ? await loadBrushImage(pieceImage.source, context.baseDir, context.assetCache) : null;
+    const radius = Math.min(n(pick(element, "radius", "Radius"), Math.min(width, height) / 2), Math.min(width, height) / 2);
+    const pieceSize = circular
+      ? Math.max(2, Math.min(radius * 0.5, (Math.PI * radius * 2) / pieces / 1.5))
+      : Math.max(2, Math.min(height, width / pieces));
+    ctx.fillStyle = colorToCss(color, { fallback: "#FFFFFF", label: name });
+
+    for (let index = 0; index < pieces; index += 1) {
+      let cx;
+      let cy;
+      if (circular) {
+        // Pieces start at 12 o'clock and run clockwise.
+        const angle = (index / pieces) * Math.PI * 2 - Math.PI / 2;
+        cx = width / 2 + Math.cos(angle) * (radius - pieceSize / 2);
+        cy = height / 2 + Math.sin(angle) * (radius - pieceSize / 2);
+      } else {
+        cx = (width / pieces) * (index + 0.5);
+        cy = height / 2;
+      }
+      ctx.save();
+      ctx.globalAlpha = 1 - (index / pieces) * 0.75;
+      if (image) {
+        ctx.translate(cx - pieceSize / 2, cy - pieceSize / 2);
+        drawBrush(ctx, image, readBrush(pieceImage.settings), pieceSize, pieceSize);
+      } else {
+        ctx.beginPath();
+        ctx.arc(cx, cy, pieceSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+  });
+  return [backdrop, layer].filter(Boolean);
+}
+
+/** Dispatches the widget types in `widgetTypes`; a Spacer only takes up space. */
+async function renderWidget(type, element, frame, context, borderOptions) {
+  if (type === "progressbar") return renderProgressBar(element, frame, context, borderOptions);
+  if (type === "slider") return renderSlider(element, frame, context, borderOptions);
+  if (type === "checkbox") return renderCheckBox(element, frame, context, borderOptions);
+  if (comboBoxTypes.has(type)) return renderComboBox(element, frame, context, borderOptions);
+  if (type === "spinbox") return renderSpinBox(element, frame, context, borderOptions);
+  if (type === "scrollbox") return renderScrollBox(element, frame, context, borderOptions);
+  if (type === "throbber" || type === "circularthrobber") {
+    return renderThrobber(element, frame, context, borderOptions, type === "circularthrobber");
+  }
+  return null;
+}
+
+async function renderElement(element, context) {
+  const frame = buildLayerFrame(element, context.offsetX, context.offsetY);
+  if (!frame) return null;
+
+  const type = elementTypeOf(element);
+  const borderOptions = { vectorShapes: context.vectorShapes, baseDir: context.baseDir, assetCache: context.assetCache };
+
+  if (containerTypes.has(type)) {
+    return renderBorderLayer(element, frame, borderOptions);
+  }
+
+  if (widgetTypes.has(type)) {
+    return renderWidget(type, element, frame, context, borderOptions);
+  }
+
+  if (panelTypes.has(type)) {
+    // Layout panels are invisible in UMG; only draw one when it is given a background or border.
+    return hasBoxStyle(element) ? renderBorderLayer(element, frame, borderOptions) : null;
+  }
+
+  if (type === "richtextblock") {
+    return renderRichTextLayer(element, frame, { editableText: context.editableText, baseDir: context.baseDir, assetCache: context.assetCache });
+  }
+
+  if (textTypes.has(type)) {
+    return renderTextLayer(element, frame, { editableText: context.editableText });
+  }
+
+  if (inputTypes.has(type)) {
+    if (context.editableText) {
+      const baseLayer = await renderBorderLayer(element, frame, borderOptions);
+      // Keep the label editable by giving it its own layer above the background.
+      const textLayer = renderTextLayer(element, frame, {
+        editableText: true,
+        name: `${element.name || element.type || "Text"} Label`,
+      });
+      return [baseLayer, textLayer].filter(Boolean);
+    }
+
+    const baseLayer = await renderBorderLayer(element, frame, { baseDir: context.baseDir, assetCache: context.assetCache });
+    if (baseLayer) {
+      const ctx = baseLayer.canvas.getContext("2d");
+      drawTextContent(ctx, element, frame.width, frame.height);
+      return baseLayer;
+    }
+
+    return renderTextLayer(element, frame);
+  }
+
+  if (imageTypes.has(type)) {
+    return renderImageLayer(element, frame, context.baseDir, { vectorShapes: context.vectorShapes, assetCache: context.assetCache });
+  }
+
+  // Default fallback: render as filled rectangle for visibility.
+  return renderBorderLayer(element, frame, { baseDir: context.baseDir, assetCache: context.assetCache });
+}
+
+/**
+ * Layers kept between compositions (watch mode). An element's layers are
+ * reused while its resolved JSON, placement, render settings and the files it
+ * references are unchanged; entries not used by a run are dropped after it.
+ */
+function createLayerCache() {
+  const entries = new Map();
+  let used = new Set();
+  const stats = { rendered: 0, reused: 0 };
+  return {
+    stats,
+    beginRun() {
+      used = new Set();
+      stats.rendered = 0;
+      stats.reused = 0;
+    },
+    endRun() {
+      for (const key of entries.keys()) if (!used.has(key)) entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    async layers(key, render) {
+      used.add(key);
+      if (entries.has(key)) {
+        stats.reused += 1;
+        // Layer comp ids are assigned per composition.
+        const forgetComps = (layers) =>
+          layers.forEach((layer) => {
+            delete layer.id;
+            delete layer.comps;
+            if (layer.children) forgetComps(layer.children);
+          });
+        forgetComps(entries.get(key));
+        return entries.get(key);
+      }
+      const layers = await render();
+      entries.set(key, layers);
+      stats.rendered += 1;
+      return layers;
+    },
+  };
+}
+
+function layerCacheKey(element, source, context, layerColor) {
+  const { children, ...own } = element;
+  return JSON.stringify([
+    context.indexOf(source),
+    own,
+    context.offsetX,
+    context.offsetY,
+    context.transforms?.get(source) ?? null,
+    context.scrollExtents?.get(source) ?? null,
+    context.editableText,
+    context.vectorShapes,
+    layerColor ?? null,
+    context.baseDir,
+    // Hashed rather than dated: placeholders are rewritten with the same pixels on every run.
+    localFileReferences(own, context.baseDir).map((file) => [file, crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex")]),
+  ]);
+}
+
+/** Renders an element's own layers and applies its effects, render transform, blend mode and colour label. */
+async function renderOwnLayers(element, source, context, layerColor) {
+  if (context.layerCache) {
+    const key = layerCacheKey(element, source, context, layerColor);
+    return context.layerCache.layers(key, () => renderOwnLayersUncached(element, source, context, layerColor));
+  }
+  return renderOwnLayersUncached(element, source, context, layerColor);
+}
+
+async function renderOwnLayersUncached(element, source, context, layerColor) {
+  const own = toArray(await renderElement(element, context));
+  // Element-level effects belong to the element's base layer (e.g. a button background).
+  mergeLayerEffects(own[0], buildLayerEffects(element.effects));
+  const matrix = context.transforms?.get(source);
+  if (matrix) own.forEach((layer) => transformLayer(layer, matrix));
+  const blendMode = layerBlendMode(element);
+  for (const layer of own) {
+    if (blendMode) layer.blendMode = blendMode;
+    if (layerColor) layer.layerColor = layerColor;
+  }
+  return own;
+}
+
+/** One sibling layer (or group) per declared state; only the default state is left visible. */
+async function renderStateLayers(element, states, context, layerColor) {
+  const defaultKey = defaultStateOf(element, states);
+  const available = new Set(states.map((state) => state.key));
+  const layers = [];
+  for (const state of states) {
+    const own = await renderOwnLayers(stateElement(element, state.key, state.overrides), element, context, layerColor);
+    if (!own.length) continue;
+    const layer = own.length === 1
+      ? Object.assign(own[0], { name: stateLabel(state.key) })
+      : { name: stateLabel(state.key), opened: false, ...(layerColor ? { layerColor } : {}), children: own };
+    layer.hidden = state.key !== defaultKey;
+    context.stateLayers.set(layer, { key: state.key, isDefault: state.key === defaultKey, available });
+    layers.push(layer);
+  }
+  return layers;
+}
+
+async function renderTree(nodes, context) {
+  const layers = [];
+  for (const node of sortByZOrder(nodes, context.indexOf)) {
+    const { element } = node;
+    const layerColor = layerColorOf(element, context.layerColors);
+    const states = declaredStates(element);
+    const own = states.length
+      ? await renderStateLayers(element, states, context, layerColor)
+      : await renderOwnLayers(element, element, context, layerColor);
+    const childLayers = node.children.length ? await renderTree(node.children, context) : [];
+    const groupChildren = [...own, ...childLayers];
+    if (!groupChildren.length) continue;
+    const hidden = isHiddenElement(element);
+
+    if (groupChildren.length === 1 && !node.children.length && !states.length) {
+      if (hidden) groupChildren[0].hidden = true;
+      layers.push(groupChildren[0]);
+      continue;
+    }
+
+    layers.push({
+      name: element.name || element.type || "Group",
+      opened: true,
+      ...(layerColor ? { layerColor } : {}),
+      ...(hidden ? { hidden: true } : {}),
+      children: groupChildren,
+    });
+  }
+  return layers;
+}
+
+// Photoshop layer comps only record visibility here.
+const compCapturesVisibility = 1;
+
+/**
+ * Adds a "Default" layer comp plus one per non-default widget state (e.g. "Hovered", "Pressed").
+ * A comp shows that state on every widget declaring it and the default state everywhere else.
+ * Returns the comp names, or an empty list when no widget declares states.
+ */
+function applyLayerComps(psd, stateLayers) {
+  if (!stateLayers.size) return [];
+  const compKeys = ["default"];
+  for (const info of stateLayers.values()) {
+    if (!info.isDefault && !compKeys.includes(info.key)) compKeys.push(info.key);
+  }
+  const compIds = compKeys.map((_, index) => index + 1);
+
+  // Photoshop ties comp visibility to layer ids, so every layer needs one.
+  let nextId = 1;
+  const visit = (layers) => {
+    for (const layer of layers) {
+      layer.id = nextId;
+      nextId += 1;
+      const info = stateLayers.get(layer);
+      const visibleIn = (compKey) => {
+        if (!info) return !layer.hidden;
+        if (compKey !== "default" && info.available.has(compKey)) return info.key === compKey;
+        return info.isDefault;
+      };
+      const shown = compIds.filter((_, index) => visibleIn(compKeys[index]));
+      const hiddenIn = compIds.filter((id) => !shown.includes(id));
+      layer.comps = {
+        settings: [
+          { enabled: true, compList: shown },
+          { enabled: false, compList: hiddenIn },
+        ].filter((setting) => setting.compList.length),
+      };
+      if (layer.children) visit(layer.children);
+    }
+  };
+  visit(psd.children);
+
+  const names = compKeys.map(stateLabel);
+  psd.imageResources = {
+    ...(psd.imageResources || {}),
+    layerComps: {
+      list: names.map((name, index) => ({ id: compIds[index], name, capturedInfo: compCapturesVisibility })),
+      lastApplied: compIds[0],
+    },
+  };
+  return names;
+}
+
+function countLayers(layers) {
+  let layerCount = 0;
+  let groupCount = 0;
+  for (const layer of layers || []) {
+    if (layer.children) {
+      groupCount += 1;
+      const nested = countLayers(layer.children);
+      layerCount += nested.layerCount;
+      groupCount += nested.groupCount;
+    } else {
+      layerCount += 1;
+    }
+  }
+  return { layerCount, groupCount };
+}
+
+const canvasBlendModes = {
+  normal: "source-over",
+  "pass through": "source-over",
+  multiply: "multiply",
+  screen: "screen",
+  overlay: "overlay",
+  darken: "darken",
+  lighten: "lighten",
+  "color dodge": "color-dodge",
+  "color burn": "color-burn",
+  "hard light": "hard-light",
+  "soft light": "soft-light",
+  difference: "difference",
+  exclusion: "exclusion",
+  hue: "hue",
+  saturation: "saturation",
+  color: "color",
+  luminosity: "luminosity",
+  "linear dodge": "lighter",
+};
+
+const unitsValue = (value, fallback = 0) => n(value?.value, fallback);
+
+// Shadows are drawn from a copy placed far off-canvas so only the shadow lands on the target.
+const shadowOffscreen = 100000;
+
+function drawBlurredSilhouette(ctx, source, x, y, { color, opacity, blur, dx = 0, dy = 0 }) {
+  ctx.save();
+  ctx.shadowColor = rgbaCss(color, opacity);
+  ctx.shadowBlur = Math.max(0, blur);
+  ctx.shadowOffsetX = dx + shadowOffscreen;
+  ctx.shadowOffsetY = dy;
+  ctx.drawImage(source, x - shadowOffscreen, y);
+  ctx.restore();
+}
+
+function silhouette(source, color, opacity = 1) {
+  const canvas = createCanvas(source.width, source.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(source, 0, 0);
+  ctx.globalCompositeOperation = "source-in";
+  ctx.fillStyle = rgbaCss(color, opacity);
+  ctx.fillRect(0, 0, source.width, source.height);
+  return canvas;
+}
+
+function circleOffsets(radius) {
+  const offsets = [];
+  const step = Math.max(1, radius / 4);
+  for (let r = step; r <= radius + 0.001; r += step) {
+    const count = Math.max(8, Math.ceil(2 * Math.PI * r));
+    for (let i = 0; i < count; i += 1) {
+      const angle = (i / count) * Math.PI * 2;
+      offsets.push([Math.cos(angle) * r, Math.sin(angle) * r]);
+    }
+  }
+  return offsets;
+}
+
+/** Rasterizes a Photoshop stroke effect (ring around or inside the layer's alpha) for the composite. */
+function strokeRing(source, { size, position, color, opacity }) {
+  const outer = position === "outside" ? size : position === "center" ? size / 2 : 0;
+  const inner = position === "inside" ? size : position === "center" ? size / 2 : 0;
+  const ring = createCanvas(source.width, source.height);
+  const ctx = ring.getContext("2d");
+  const shape = silhouette(source, color, 1);
+
+  if (outer > 0) {
+    for (const [dx, dy] of circleOffsets(outer)) ctx.drawImage(shape, dx, dy);
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.drawImage(source, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+  }
+
+  if (inner > 0) {
+    const eroded = createCanvas(source.width, source.height);
+    const ectx = eroded.getContext("2d");
+    ectx.drawImage(source, 0, 0);
+    ectx.globalCompositeOperation = "destination-in";
+    for (const [dx, dy] of circleOffsets(inner)) ectx.drawImage(source, dx, dy);
+
+    const band = silhouette(source, color, 1);
+    const bctx = band.getContext("2d");
+    bctx.globalCompositeOperation = "destination-out";
+    bctx.drawImage(eroded, 0, 0);
+    ctx.drawImage(band, 0, 0);
+  }
+
+  const result = createCanvas(source.width, source.height);
+  const rctx = result.getContext("2d");
+  rctx.globalAlpha = opacity;
+  rctx.drawImage(ring, 0, 0);
+  return result;
+}
+
+function innerShadow(source, { color, opacity, blur, dx, dy }) {
+  const pad = Math.ceil(blur + Math.abs(dx) + Math.abs(dy)) + 2;
+  const mask = createCanvas(source.width + pad * 2, source.height + pad * 2);
+  const mctx = mask.getContext("2d");
+  mctx.fillStyle = "#000";
+  mctx.fillRect(0, 0, mask.width, mask.height);
+  mctx.globalCompositeOperation = "destination-out";
+  mctx.drawImage(source, pad + dx, pad + dy);
+
+  const result = createCanvas(source.width, source.height);
+  const rctx = result.getContext("2d");
+  drawBlurredSilhouette(rctx, mask, -pad, -pad, { color, opacity, blur });
+  rctx.globalCompositeOperation = "destination-in";
+  rctx.drawImage(source, 0, 0);
+  return result;
+}
+
+const shadowDelta = (effect) => {
+  const distance = unitsValue(effect.distance, 0);
+  const angle = (n(effect.angle, 120) * Math.PI) / 180;
+  return { dx: -Math.cos(angle) * distance, dy: Math.sin(angle) * distance };
+};
+
+function traceVectorMask(ctx, vectorMask, offsetX, offsetY) {
+  ctx.beginPath();
+  for (const bezier of vectorMask.paths || []) {
+    const knots = bezier.knots || [];
+    if (!knots.length) continue;
+    const at = (knot, i) => [knot.points[i] - offsetX, knot.points[i + 1] - offsetY];
+    ctx.moveTo(...at(knots[0], 2));
+    const count = bezier.open ? knots.length - 1 : knots.length;
+    for (let i = 0; i < count; i += 1) {
+      const from = knots[i];
+      const to = knots[(i + 1) % knots.length];
+      ctx.bezierCurveTo(...at(from, 4), ...at(to, 0), ...at(to, 2));
+    }
+    if (!bezier.open) ctx.closePath();
+  }
+}
+
+/**
+ * Draws one layer plus a raster approximation of its layer effects. PSD
+ * viewers that ignore layer data only show the composite, so this is the
+ * flattened-preview fallback for the native (editable) effects.
+ */
+function drawLayerWithEffects(ctx, layer, parentOpacity) {
+  if (!layer.canvas) return;
+  const effects = layer.effects && !layer.effects.disabled ? layer.effects : {};
+  const enabled = (list) => toArray(list).filter((effect) => effect && effect.enabled !== false);
+
+  let source = layer.canvas;
+  if (layer.vectorMask && !layer.vectorMask.disable) {
+    const masked = createCanvas(source.width, source.height);
+    const mctx = masked.getContext("2d");
+    traceVectorMask(mctx, layer.vectorMask, n(layer.left, 0), n(layer.top, 0));
+    mctx.clip();
+    mctx.drawImage(source, 0, 0);
+    source = masked;
+  }
+
+  const spread = [
+    ...enabled(effects.dropShadow).map((e) => unitsValue(e.size) + unitsValue(e.distance)),
+    ...enabled(effects.outerGlow).map((e) => unitsValue(e.size) * 2),
+    ...enabled(effects.stroke).map((e) => unitsValue(e.size, 1)),
+  ];
+  const pad = Math.ceil(Math.max(0, ...spread)) + 2;
+
+  const padded = createCanvas(source.width + pad * 2, source.height + pad * 2);
+  const pctx = padded.getContext("2d");
+  pctx.drawImage(source, pad, pad);
+
+  const target = createCanvas(padded.width, padded.height);
+  const tctx = target.getContext("2d");
+  const withBlend = (blendMode, draw) => {
+    tctx.save();
+    tctx.globalCompositeOperation = canvasBlendModes[blendMode] || "source-over";
+    draw();
+    tctx.restore();
+  };
+
+  for (const effect of enabled(effects.dropShadow)) {
+    withBlend(effect.blendMode, () => drawBlurredSilhouette(tctx, padded, 0, 0, {
+      color: effect.color,
+      opacity: n(effect.opacity, 0.75),
+      blur: unitsValue(effect.size, 4),
+      ...shadowDelta(effect),
+    }));
+  }
+  for (const effect of enabled(effects.outerGlow)) {
+    withBlend(effect.blendMode, () => drawBlurredSilhouette(tctx, padded, 0, 0, {
+      color: effect.color,
+      opacity: n(effect.opacity, 0.75),
+      blur: unitsValue(effect.size, 8),
+    }));
+  }
+
+  tctx.drawImage(padded, 0, 0);
+
+  for (const effect of enabled(effects.solidFill)) {
+    withBlend(effect.blendMode, () => tctx.drawImage(silhouette(padded, effect.color, n(effect.opacity, 1)), 0, 0));
+  }
+  for (const effect of enabled(effects.innerShadow)) {
+    withBlend(effect.blendMode, () => tctx.drawImage(innerShadow(padded, {
+      color: effect.color,
+      opacity: n(effect.opacity, 0.75),
+      blur: unitsValue(effect.size, 4),
+      ...shadowDelta(effect),
+    }), 0, 0));
+  }
+  for (const effect of enabled(effects.stroke)) {
+    withBlend(effect.blendMode, () => tctx.drawImage(strokeRing(padded, {
+      size: unitsValue(effect.size, 1),
+      position: effect.position || "outside",
+      color: effect.color,
+      opacity: n(effect.opacity, 1),
+    }), 0, 0));
+  }
+
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, Math.max(0, n(layer.opacity, 1))) * parentOpacity;
+  ctx.globalCompositeOperation = canvasBlendModes[layer.blendMode] || "source-over";
+  ctx.drawImage(target, n(layer.left, 0) - pad, n(layer.top, 0) - pad);
+  ctx.restore();
+}
+
+/** Flattens the layer tree (bottom-first) into the PSD composite image. */
+function renderComposite(layers, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const draw = (list, parentOpacity) => {
+    for (const layer of list || []) {
+      if (layer.hidden) continue;
+      if (layer.children) {
+        draw(layer.children, parentOpacity * Math.min(1, Math.max(0, n(layer.opacity, 1))));
+        continue;
+      }
+      drawLayerWithEffects(ctx, layer, parentOpacity);
+    }
+  };
+  draw(layers, 1);
+  return canvas;
+}
+
+/** Text elements whose content does not fit their resolved frame. */
+function collectTextOverflows(elements) {
+  const overflows = [];
+  for (const element of elements) {
+    const type = elementTypeOf(element);
+    if (!textTypes.has(type) && !inputTypes.has(type)) continue;
+    const frame = buildLayerFrame(element, 0, 0);
+    if (!frame) continue;
+    const layout = layoutTextElement(element, frame.width, frame.height);
+    if (!layout.text || (!layout.overflow.x && !layout.overflow.y)) continue;
+    overflows.push({
+      element: element.name || element.type || "Text",
+      width: frame.width,
+      height: frame.height,
+      contentWidth: Math.ceil(layout.contentWidth + layout.inset * 2),
+      contentHeight: Math.ceil(layout.contentHeight),
+      policy: layout.overflowPolicy,
+    });
+  }
+  return overflows;
+}
+
+async function composePsd(elements, options) {
+  // Layout resolution rewrites position/size, so work on a copy of the caller's elements.
+  const tree = buildElementTree(JSON.parse(JSON.stringify(elements || [])));
+  // Read rich-text style files once, so layout and rendering work from plain tables.
+  tree.elements.filter(isRichText).forEach((element) => {
+    const { textStyles, inlineImages } = richTextStyleSet(element, options.baseDir);
+    element.text_styles = textStyles;
+    element.inline_images = inlineImages;
+  });
+  const fonts = planElementFonts(tree.elements, options.fonts || createFontCatalog(), {
+    baseDir: options.baseDir,
+    warnings: tree.warnings,
+  });
+  const { viewport, scrollExtents } = resolveLayout(tree, { targetResolution: options.targetResolution });
+  // An explicit target resolution is the viewport being designed for, so keep all of it on the canvas.
+  const bounds = computeBounds(
+    tree.elements,
+    options.margin,
+    options.targetResolution ? [viewport] : [],
+    renderTransformMatrices(tree)
+  );
+  const context = {
+    offsetX: bounds.offsetX,
+    offsetY: bounds.offsetY,
+    transforms: renderTransformMatrices(tree, bounds.offsetX, bounds.offsetY),
+    baseDir: options.baseDir,
+    assetCache: options.assetCache,
+    indexOf: (element) => tree.elements.indexOf(element),
+    editableText: Boolean(options.editableText),
+    vectorShapes: Boolean(options.vectorShapes),
+    layerColors: options.layerColors !== false,
+    stateLayers: new Map(),
+    scrollExtents,
+    layerCache: options.layerCache,
+  };
+
+  // ag-psd expects children bottom-first, so ascending z_order stacks higher values on top.
+  options.layerCache?.beginRun();
+  const layers = await renderTree(tree.roots, context);
+  options.layerCache?.endRun();
+
+  const psd = {
+    width: bounds.width,
+    height: bounds.height,
+    children: layers,
+    canvas: renderComposite(layers, bounds.width, bounds.height),
+  };
+  const layerComps = applyLayerComps(psd, context.stateLayers);
+
+  tree.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+  return {
+    psd,
+    bounds,
+    ...countLayers(layers),
+    warnings: tree.warnings,
+    textOverflows: collectTextOverflows(tree.elements),
+    fonts,
+    layerComps,
+  };
+}
+
+const finiteNumber = z.number({ invalid_type_error: "Expected a number" }).finite();
+const nonNegativeNumber = finiteNumber.min(0, "Must be zero or positive");
+
+const isParsableColor = (value) => cssColorToRgba(value, null) !== null;
+
+const linearColorSchema = z
+  .object({ R: finiteNumber.optional(), G: finiteNumber.optional(), B: finiteNumber.optional(), A: finiteNumber.optional() })
+  .passthrough();
+
+const colorSchema = z.union([z.string(), linearColorSchema]).superRefine((value, ctx) => {
+  if (!isParsableColor(value)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `Unrecognised colour ${JSON.stringify(value)}`,
+      params: { kind: "color" },
+    });
+  }
+});
+
+const pointSchema = z.object({ x: finiteNumber.optional(), y: finiteNumber.optional() }).passthrough();
+
+const gradientSchema = z
+  .object({
+    type: z.enum(gradientTypes),
+    angle: finiteNumber.optional(),
+    center: pointSchema.optional(),
+    radius: nonNegativeNumber.optional(),
+    stops: z.array(z.any()).min(1, "A gradient needs at least one stop"),
+  })
+  .passthrough();
+
+// Backgrounds, borders and text accept a colour or a gradient.
+const paintSchema = z.union([z.string(), gradientSchema, linearColorSchema]).superRefine((value, ctx) => {
+  if (isParsablePaint(value)) return;
+  const gradient = readGradient(value);
+  ctx.addIssue({
+    code: z.ZodIssueCode.custom,
+    message: gradient
+      ? `Unrecognised gradient stop colour(s) ${gradient.invalid.map((color) => JSON.stringify(color)).join(", ")}`
+      : `Unrecognised colour ${JSON.stringify(value)}`,
+    params: { kind: "color" },
+  });
+});
+
+const oneOrMany = (schema) => z.union([schema, z.array(schema)]);
+
+const effectSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    color: colorSchema.optional(),
+    opacity: finiteNumber.min(0).max(1).optional(),
+    size: nonNegativeNumber.optional(),
+    blur: nonNegativeNumber.optional(),
+    spread: nonNegativeNumber.optional(),
+    distance: nonNegativeNumber.optional(),
+    angle: finiteNumber.optional(),
+    offset: pointSchema.optional(),
+    blend_mode: z.string().optional(),
+    position: z.enum(["inside", "center", "outside"]).optional(),
+  })
+  .passthrough();
+
+const effectsSchema = z
+  .object({
+    drop_shadow: oneOrMany(effectSchema).optional(),
+    inner_shadow: oneOrMany(effectSchema).optional(),
+    outer_glow: oneOrMany(effectSchema).optional(),
+    stroke: oneOrMany(effectSchema).optional(),
+    color_overlay: oneOrMany(effectSchema).optional(),
+  })
+  .passthrough();
+
+const fontSchema = z
+  .object({
+    family: z.string().min(1).optional(),
+    size: finiteNumber.positive("Font size must be positive").optional(),
+    weight: z
+      .union([z.string(), finiteNumber])
+      .refine((value) => typeof value === "number" || weightMap[value.toLowerCase()] || /^\d{3}$/.test(value), {
+        message: "Unknown font weight",
+        params: { kind: "enum", options: Object.keys(weightMap) },
+      })
+      .optional(),
+    style: z.enum(["normal", "italic", "oblique"]).optional(),
+    alignment: z.enum(Object.keys(alignMap)).optional(),
+    justification: z.enum(Object.keys(alignMap)).optional(),
+    vertical_alignment: z.enum(Object.keys(verticalAlignMap)).optional(),
+    line_height: finiteNumber.positive().optional(),
+    letter_spacing: finiteNumber.optional(),
+    color: colorSchema.optional(),
+    postscript_name: z.string().min(1).optional(),
+    paths: oneOrMany(z.string()).optional(),
+    path: z.string().optional(),
+    fallbacks: oneOrMany(z.string().min(1)).optional(),
+  })
+  .passthrough();
+
+const elementColorSchema = z
+  .object({
+    background: paintSchema.optional(),
+    border: paintSchema.optional(),
+    text: paintSchema.optional(),
+  })
+  .passthrough();
+
+const anchorsSchema = z.union([
+  z.string().refine((value) => anchorPresets[value.toLowerCase().replace(/[\s-]+/g, "_")], {
+    message: "Unknown anchor preset",
+    params: { kind: "enum", options: Object.keys(anchorPresets) },
+  }),
+  z.object({ min: pointSchema.optional(), max: pointSchema.optional() }).passthrough(),
+]);
+
+const paddingSchema = z.union([
+  finiteNumber,
+  z
+    .object({
+      left: finiteNumber.optional(),
+      top: finiteNumber.optional(),
+      right: finiteNumber.optional(),
+      bottom: finiteNumber.optional(),
+      horizontal: finiteNumber.optional(),
+      vertical: finiteNumber.optional(),
+    })
+    .passthrough(),
+]);
+
+const slotAlignmentSchema = z.string().refine((value) => readAlignment(value, null) !== null, {
+  message: "Unknown slot alignment",
+  params: { kind: "enum", options: ["left", "center", "right", "top", "bottom", "fill"] },
+});
+
+const slotSchema = z
+  .object({
+    anchors: anchorsSchema.optional(),
+    offsets: z
+      .object({
+        left: finiteNumber.optional(),
+        top: finiteNumber.optional(),
+        right: finiteNumber.optional(),
+        bottom: finiteNumber.optional(),
+      })
+      .passthrough()
+      .optional(),
+    alignment: pointSchema.optional(),
+    auto_size: z.boolean().optional(),
+    padding: paddingSchema.optional(),
+    size: z
+      .union([
+        z.enum(["auto", "fill", "Auto", "Fill"]),
+        z.object({ rule: z.enum(["auto", "fill", "Auto", "Fill"]).optional(), value: nonNegativeNumber.optional() }).passthrough(),
+      ])
+      .optional(),
+    fill: nonNegativeNumber.optional(),
+    horizontal_alignment: slotAlignmentSchema.optional(),
+    vertical_alignment: slotAlignmentSchema.optional(),
+    row: nonNegativeNumber.optional(),
+    column: nonNegativeNumber.optional(),
+    row_span: finiteNumber.min(1).optional(),
+    column_span: finiteNumber.min(1).optional(),
+    fill_empty_space: z.boolean().optional(),
+    fill_span_when_less_than: nonNegativeNumber.optional(),
+  })
+  .passthrough();
+
+const renderTransformSchema = z
+  .object({
+    translation: pointSchema.optional(),
+    scale: pointSchema.optional(),
+    shear: z
+      .object({
+        x: finiteNumber.min(-89).max(89).optional(),
+        y: finiteNumber.min(-89).max(89).optional(),
+      })
+      .passthrough()
+      .optional(),
+    angle: finiteNumber.optional(),
+    pivot: pointSchema.optional(),
+  })
+  .passthrough();
+
+const baseElementShape = {
+  type: z.string({ required_error: "Element type is required" }).min(1, "Element type is required"),
+  name: z.string().min(1).optional(),
+  position: pointSchema.optional(),
+  size: z.object({ width: nonNegativeNumber.optional(), height: nonNegativeNumber.optional() }).passthrough().optional(),
+  z_order: finiteNumber.optional(),
+  zOrder: finiteNumber.optional(),
+  opacity: finiteNumber.min(0).max(1).optional(),
+  children: z.array(z.union([z.string().min(1), z.object({}).passthrough()])).optional(),
+  effects: effectsSchema.optional(),
+  border_radius: nonNegativeNumber.optional(),
+  corner_radius: nonNegativeNumber.optional(),
+  color: elementColorSchema.optional(),
+  slot: slotSchema.optional(),
+  Slot: slotSchema.optional(),
+  render_transform: renderTransformSchema.optional(),
+  render_transform_pivot: pointSchema.optional(),
+  blend_mode: z.string().refine((value) => psdBlendModes.has(toPsdBlendMode(value.replace(/^(?:E\w+::)?BLEND_/i, ""))), {
+    message: "Unknown blend mode",
+    params: { kind: "enum", options: [...psdBlendModes] },
+  }).optional(),
+  visibility: z.string().refine((value) => visibilityValues.includes(umgEnumValue(value)), {
+    message: "Unknown visibility",
+    params: { kind: "enum", options: ["Visible", "Collapsed", "Hidden", "HitTestInvisible", "SelfHitTestInvisible"] },
+  }).optional(),
+  layer_color: z.string().refine((value) => layerColors.has(layerColorAliases[value.trim().toLowerCase()] || value.trim().toLowerCase()), {
+    message: "Unknown layer colour",
+    params: { kind: "enum", options: [...layerColors] },
+  }).optional(),
+  placeholder: z.union([
+    z.string().min(1),
+    z.object({
+      theme: z.string().min(1).optional(),
+      extends: z.string().min(1).optional(),
+      label: z.union([z.string(), z.literal(false)]).optional(),
+      color: z.string().optional(),
+    }).passthrough(),
+  ]).optional(),
+};
+
+const brushEnumSchema = (aliases, label) =>
+  z.string().refine((value) => readBrushEnum(value, aliases, null) !== null, {
+    message: `Unknown ${label}`,
+    params: { kind: "enum", options: [...new Set(Object.values(aliases))] },
+  });
+
+const brushSettingsShape = {
+  fit: z.string().refine((value) => brushFits.includes(value.toLowerCase()), {
+    message: "Unknown image fit",
+    params: { kind: "enum", options: brushFits },
+  }).optional(),
+  tiling: brushEnumSchema(brushTilingAliases, "brush tiling").optional(),
+  draw_as: brushEnumSchema(brushDrawAsAliases, "brush draw mode").optional(),
+  margin: paddingSchema.optional(),
+  image_size: pointSchema.optional(),
+  fit_alignment: pointSchema.optional(),
+  tint: colorSchema.optional(),
+  tint_color: colorSchema.optional(),
+};
+
+const brushSchema = z
+  .object({
+    image_source: z.string().optional(),
+    imageSource: z.string().optional(),
+    ...brushSettingsShape,
+  })
+  .passthrough();
+
+const boxStyleShape = {
+  border_width: nonNegativeNumber.optional(),
+  stroke_width: nonNegativeNumber.optional(),
+  background: paintSchema.optional(),
+  border_color: paintSchema.optional(),
+  background_image: z.union([z.string(), brushSchema]).optional(),
+  tint: colorSchema.optional(),
+  brush_color: colorSchema.optional(),
+};
+
+const textShape = {
+  content: z.union([z.string(), finiteNumber]).optional(),
+  text: z.union([z.string(), finiteNumber]).optional(),
+  font: fontSchema.optional(),
+  shadow_offset: pointSchema.optional(),
+  shadow_color: colorSchema.optional(),
+  shadow_color_and_opacity: colorSchema.optional(),
+  auto_wrap: z.boolean().optional(),
+  wrap_text_at: nonNegativeNumber.optional(),
+  letter_spacing: finiteNumber.optional(),
+  justification: z.string().refine((value) => alignMap[umgEnumValue(value)], {
+    message: "Unknown text justification",
+    params: { kind: "enum", options: Object.keys(alignMap) },
+  }).optional(),
+  overflow_policy: z.string().refine((value) => ["clip", "ellipsis"].includes(umgEnumValue(value)), {
+    message: "Unknown overflow policy",
+    params: { kind: "enum", options: ["clip", "ellipsis"] },
+  }).optional(),
+  min_desired_width: nonNegativeNumber.optional(),
+  text_styles: z.union([z.string(), z.record(z.object({}).passthrough())]).optional(),
+  inline_images: z.record(z.union([z.string(), z.object({ image_source: z.string().optional() }).passthrough()])).optional(),
+};
+
+const imageShape = {
+  image_source: z.string().optional(),
+  imageSource: z.string().optional(),
+  preferred_width: nonNegativeNumber.optional(),
+  preferred_height: nonNegativeNumber.optional(),
+  brush: brushSchema.optional(),
+  color_and_opacity: colorSchema.optional(),
+  ...brushSettingsShape,
+};
+
+const statesShape = {
+  states: z.record(z.object({}).passthrough()).optional(),
+  default_state: z.string().optional(),
+  widget_style: z.object({}).passthrough().optional(),
+};
+
+const umgEnumSchema = (options, label) =>
+  z.string().refine((value) => options.includes(umgEnumValue(value)), {
+    message: `Unknown ${label}`,
+    params: { kind: "enum", options },
+  });
+
+const widgetShape = {
+  percent: finiteNumber.min(0).max(1).optional(),
+  bar_fill_type: umgEnumSchema(progressFillTypes, "progress bar fill type").optional(),
+  fill_color: paintSchema.optional(),
+  fill_image: z.union([z.string(), brushSchema]).optional(),
+  value: finiteNumber.optional(),
+  min_value: finiteNumber.optional(),
+  max_value: finiteNumber.optional(),
+  orientation: umgEnumSchema(["horizontal", "vertical", "orient_horizontal", "orient_vertical"], "orientation").optional(),
+  bar_color: paintSchema.optional(),
+  handle_color: paintSchema.optional(),
+  bar_thickness: nonNegativeNumber.optional(),
+  thumb_size: pointSchema.optional(),
+  thumb_radius: nonNegativeNumber.optional(),
+  checked: z.boolean().optional(),
+  checked_state: umgEnumSchema([...checkedStates], "checked state").optional(),
+  checked_color: paintSchema.optional(),
+  check_color: colorSchema.optional(),
+  box_size: nonNegativeNumber.optional(),
+  selected_option: z.string().optional(),
+  options: z.array(z.string()).optional(),
+  arrow_color: colorSchema.optional(),
+  min_fractional_digits: nonNegativeNumber.optional(),
+  max_fractional_digits: nonNegativeNumber.optional(),
+  min_slider_value: finiteNumber.optional(),
+  max_slider_value: finiteNumber.optional(),
+  scroll_bar_visibility: umgEnumSchema(visibilityValues, "scroll bar visibility").optional(),
+  always_show_scrollbar: z.boolean().optional(),
+  scrollbar_thickness: pointSchema.optional(),
+  scrollbar_color: paintSchema.optional(),
+  scrollbar_track_color: paintSchema.optional(),
+  spacer_size: pointSchema.optional(),
+  number_of_pieces: finiteNumber.int().min(1).optional(),
+  radius: nonNegativeNumber.optional(),
+  piece_color: colorSchema.optional(),
+  piece_image: z.union([z.string(), brushSchema]).optional(),
+};
+
+const panelShape = {
+  column_fill: z.array(nonNegativeNumber).optional(),
+  row_fill: z.array(nonNegativeNumber).optional(),
+  slot_padding: paddingSchema.optional(),
+  min_desired_slot_width: nonNegativeNumber.optional(),
+  min_desired_slot_height: nonNegativeNumber.optional(),
+  inner_slot_padding: pointSchema.optional(),
+  wrap_width: nonNegativeNumber.optional(),
+};
+
+const elementSchemas = {
+  container: z.object({ ...baseElementShape, ...boxStyleShape }).passthrough(),
+  text: z.object({ ...baseElementShape, ...textShape }).passthrough(),
+  input: z.object({ ...baseElementShape, ...boxStyleShape, ...textShape, ...statesShape }).passthrough(),
+  image: z.object({ ...baseElementShape, ...boxStyleShape, ...imageShape }).passthrough(),
+  panel: z.object({ ...baseElementShape, ...boxStyleShape, ...panelShape }).passthrough(),
+  widget: z.object({ ...baseElementShape, ...boxStyleShape, ...textShape, ...statesShape, ...widgetShape }).passthrough(),
+  other: z.object({ ...baseElementShape, ...boxStyleShape, ...statesShape }).passthrough(),
+};
+
+const knownElementTypes = [...new Set([...containerTypes, ...textTypes, ...inputTypes, ...imageTypes, ...panelTypes, ...widgetTypes])];
+
+function schemaForType(type) {
+  if (widgetTypes.has(type)) return elementSchemas.widget;
+  if (containerTypes.has(type)) return elementSchemas.container;
+  if (textTypes.has(type)) return elementSchemas.text;
+  if (inputTypes.has(type)) return elementSchemas.input;
+  if (imageTypes.has(type)) return elementSchemas.image;
+  if (panelTypes.has(type)) return elementSchemas.panel;
+  return elementSchemas.other;
+}
+
+const escapePointer = (segment) => String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+const toPointer = (segments) => segments.map((segment) => `/${escapePointer(segment)}`).join("");
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_v, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function closestMatch(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+}
+
+function suggestionForIssue(issue) {
+  if (issue.params?.kind === "color") {
+    return "Use #RRGGBB, #RRGGBBAA, rgb()/rgba(), a CSS colour name, a {R,G,B,A} LinearColor or a {type, stops} gradient";
+  }
+  if (issue.params?.kind === "enum") return `Use one of: ${issue.params.options.join(", ")}`;
+  if (issue.code === z.ZodIssueCode.invalid_enum_value) return `Use one of: ${issue.options.join(", ")}`;
+  if (issue.code === z.ZodIssueCode.invalid_type && issue.expected === "number") {
+    return typeof issue.received === "string" ? "Remove the quotes so the value is a JSON number" : "Use a JSON number";
+  }
+  if (issue.code === z.ZodIssueCode.too_small) {
+    return issue.inclusive === false ? `Use a value greater than ${issue.minimum}` : `Use a value of at least ${issue.minimum}`;
+  }
+  if (issue.code === z.ZodIssueCode.too_big) {
+    return issue.inclusive === false ? `Use a value less than ${issue.maximum}` : `Use a value of at most ${issue.maximum}`;
+  }
+  return undefined;
+}
+
+/**
+ * Unions (one-or-many fields, colours) report a bare "Invalid input"; surface
+ * the issues of the branch that got furthest instead.
+ */
+function expandIssue(issue) {
+  if (issue.code !== z.ZodIssueCode.invalid_union) return [issue];
+  const branches = issue.unionErrors
+    .map((error) => error.issues)
+    .filter((issues) => !issues.some((item) => item.code === z.ZodIssueCode.invalid_type && item.path.length === issue.path.length));
+  if (!branches.length) return [issue];
+  return branches[0].flatMap(expandIssue);
+}
+
+/**
+ * Validates a parsed layout and returns structured diagnostics. Each
+ * diagnostic carries a JSON pointer into the layout, a severity
+ * (error/warning/info), a message and an optional suggestion.
+ */
+function validateLayout(payload) {
+  const diagnostics = [];
+  const push = (segments, severity, message, suggestion) => {
+    const diagnostic = { pointer: toPointer(segments), severity, message };
+    if (suggestion) diagnostic.suggestion = suggestion;
+    diagnostics.push(diagnostic);
+  };
+
+  if (!Array.isArray(payload)) {
+    push([], "error", "Expected the UMG JSON to be an array of elements", "Wrap the elements in a top-level JSON array");
+    return summarizeDiagnostics(diagnostics);
+  }
+
+  const names = new Map();
+  const visited = [];
+
+  const visit = (element, segments) => {
+    if (!isElementObject(element)) {
+      push(segments, "error", "Expected an element object");
+      return;
+    }
+    visited.push({ element, segments });
+
+    const type = elementTypeOf(element);
+    const parsed = schemaForType(type).safeParse(element);
+    if (!parsed.success) {
+      for (const issue of parsed.error.issues.flatMap(expandIssue)) {
+        push([...segments, ...issue.path], "error", issue.message, suggestionForIssue(issue));
+      }
+    }
+
+    if (type && !knownElementTypes.includes(type)) {
+      const closest = closestMatch(type, knownElementTypes);
+      push(
+        [...segments, "type"],
+        "warning",
+        `Unknown element type "${element.type}"; it will be drawn as a filled rectangle`,
+        closest ? `Did you mean "${closest}"?` : `Supported types: ${knownElementTypes.join(", ")}`
+      );
+    }
+
+    if (textTypes.has(type) && [undefined, null, ""].includes(element.content ?? element.text)) {
+      push(segments, "warning", "Text element has no content and will not produce a layer", "Set \"content\"");
+    }
+
+    if (imageTypes.has(type) && !(element.image_source || element.imageSource || pick(element.brush, "image_source", "imageSource"))) {
+      push(segments, "info", "Image has no image_source; a placeholder will be generated");
+    }
+
+    if (element.name) {
+      if (names.has(element.name)) {
+        push([...segments, "name"], "warning", `Duplicate element name "${element.name}"`, `Also used at ${names.get(element.name)}`);
+      } else {
+        names.set(element.name, toPointer(segments));
+      }
+    }
+
+    toArray(element.children).forEach((child, index) => {
+      if (isElementObject(child)) visit(child, [...segments, "children", index]);
+    });
+  };
+
+  payload.forEach((element, index) => visit(element, [index]));
+
+  for (const { element, segments } of visited) {
+    toArray(element.children).forEach((child, index) => {
+      if (typeof child === "string" && !names.has(child)) {
+        const closest = closestMatch(child, [...names.keys()]);
+        push([...segments, "children", index], "warning", `Child "${child}" does not match any element name`, closest ? `Did you mean "${closest}"?` : undefined);
+      }
+    });
+  }
+
+  try {
+    buildElementTree(payload);
+  } catch (err) {
+    push([], "error", err.message, "Remove one of the children references that form the loop");
+  }
+
+  return summarizeDiagnostics(diagnostics);
+}
+
+function summarizeDiagnostics(diagnostics) {
+  const errorCount = diagnostics.filter((d) => d.severity === "error").length;
+  const warningCount = diagnostics.filter((d) => d.severity === "warning").length;
+  return { valid: errorCount === 0, errorCount, warningCount, diagnostics };
+}
+
+function validateLayoutFile({ jsonPath }) {
+  if (!jsonPath) throw new Error("jsonPath is required");
+  const resolvedJson = path.resolve(jsonPath);
+  if (!fs.existsSync(resolvedJson)) {
+    throw new Error(`Input JSON not found: ${resolvedJson}`);
   }
 
-  if (type === "image" || type === "texture" || type === "brush") {
-    return renderImageLayer(element, frame, context.baseDir);
+  let payload;
+  try {
+    payload = readJson(resolvedJson);
+  } catch (err) {
+    return {
+      jsonPath: resolvedJson,
+      ...summarizeDiagnostics([{ pointer: "", severity: "error", message: `Invalid JSON: ${err.message}` }]),
+    };
   }
 
-  // Default fallback: render as filled rectangle for visibility.
-  return renderBorderLayer(element, frame);
+  return { jsonPath: resolvedJson, ...validateLayout(payload) };
 }
 
-async function composePsd(elements, options) {
-  const bounds = computeBounds(elements, options.margin);
-  const context = {
-    offsetX: bounds.offsetX,
-    offsetY: bounds.offsetY,
-    baseDir: options.baseDir,
-  };
-
-  const sortedElements = (elements || [])
-    .map((element, index) => ({ element, index }))
-    .sort((a, b) => {
-      const aZ = n(a.element?.z_order, n(a.element?.zOrder, 0));
-      const bZ = n(b.element?.z_order, n(b.element?.zOrder, 0));
-      if (aZ !== bZ) return aZ - bZ;
-      return a.index - b.index;
-    })
-    .map((entry) => entry.element);
+const assetCacheSummary = (report) =>
+  `Asset cache${report.offline ? " (offline)" : ""}: ${report.downloaded} downloaded, ${report.revalidated} revalidated, ${report.cached} cached, ${report.stale} stale, ${report.failed} failed`;
 
-  const layers = [];
-  for (const element of sortedElements) {
-    const layer = await renderElement(element, context);
-    if (layer) layers.push(layer);
-  }
+const formatDiagnostic = (d) =>
+  `${d.severity.toUpperCase()} ${d.pointer || "/"}: ${d.message}${d.suggestion ? ` (${d.suggestion})` : ""}`;
 
-  const psd = {
-    width: bounds.width,
-    height: bounds.height,
-    children: layers.reverse(),
-  };
+const defaultPreviewSize = 512;
 
-  return { psd, bounds, layerCount: layers.length };
+/** The composite scaled down (never up) to fit `maxSize` on its longer edge, as PNG bytes. */
+function renderPreview(composite, maxSize = defaultPreviewSize) {
+  const scale = Math.min(1, maxSize / Math.max(composite.width, composite.height));
+  const width = Math.max(1, Math.round(composite.width * scale));
+  const height = Math.max(1, Math.round(composite.height * scale));
+  const canvas = createCanvas(width, height);
+  canvas.getContext("2d").drawImage(composite, 0, 0, width, height);
+  return { width, height, png: canvas.toBuffer("image/png") };
 }
 
 async function runPipeline({
@@ -724,9 +6456,25 @@ async function runPipeline({
   assetsDir,
   placeholderStyle = "gradient",
   placeholderLabel,
+  placeholderThemes,
   overwriteJson = false,
   psdFilename,
   margin = 64,
+  editableText = false,
+  vectorShapes = false,
+  layerColors = true,
+  strict = false,
+  targetResolution,
+  offline = false,
+  cacheDir,
+  maxAssetBytes = defaultMaxAssetBytes,
+  fontsDir,
+  fontFallbacks,
+  layerCache,
+  previewSize,
+  onJsonWritten,
+  assetCache: sharedAssetCache,
+  fontCatalog: sharedFontCatalog,
 }) {
   if (!jsonPath) throw new Error("jsonPath is required");
   const resolvedJson = path.resolve(jsonPath);
@@ -740,16 +6488,28 @@ async function runPipeline({
     throw new Error("Expected the UMG JSON to be an array of elements");
   }
 
+  const validation = validateLayout(payload);
+  if (strict && !validation.valid) {
+    const details = validation.diagnostics.filter((d) => d.severity === "error").map(formatDiagnostic);
+    throw new Error(`Layout validation failed with ${validation.errorCount} error(s):\n${details.join("\n")}`);
+  }
+
   const resolvedOutputDir = path.resolve(outputDir || path.join(jsonDir, "dist"));
   const resolvedAssetsDir = path.resolve(assetsDir || path.join(resolvedOutputDir, "assets"));
   ensureDir(resolvedOutputDir);
   ensureDir(resolvedAssetsDir);
 
+  // A batch shares one cache and one catalog across its layouts.
+  const assetCache = sharedAssetCache || createAssetCache({ dir: cacheDir, offline, maxBytes: maxAssetBytes });
+  const fallbacks = loadFontFallbacks(fontFallbacks, jsonDir);
+  const fontCatalog = sharedFontCatalog ? sharedFontCatalog.withFallbacks(fallbacks) : createFontCatalog({ fontsDir, fallbacks });
   const { elements, placeholders } = await ensureImageAssets(payload, {
     jsonDir,
     assetsDir: resolvedAssetsDir,
     placeholderStyle,
     placeholderLabel,
+    placeholderThemes: await loadPlaceholderThemes(placeholderThemes, jsonDir),
+    assetCache,
   });
 
   const updatedJsonPath = overwriteJson
@@ -761,10 +6521,18 @@ async function runPipeline({
   }
 
   writeJson(updatedJsonPath, elements);
+  onJsonWritten?.(updatedJsonPath);
 
-  const { psd, bounds, layerCount } = await composePsd(elements, {
+  const { psd, bounds, layerCount, groupCount, warnings, textOverflows, fonts, layerComps } = await composePsd(elements, {
     margin,
     baseDir: jsonDir,
+    editableText,
+    vectorShapes,
+    layerColors,
+    targetResolution,
+    assetCache,
+    fonts: fontCatalog,
+    layerCache,
   });
 
   const finalPsdName = psdFilename || `${path.parse(resolvedJson).name}.psd`;
@@ -774,11 +6542,578 @@ async function runPipeline({
   fs.writeFileSync(psdPath, Buffer.from(buffer));
 
   return {
+    ...(previewSize ? { preview: renderPreview(psd.canvas, previewSize) } : {}),
     updatedJsonPath,
     psdPath,
     layerCount,
+    groupCount,
     bounds,
     placeholders,
+    warnings,
+    diagnostics: validation.diagnostics.filter((d) => d.severity !== "info"),
+    textOverflows,
+    fonts,
+    layerComps,
+    assetCache: assetCache.report(),
+  };
+}
+
+const globCharacters = /[*?{]/;
+const batchSkippedDirs = new Set(["node_modules", "dist"]);
+const defaultBatchConcurrency = 4;
+
+// Glob syntax: `*` and `?` within a path segment, `**/` across directories and `{a,b}` alternatives.
+function globToRegExp(glob) {
+  const escape = (text) => text.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i += 1;
+      if (glob[i + 1] === "/") {
+        i += 1;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      source += `(?:${glob.slice(i + 1, end).split(",").map(escape).join("|")})`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function listFiles(dir, skip = () => false) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith(".") && !batchSkippedDirs.has(entry.name) && !skip(full)) walk(full);
+      } else if (entry.isFile()) {
+        files.push(full);
+      }
+    }
+  };
+  walk(dir);
+  return files;
+}
+
+/**
+ * Expands batch inputs (layout files, directories searched for `*.json`, or
+ * globs) into layout paths, plus the directory they share. `dist`,
+ * `node_modules`, hidden directories and `skipDir` are not searched.
+ */
+function expandLayoutInputs(inputs, { skipDir } = {}) {
+  const skip = (dir) => Boolean(skipDir) && path.resolve(dir) === skipDir;
+  const files = new Set();
+  const bases = [];
+  for (const input of toArray(inputs).filter(Boolean)) {
+    const normalized = String(input).split(path.sep).join("/");
+    if (globCharacters.test(normalized)) {
+      const segments = normalized.split("/");
+      const fixed = segments.findIndex((segment) => globCharacters.test(segment));
+      const base = path.resolve(segments.slice(0, fixed).join("/") || ".");
+      const pattern = globToRegExp(segments.slice(fixed).join("/"));
+      bases.push(base);
+      if (!fs.existsSync(base)) {
+        console.warn(`⚠️  No files match ${input}`);
+        continue;
+      }
+      const matches = listFiles(base, skip).filter((file) => pattern.test(path.relative(base, file).split(path.sep).join("/")));
+      if (!matches.length) console.warn(`⚠️  No files match ${input}`);
+      matches.forEach((file) => files.add(file));
+    } else {
+      const resolved = path.resolve(input);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Batch input not found: ${resolved}`);
+      }
+      if (fs.statSync(resolved).isDirectory()) {
+        bases.push(resolved);
+        listFiles(resolved, skip)
+          .filter((file) => path.extname(file).toLowerCase() === ".json")
+          .forEach((file) => files.add(file));
+      } else {
+        bases.push(path.dirname(resolved));
+        files.add(resolved);
+      }
+    }
+  }
+  if (!bases.length) throw new Error("At least one batch input (file, directory or glob) is required");
+
+  const baseDir = bases.reduce((common, dir) => {
+    while (common !== path.dirname(common) && path.relative(common, dir).startsWith("..")) common = path.dirname(common);
+    return common;
+  });
+  return { baseDir, files: [...files].sort() };
+}
+
+/**
+ * Runs the pipeline over many layouts with shared options and at most
+ * `concurrency` layouts in flight. A failing layout is recorded and the batch
+ * carries on. With `outputDir`, each layout writes to the same relative
+ * directory under it. JSON files that are not element arrays (text styles,
+ * themes, fallback chains) are skipped. The manifest is written to `manifestPath` (default
+ * `umg-batch-manifest.json` in the output or input directory).
+ */
+async function runBatch({ inputs, outputDir, manifestPath, concurrency = defaultBatchConcurrency, ...pipelineOptions }) {
+  const resolvedOutputDir = outputDir ? path.resolve(outputDir) : undefined;
+  const { baseDir, files } = expandLayoutInputs(inputs, { skipDir: resolvedOutputDir });
+  const resolvedManifest = path.resolve(manifestPath || path.join(resolvedOutputDir || baseDir, "umg-batch-manifest.json"));
+
+  const layouts = [];
+  const skipped = [];
+  for (const file of files) {
+    if (file === resolvedManifest) continue;
+    try {
+      // Text style tables can be arrays too (DataTable exports), but their rows have no element type.
+      const data = readJson(file);
+      if (!Array.isArray(data) || (data.length && !data.some(elementTypeOf))) {
+        skipped.push(file);
+        continue;
+      }
+    } catch {
+      // Unreadable layouts are reported as failures by their run.
+    }
+    layouts.push(file);
+  }
+
+  // One cache and catalog for all workers, so they neither overwrite each other's index entries nor download a URL twice.
+  const assetCache = createAssetCache({
+    dir: pipelineOptions.cacheDir,
+    offline: pipelineOptions.offline,
+    maxBytes: pipelineOptions.maxAssetBytes,
+  });
+  const fontCatalog = createFontCatalog({ fontsDir: pipelineOptions.fontsDir });
+
+  const results = new Array(layouts.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < layouts.length) {
+      const index = next;
+      next += 1;
+      const jsonPath = layouts[index];
+      const relativeDir = path.relative(baseDir, path.dirname(jsonPath));
+      const layoutOutputDir = resolvedOutputDir ? path.join(resolvedOutputDir, relativeDir) : path.join(path.dirname(jsonPath), "dist");
+      // Placeholders are named after elements, so layouts sharing a directory each get their own assets folder.
+      const assetsRoot = pipelineOptions.assetsDir
+        ? path.join(path.resolve(pipelineOptions.assetsDir), relativeDir)
+        : path.join(layoutOutputDir, "assets");
+      try {
+        const result = await runPipeline({
+          ...pipelineOptions,
+          jsonPath,
+          outputDir: layoutOutputDir,
+          assetsDir: path.join(assetsRoot, path.parse(jsonPath).name),
+          assetCache,
+          fontCatalog,
+        });
+        results[index] = {
+          jsonPath,
+          status: "ok",
+          psdPath: result.psdPath,
+          updatedJsonPath: result.updatedJsonPath,
+          layerCount: result.layerCount,
+          groupCount: result.groupCount,
+          placeholders: result.placeholders.map((placeholder) => placeholder.placeholderPath),
+          warnings: result.warnings,
+          errors: result.diagnostics.filter((diagnostic) => diagnostic.severity === "error").map(formatDiagnostic),
+        };
+      } catch (err) {
+        results[index] = {
+          jsonPath,
+          status: "failed",
+          psdPath: null,
+          updatedJsonPath: null,
+          layerCount: 0,
+          groupCount: 0,
+          placeholders: [],
+          warnings: [],
+          errors: [err.message],
+        };
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(Math.floor(concurrency) || 1, layouts.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    inputs: toArray(inputs).map(String),
+    baseDir,
+    outputDir: resolvedOutputDir ?? null,
+    total: results.length,
+    succeeded: results.filter((entry) => entry.status === "ok").length,
+    failed: results.filter((entry) => entry.status === "failed").length,
+    placeholders: results.reduce((sum, entry) => sum + entry.placeholders.length, 0),
+    skipped,
+    layouts: results,
+  };
+  ensureDir(path.dirname(resolvedManifest));
+  writeJson(resolvedManifest, manifest);
+  return { manifestPath: resolvedManifest, ...manifest };
+}
+
+// Channel difference (0-1) above which a pixel counts as changed.
+const defaultDiffThreshold = 0.1;
+const diffRegionCell = 8;
+// Changed cells this many cells apart still belong to one region, so a changed word is not split per glyph.
+const diffRegionReach = 2;
+
+const sortedJson = (value) =>
+  JSON.stringify(value, (_, item) =>
+    isElementObject(item) ? Object.fromEntries(Object.keys(item).sort().map((key) => [key, item[key]])) : item
+  );
+
+const layoutChangeKinds = [
+  ["position", /^(position|slot|anchors|offsets?|alignment|padding|render_transform|z_order)$/i],
+  ["size", /size|width|height/i],
+  ["color", /colou?r|background|tint|fill|opacity|brush|gradient/i],
+  ["text", /^(content|text|font|text_styles|justification|auto_wrap|wrap_text_at|overflow_policy)$/i],
+];
+const layoutChangeKind = (field) => layoutChangeKinds.find(([, pattern]) => pattern.test(field))?.[0] ?? "other";
+
+/** Added, removed and changed elements between two layouts, matched by name. */
+function diffLayoutElements(before, after) {
+  const index = (elements) => {
+    const byKey = new Map();
+    flattenElements(elements).forEach((element, i) => {
+      const key = element.name || `${element.type || "element"}#${i}`;
+      if (!byKey.has(key)) byKey.set(key, element);
+    });
+    return byKey;
+  };
+  const childNames = (element) => toArray(element.children).map((child) => (isElementObject(child) ? child.name ?? null : child));
+  const beforeIndex = index(before);
+  const afterIndex = index(after);
+
+  const changed = [];
+  for (const [key, next] of afterIndex) {
+    const previous = beforeIndex.get(key);
+    if (!previous) continue;
+    const changes = [];
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      if (field === "name") continue;
+      const from = field === "children" ? childNames(previous) : previous[field];
+      const to = field === "children" ? childNames(next) : next[field];
+      if (sortedJson(from) === sortedJson(to)) continue;
+      changes.push({ field, kind: field === "children" ? "hierarchy" : layoutChangeKind(field), before: from ?? null, after: to ?? null });
+    }
+    if (changes.length) {
+      changed.push({ element: key, type: next.type || previous.type || "", kinds: [...new Set(changes.map((change) => change.kind))], changes });
+    }
+  }
+  return {
+    added: [...afterIndex.keys()].filter((key) => !beforeIndex.has(key)),
+    removed: [...beforeIndex.keys()].filter((key) => !afterIndex.has(key)),
+    changed,
+  };
+}
+
+/** Pixel layers of a PSD layer tree keyed by group path, e.g. "Root/Title". */
+function layerPaths(layers, prefix = "", paths = new Map()) {
+  const seen = new Map();
+  for (const layer of layers || []) {
+    const base = `${prefix}${layer.name || "Layer"}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    const key = count > 1 ? `${base} #${count}` : base;
+    if (layer.children) layerPaths(layer.children, `${key}/`, paths);
+    else paths.set(key, layer);
+  }
+  return paths;
+}
+
+/**
+ * A composited side of a diff. Layouts are composed without margin and
+ * positioned in layout coordinates; PSDs keep their canvas coordinates.
+ */
+async function loadDiffSide(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Diff input not found: ${resolved}`);
+  }
+  if (path.extname(resolved).toLowerCase() === ".psd") {
+    const psd = readPsd(fs.readFileSync(resolved), { skipThumbnail: true });
+    return {
+      kind: "psd",
+      path: resolved,
+      layers: psd.children || [],
+      composite: psd.canvas || renderComposite(psd.children, psd.width, psd.height),
+      left: 0,
+      top: 0,
+    };
+  }
+  const elements = readJson(resolved);
+  if (!Array.isArray(elements)) {
+    throw new Error(`Expected the UMG JSON to be an array of elements: ${resolved}`);
+  }
+  const { psd, bounds } = await composePsd(elements, { margin: 0, baseDir: path.dirname(resolved) });
+  return { kind: "layout", path: resolved, elements, layers: psd.children, composite: psd.canvas, left: -bounds.offsetX, top: -bounds.offsetY };
+}
+
+// Premultiplied RGBA of canvases drawn at (x, y) into `frame`.
+function framePixels(frame, draws) {
+  const canvas = createCanvas(Math.max(1, frame.width), Math.max(1, frame.height));
+  const ctx = canvas.getContext("2d");
+  draws.forEach(({ canvas: source, x, y }) => source && ctx.drawImage(source, x - frame.left, y - frame.top));
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+function changedPixelMask(a, b, threshold) {
+  const limit = threshold * 255;
+  const mask = new Uint8Array(a.length / 4);
+  let changed = 0;
+  for (let i = 0; i < mask.length; i++) {
+    const o = i * 4;
+    let delta = Math.abs(a[o + 3] - b[o + 3]);
+    for (let c = 0; c < 3; c++) delta = Math.max(delta, Math.abs((a[o + c] * a[o + 3] - b[o + c] * b[o + 3]) / 255));
+    if (delta > limit) {
+      mask[i] = 1;
+      changed += 1;
+    }
+  }
+  return { mask, changed };
+}
+
+// Bounding boxes of nearby groups of changed cells.
+function changedRegions(mask, width, height, frame) {
+  const columns = Math.ceil(width / diffRegionCell);
+  const rows = Math.ceil(height / diffRegionCell);
+  const cells = new Uint8Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) cells[Math.floor(y / diffRegionCell) * columns + Math.floor(x / diffRegionCell)] = 1;
+    }
+  }
+  const regions = [];
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 1) continue;
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const queue = [start];
+    cells[start] = 2;
+    while (queue.length) {
+      const cell = queue.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      box.left = Math.min(box.left, cx);
+      box.top = Math.min(box.top, cy);
+      box.right = Math.max(box.right, cx + 1);
+      box.bottom = Math.max(box.bottom, cy + 1);
+      for (let ny = Math.max(0, cy - diffRegionReach); ny <= Math.min(rows - 1, cy + diffRegionReach); ny++) {
+        for (let nx = Math.max(0, cx - diffRegionReach); nx <= Math.min(columns - 1, cx + diffRegionReach); nx++) {
+          if (cells[ny * columns + nx] !== 1) continue;
+          cells[ny * columns + nx] = 2;
+          queue.push(ny * columns + nx);
+        }
+      }
+    }
+    const x = box.left * diffRegionCell;
+    const y = box.top * diffRegionCell;
+    regions.push({
+      x: x + frame.left,
+      y: y + frame.top,
+      width: Math.min(width, box.right * diffRegionCell) - x,
+      height: Math.min(height, box.bottom * diffRegionCell) - y,
+    });
+  }
+  return regions;
+}
+
+const layerRect = (layer, side) => ({
+  left: n(layer.left, 0) + side.left,
+  top: n(layer.top, 0) + side.top,
+  right: n(layer.right, n(layer.left, 0) + (layer.canvas?.width || 0)) + side.left,
+  bottom: n(layer.bottom, n(layer.top, 0) + (layer.canvas?.height || 0)) + side.top,
+});
+
+const layerColorValue = (layer) => (layer.vectorFill?.color ? sortedJson(layer.vectorFill.color) : null);
+
+/**
+ * Compares two layouts or two PSDs written by the pipeline. Reports added,
+ * removed and changed elements (layers, for PSDs), a changed-pixel score per
+ * layer, and writes a PNG of the `after` composite with changed pixels
+ * highlighted and changed regions outlined.
+ */
+async function diffOutputs({ before, after, diffPath, threshold = defaultDiffThreshold }) {
+  if (!before || !after) throw new Error("Both before and after are required");
+  const isPsd = (file) => path.extname(file).toLowerCase() === ".psd";
+  if (isPsd(before) !== isPsd(after)) {
+    throw new Error("Compare two layout JSONs or two PSDs, not one of each");
+  }
+  const previous = await loadDiffSide(before);
+  const next = await loadDiffSide(after);
+
+  const frame = {
+    left: Math.min(previous.left, next.left),
+    top: Math.min(previous.top, next.top),
+  };
+  frame.width = Math.max(previous.left + previous.composite.width, next.left + next.composite.width) - frame.left;
+  frame.height = Math.max(previous.top + previous.composite.height, next.top + next.composite.height) - frame.top;
+
+  const beforePixels = framePixels(frame, [{ canvas: previous.composite, x: previous.left, y: previous.top }]);
+  const afterPixels = framePixels(frame, [{ canvas: next.composite, x: next.left, y: next.top }]);
+  const { mask, changed } = changedPixelMask(beforePixels, afterPixels, threshold);
+  const regions = changedRegions(mask, frame.width, frame.height, frame);
+
+  const beforeLayers = layerPaths(previous.layers);
+  const afterLayers = layerPaths(next.layers);
+  const layers = [];
+  for (const key of new Set([...beforeLayers.keys(), ...afterLayers.keys()])) {
+    const a = beforeLayers.get(key);
+    const b = afterLayers.get(key);
+    if (!a || !b) {
+      layers.push({ layer: key, status: a ? "removed" : "added", score: 1, changedPixels: null });
+      continue;
+    }
+    const ra = layerRect(a, previous);
+    const rb = layerRect(b, next);
+    const left = Math.min(ra.left, rb.left);
+    const top = Math.min(ra.top, rb.top);
+    const area = { left, top, width: Math.max(ra.right, rb.right) - left, height: Math.max(ra.bottom, rb.bottom) - top };
+    let layerChanged = 0;
+    if (area.width > 0 && area.height > 0) {
+      layerChanged = changedPixelMask(
+        framePixels(area, [{ canvas: a.canvas, x: ra.left, y: ra.top }]),
+        framePixels(area, [{ canvas: b.canvas, x: rb.left, y: rb.top }]),
+        threshold
+      ).changed;
+    }
+    const score = layerChanged ? Number((layerChanged / (area.width * area.height)).toFixed(4)) : 0;
+    layers.push({ layer: key, status: layerChanged ? "changed" : "unchanged", score, changedPixels: layerChanged, a, b, ra, rb });
+  }
+
+  let elements;
+  if (next.kind === "layout") {
+    elements = diffLayoutElements(previous.elements, next.elements);
+  } else {
+    elements = {
+      added: layers.filter((entry) => entry.status === "added").map((entry) => entry.layer),
+      removed: layers.filter((entry) => entry.status === "removed").map((entry) => entry.layer),
+      changed: [],
+    };
+    for (const entry of layers.filter((item) => item.a && item.b)) {
+      const { a, b, ra, rb } = entry;
+      const changes = [];
+      if (ra.left !== rb.left || ra.top !== rb.top) {
+        changes.push({ field: "position", kind: "position", before: { x: ra.left, y: ra.top }, after: { x: rb.left, y: rb.top } });
+      }
+      const sizeOf = (rect) => ({ width: rect.right - rect.left, height: rect.bottom - rect.top });
+      if (sortedJson(sizeOf(ra)) !== sortedJson(sizeOf(rb))) {
+        changes.push({ field: "size", kind: "size", before: sizeOf(ra), after: sizeOf(rb) });
+      }
+      if (layerColorValue(a) !== layerColorValue(b)) {
+        changes.push({ field: "fill", kind: "color", before: a.vectorFill?.color ?? null, after: b.vectorFill?.color ?? null });
+      }
+      // Text is only comparable when both PSDs were written with editable text.
+      if (a.text && b.text && a.text.text !== b.text.text) {
+        changes.push({ field: "text", kind: "text", before: a.text.text, after: b.text.text });
+      }
+      if (!changes.length && entry.status === "changed") {
+        changes.push({ field: "pixels", kind: "pixels", before: null, after: entry.score });
+      }
+      if (changes.length) {
+        elements.changed.push({ element: entry.layer, type: b.text ? "text" : "layer", kinds: [...new Set(changes.map((change) => change.kind))], changes });
+      }
+    }
+  }
+
+  const canvas = createCanvas(Math.max(1, frame.width), Math.max(1, frame.height));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalAlpha = 0.35;
+  ctx.drawImage(next.composite, next.left - frame.left, next.top - frame.top);
+  ctx.globalAlpha = 1;
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const o = i * 4;
+    image.data[o] = Math.round(image.data[o] * 0.3 + 255 * 0.7);
+    image.data[o + 1] = Math.round(image.data[o + 1] * 0.3);
+    image.data[o + 2] = Math.round(image.data[o + 2] * 0.3 + 255 * 0.7);
+    image.data[o + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  ctx.strokeStyle = "#ff2d2d";
+  ctx.lineWidth = 2;
+  regions.forEach((region) => ctx.strokeRect(region.x - frame.left + 1, region.y - frame.top + 1, region.width - 2, region.height - 2));
+
+  const resolvedDiffPath = path.resolve(
+    diffPath || path.join(path.dirname(next.path), `${path.parse(previous.path).name}-vs-${path.parse(next.path).name}.diff.png`)
+  );
+  ensureDir(path.dirname(resolvedDiffPath));
+  fs.writeFileSync(resolvedDiffPath, canvas.toBuffer("image/png"));
+
+  return {
+    kind: next.kind,
+    before: previous.path,
+    after: next.path,
+    diffImagePath: resolvedDiffPath,
+    width: frame.width,
+    height: frame.height,
+    changedPixels: changed,
+    score: Number((changed / Math.max(1, frame.width * frame.height)).toFixed(4)),
+    regions,
+    elements,
+    layers: layers.map(({ layer, status, score, changedPixels }) => ({ layer, status, score, changedPixels })),
+  };
+}
+
+const outputMimeTypes = {
+  ".psd": "image/vnd.adobe.photoshop",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+const outputMimeType = (filePath) => outputMimeTypes[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+
+// Files written by tools during this server session, by `umg://outputs/...` URI.
+const generatedOutputs = new Map();
+
+/** Records a generated file and returns its resource URI: umg://outputs/<kind>/<hash>-<file name>. */
+function outputResourceUri(kind, filePath) {
+  const resolved = path.resolve(filePath);
+  const id = `${crypto.createHash("sha1").update(resolved).digest("hex").slice(0, 10)}-${path.basename(resolved)}`;
+  const uri = `umg://outputs/${kind}/${encodeURIComponent(id)}`;
+  generatedOutputs.set(uri, { kind, path: resolved });
+  return uri;
+}
+
+const outputResourceLink = (uri) => {
+  const output = generatedOutputs.get(uri);
+  return { type: "resource_link", uri, name: path.basename(output.path), mimeType: outputMimeType(output.path) };
+};
+
+function listOutputResources() {
+  return [...generatedOutputs]
+    .filter(([, output]) => fs.existsSync(output.path))
+    .map(([uri, output]) => ({
+      uri,
+      name: path.basename(output.path),
+      description: `${output.kind}: ${output.path}`,
+      mimeType: outputMimeType(output.path),
+    }));
+}
+
+function readOutputResource(uri) {
+  const output = generatedOutputs.get(uri);
+  if (!output || !fs.existsSync(output.path)) {
+    throw new Error(`Unknown or deleted output: ${uri}`);
+  }
+  const mimeType = outputMimeType(output.path);
+  const data = fs.readFileSync(output.path);
+  return {
+    contents: [mimeType === "application/json" ? { uri, mimeType, text: data.toString("utf-8") } : { uri, mimeType, blob: data.toString("base64") }],
   };
 }
 
@@ -787,6 +7122,10 @@ async function startMcpServer() {
     "1. Generate layout JSONs from images via umg.imageToJson (optional).",
     "2. For existing layouts, call umg.pipeline with json_path and desired overrides.",
     "3. The pipeline ensures missing assets, updates JSON, and writes a layered PSD.",
+    "4. To go back from an edited PSD to a layout, call umg.psdToJson with psd_path.",
+    "5. Call umg.validate to get per-element diagnostics before composing (or pass strict to umg.pipeline).",
+    "6. Call umg.diff with two layouts or two PSDs to see what changed, with a visual diff PNG.",
+    "7. Generated files are readable as umg://outputs/... resources; pass preview to umg.pipeline to see the composite.",
   ].join("\n");
 
   const mcp = new McpServer(
@@ -800,6 +7139,24 @@ async function startMcpServer() {
     }
   );
 
+  const assetCacheInputShape = {
+    offline: z
+      .boolean()
+      .describe("Only use remote images already in the asset cache")
+      .optional(),
+    cache_dir: z
+      .string()
+      .min(1)
+      .describe("Directory of the remote asset cache (default ~/.cache/image-to-psd-mcp)")
+      .optional(),
+    max_asset_bytes: z
+      .number()
+      .int()
+      .positive()
+      .describe("Largest remote image to download, in bytes (default 25 MB)")
+      .optional(),
+  };
+
   const pipelineInputShape = {
     json_path: z
       .string()
@@ -816,8 +7173,14 @@ async function startMcpServer() {
       .describe("Directory to store ensured image assets and placeholders")
       .optional(),
     placeholder_style: z
-      .enum(["gradient", "solid", "checker"])
-      .describe("Visual style for generated placeholders")
+      .string()
+      .min(1)
+      .describe("Placeholder theme: gradient, solid, checker, annotated, wireframe or a theme from placeholder_themes")
+      .optional(),
+    placeholder_themes: z
+      .string()
+      .min(1)
+      .describe("JSON or JS file of custom placeholder themes (default: placeholder-themes.json next to the layout; JS themes only load from this path)")
       .optional(),
     placeholder_label: z
       .string()
@@ -839,6 +7202,113 @@ async function startMcpServer() {
       .max(4096)
       .describe("Canvas padding (pixels) added around layout bounds")
       .optional(),
+    editable_text: z
+      .boolean()
+      .describe("Write editable PSD text layers (rasterized text is kept as the preview)")
+      .optional(),
+    vector_shapes: z
+      .boolean()
+      .describe("Write Border/Panel/Rectangle/Box as vector shape layers and mask rounded images with vector masks")
+      .optional(),
+    layer_colors: z
+      .boolean()
+      .describe("Label layers with Photoshop colours by element type (text blue, images green, inputs orange, containers gray); default true")
+      .optional(),
+    strict: z
+      .boolean()
+      .describe("Refuse to compose when layout validation reports errors")
+      .optional(),
+    target_resolution: z
+      .object({
+        width: z.number().positive(),
+        height: z.number().positive(),
+      })
+      .describe("Viewport that root-level slot anchors resolve against (default 1920x1080)")
+      .optional(),
+    fonts_dir: z
+      .string()
+      .min(1)
+      .describe("Directory of TTF/OTF/TTC fonts to register, matched by family, weight and style")
+      .optional(),
+    preview: z
+      .boolean()
+      .describe("Include a downscaled PNG of the composite as an image in the result")
+      .optional(),
+    preview_size: z
+      .number()
+      .int()
+      .min(64)
+      .max(2048)
+      .describe(`Longest edge of the preview in pixels (default ${defaultPreviewSize})`)
+      .optional(),
+    font_fallbacks: z
+      .union([z.string().min(1), z.record(z.array(z.string()))])
+      .describe(
+        'Fallback font families per script, e.g. { "cjk": ["Noto Sans CJK SC"], "default": ["Noto Sans"] }, or a JSON file of them (default: font-fallbacks.json next to the layout)'
+      )
+      .optional(),
+    ...assetCacheInputShape,
+  };
+
+  const pipelineOptionsOf = (args) => ({
+    jsonPath: args.json_path,
+    outputDir: args.output_dir,
+    assetsDir: args.assets_dir,
+    placeholderStyle: args.placeholder_style,
+    placeholderLabel: args.placeholder_label,
+    placeholderThemes: args.placeholder_themes,
+    overwriteJson: args.overwrite_json,
+    psdFilename: args.psd_filename,
+    margin: args.margin,
+    editableText: args.editable_text,
+    vectorShapes: args.vector_shapes,
+    layerColors: args.layer_colors,
+    strict: args.strict,
+    targetResolution: args.target_resolution,
+    offline: args.offline,
+    cacheDir: args.cache_dir,
+    maxAssetBytes: args.max_asset_bytes,
+    fontsDir: args.fonts_dir,
+    fontFallbacks: args.font_fallbacks,
+    previewSize: args.preview ? args.preview_size ?? defaultPreviewSize : undefined,
+  });
+
+  // Batch runs share every pipeline option except the per-layout ones.
+  const {
+    json_path: _jsonPath,
+    psd_filename: _psdFilename,
+    preview: _preview,
+    preview_size: _previewSize,
+    ...sharedPipelineInputShape
+  } = pipelineInputShape;
+  const batchInputShape = {
+    inputs: oneOrMany(z.string().min(1))
+      .describe("Layout JSON files, directories searched for *.json, or globs such as layouts/**/*.json"),
+    ...sharedPipelineInputShape,
+    output_dir: z
+      .string()
+      .min(1)
+      .describe("Directory for all outputs, mirroring each layout's directory under the inputs (default: dist/ next to each layout)")
+      .optional(),
+    concurrency: z
+      .number()
+      .int()
+      .min(1)
+      .max(32)
+      .describe(`Layouts processed at the same time (default ${defaultBatchConcurrency})`)
+      .optional(),
+    manifest_path: z
+      .string()
+      .min(1)
+      .describe("Where to write the manifest JSON (default umg-batch-manifest.json in the output or input directory)")
+      .optional(),
+  };
+
+  const validateInputShape = {
+    json_path: z
+      .string()
+      .min(1, "json_path is required")
+      .describe("Absolute path to the UMG JSON layout to validate"),
   };
 
   const imageToJsonInputShape = {
@@ -900,12 +7370,91 @@ async function startMcpServer() {
       .min(1)
       .describe("Name override for the generated image element")
       .optional(),
+    detect_regions: z
+      .boolean()
+      .describe("Split the screenshot into Border panels and cropped Image regions")
+      .optional(),
+    sensitivity: z
+      .number()
+      .min(0)
+      .max(1)
+      .describe("Region detection sensitivity (0-1, higher finds smaller regions)")
+      .optional(),
+    slices: z
+      .array(
+        z.object({
+          name: z.string().min(1).optional(),
+          x: z.number(),
+          y: z.number(),
+          width: z.number().positive(),
+          height: z.number().positive(),
+          type: z.string().min(1).optional(),
+        })
+      )
+      .describe("Named rectangles to crop into their own elements, e.g. sprite sheet frames")
+      .optional(),
+    slices_file: z
+      .string()
+      .min(1)
+      .describe("Sidecar JSON or CSV file listing slices (name, x, y, width, height, type)")
+      .optional(),
+    ...assetCacheInputShape,
+  };
+
+  const psdToJsonInputShape = {
+    psd_path: z
+      .string()
+      .min(1, "psd_path is required")
+      .describe("Path to the PSD file to convert"),
+    output_json: z
+      .string()
+      .min(1)
+      .describe("Optional explicit path for the generated JSON file")
+      .optional(),
+    assets_dir: z
+      .string()
+      .min(1)
+      .describe("Directory where pixel layers are exported as PNG assets")
+      .optional(),
+    include_hidden: z
+      .boolean()
+      .describe("Keep hidden layers (marked with visibility Hidden)")
+      .optional(),
   };
 
+  const diagnosticShape = z.object({
+    pointer: z.string(),
+    severity: z.enum(["error", "warning", "info"]),
+    message: z.string(),
+    suggestion: z.string().optional(),
+  });
+
+  const assetCacheReportShape = z.object({
+    dir: z.string(),
+    offline: z.boolean(),
+    downloaded: z.number(),
+    revalidated: z.number(),
+    cached: z.number(),
+    stale: z.number(),
+    failed: z.number(),
+    bytesDownloaded: z.number(),
+    entries: z.array(
+      z.object({
+        url: z.string(),
+        status: z.enum(["downloaded", "revalidated", "cached", "stale", "failed"]),
+        hash: z.string().optional(),
+        bytes: z.number().optional(),
+        path: z.string().optional(),
+        error: z.string().optional(),
+      })
+    ),
+  });
+
   const pipelineOutputShape = {
     updatedJsonPath: z.string(),
     psdPath: z.string(),
     layerCount: z.number(),
+    groupCount: z.number(),
     bounds: z.object({
       minX: z.number(),
       minY: z.number(),
@@ -917,14 +7466,132 @@ async function startMcpServer() {
       offsetX: z.number(),
       offsetY: z.number(),
     }),
-    placeholders: z.array(
+    placeholders: z.array(
+      z.object({
+        element: z.string(),
+        placeholderPath: z.string(),
+      })
+    ),
+    warnings: z.array(z.string()),
+    diagnostics: z.array(diagnosticShape),
+    textOverflows: z.array(
+      z.object({
+        element: z.string(),
+        width: z.number(),
+        height: z.number(),
+        contentWidth: z.number(),
+        contentHeight: z.number(),
+        policy: z.enum(["clip", "ellipsis"]),
+      })
+    ),
+    fonts: z.array(
+      z.object({
+        element: z.string(),
+        family: z.string(),
+        found: z.boolean(),
+        fallbacks: z.array(z.string()),
+        substituted: z.string(),
+        missingGlyphs: z.string(),
+      })
+    ),
+    layerComps: z.array(z.string()),
+    assetCache: assetCacheReportShape,
+    resources: z.object({
+      psd: z.string(),
+      json: z.string(),
+      placeholders: z.array(z.string()),
+    }),
+  };
+
+  const batchOutputShape = {
+    manifestPath: z.string(),
+    createdAt: z.string(),
+    inputs: z.array(z.string()),
+    baseDir: z.string(),
+    outputDir: z.string().nullable(),
+    total: z.number(),
+    succeeded: z.number(),
+    failed: z.number(),
+    placeholders: z.number(),
+    skipped: z.array(z.string()),
+    layouts: z.array(
+      z.object({
+        jsonPath: z.string(),
+        status: z.enum(["ok", "failed"]),
+        psdPath: z.string().nullable(),
+        updatedJsonPath: z.string().nullable(),
+        layerCount: z.number(),
+        groupCount: z.number(),
+        placeholders: z.array(z.string()),
+        warnings: z.array(z.string()),
+        errors: z.array(z.string()),
+      })
+    ),
+  };
+
+  const diffInputShape = {
+    before: z.string().min(1).describe("Earlier layout JSON or PSD"),
+    after: z.string().min(1).describe("Later layout JSON or PSD (same kind as before)"),
+    diff_path: z
+      .string()
+      .min(1)
+      .describe("Where to write the visual diff PNG (default <before>-vs-<after>.diff.png next to after)")
+      .optional(),
+    threshold: z
+      .number()
+      .min(0)
+      .max(1)
+      .describe(`Channel difference (0-1) above which a pixel counts as changed (default ${defaultDiffThreshold})`)
+      .optional(),
+  };
+
+  const diffChangeShape = z.object({
+    field: z.string(),
+    kind: z.string(),
+    before: z.any(),
+    after: z.any(),
+  });
+
+  const diffOutputShape = {
+    kind: z.enum(["layout", "psd"]),
+    before: z.string(),
+    after: z.string(),
+    diffImagePath: z.string(),
+    width: z.number(),
+    height: z.number(),
+    changedPixels: z.number(),
+    score: z.number(),
+    regions: z.array(z.object({ x: z.number(), y: z.number(), width: z.number(), height: z.number() })),
+    elements: z.object({
+      added: z.array(z.string()),
+      removed: z.array(z.string()),
+      changed: z.array(
+        z.object({
+          element: z.string(),
+          type: z.string(),
+          kinds: z.array(z.string()),
+          changes: z.array(diffChangeShape),
+        })
+      ),
+    }),
+    layers: z.array(
       z.object({
-        element: z.string(),
-        placeholderPath: z.string(),
+        layer: z.string(),
+        status: z.enum(["added", "removed", "changed", "unchanged"]),
+        score: z.number(),
+        changedPixels: z.number().nullable(),
       })
     ),
   };
 
+  const validateOutputShape = {
+    jsonPath: z.string(),
+    valid: z.boolean(),
+    errorCount: z.number(),
+    warningCount: z.number(),
+    diagnostics: z.array(diagnosticShape),
+  };
+
   const imageToJsonOutputShape = {
     jsonPath: z.string(),
     width: z.number(),
@@ -933,13 +7600,16 @@ async function startMcpServer() {
     includeBorder: z.boolean(),
     imageReference: z.string(),
     copiedAssetPath: z.string().nullable().optional(),
+    regions: z.object({ panels: z.number(), images: z.number() }).optional(),
+    slices: z.number().optional(),
+    assetCache: assetCacheReportShape.optional(),
   };
 
   mcp.registerTool(
     "umg.imageToJson",
     {
       title: "Image → UMG JSON",
-      description: "Creates a simple UMG layout JSON from a source image, optionally copying assets.",
+      description: "Creates a UMG layout JSON from a source image, optionally copying assets, detecting UI regions or cutting it into named slices.",
       inputSchema: imageToJsonInputShape,
       outputSchema: imageToJsonOutputShape,
     },
@@ -956,6 +7626,13 @@ async function startMcpServer() {
         position: { x: args.position_x, y: args.position_y },
         containerName: args.container_name,
         imageName: args.image_name,
+        detectRegions: args.detect_regions ?? false,
+        sensitivity: args.sensitivity ?? 0.5,
+        slices: args.slices,
+        slicesFile: args.slices_file,
+        offline: args.offline,
+        cacheDir: args.cache_dir,
+        maxAssetBytes: args.max_asset_bytes,
       });
 
       const summary = [
@@ -967,6 +7644,94 @@ async function startMcpServer() {
       if (result.copiedAssetPath) {
         summary.push(`Copied asset: ${result.copiedAssetPath}`);
       }
+      if (result.regions) {
+        summary.push(`Regions: ${result.regions.panels} panels, ${result.regions.images} images`);
+      }
+      if (result.slices) {
+        summary.push(`Slices: ${result.slices}`);
+      }
+      if (result.assetCache) {
+        summary.push(assetCacheSummary(result.assetCache));
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: summary.join("\n"),
+          },
+        ],
+        structuredContent: result,
+      };
+    }
+  );
+
+  const psdToJsonOutputShape = {
+    jsonPath: z.string(),
+    width: z.number(),
+    height: z.number(),
+    elements: z.number(),
+    groups: z.number(),
+    textLayers: z.number(),
+    imageLayers: z.number(),
+    shapeLayers: z.number(),
+    assets: z.array(z.string()),
+    warnings: z.array(z.string()),
+  };
+
+  mcp.registerTool(
+    "umg.psdToJson",
+    {
+      title: "PSD → UMG JSON",
+      description: "Rebuilds a UMG layout JSON from a PSD: groups become Borders, text layers TextBlocks and pixel layers Images.",
+      inputSchema: psdToJsonInputShape,
+      outputSchema: psdToJsonOutputShape,
+    },
+    async (args) => {
+      const result = await generateJsonFromPsd({
+        psdPath: args.psd_path,
+        outputJsonPath: args.output_json,
+        assetsDir: args.assets_dir,
+        includeHidden: args.include_hidden ?? true,
+      });
+
+      const summary = [
+        `Generated JSON: ${result.jsonPath}`,
+        `Elements: ${result.elements} (${result.groups} groups, ${result.textLayers} text, ${result.imageLayers} images, ${result.shapeLayers} shapes)`,
+      ];
+      if (result.assets.length) {
+        summary.push(`Exported assets: ${result.assets.length}`);
+      }
+      result.warnings.forEach((warning) => summary.push(`Warning: ${warning}`));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: summary.join("\n"),
+          },
+        ],
+        structuredContent: result,
+      };
+    }
+  );
+
+  mcp.registerTool(
+    "umg.validate",
+    {
+      title: "Validate UMG JSON",
+      description: "Checks a UMG layout JSON against the element schema and reports per-element diagnostics.",
+      inputSchema: validateInputShape,
+      outputSchema: validateOutputShape,
+    },
+    async (args) => {
+      const result = validateLayoutFile({ jsonPath: args.json_path });
+
+      const summary = [
+        `${result.valid ? "Valid" : "Invalid"} layout: ${result.jsonPath}`,
+        `Errors: ${result.errorCount}, warnings: ${result.warningCount}`,
+        ...result.diagnostics.map(formatDiagnostic),
+      ];
 
       return {
         content: [
@@ -989,27 +7754,141 @@ async function startMcpServer() {
       outputSchema: pipelineOutputShape,
     },
     async (args) => {
-      const result = await runPipeline({
-        jsonPath: args.json_path,
-        outputDir: args.output_dir,
-        assetsDir: args.assets_dir,
-        placeholderStyle: args.placeholder_style,
-        placeholderLabel: args.placeholder_label,
-        overwriteJson: args.overwrite_json,
-        psdFilename: args.psd_filename,
-        margin: args.margin,
-      });
+      const { preview, ...pipelineResult } = await runPipeline(pipelineOptionsOf(args));
+      const result = {
+        ...pipelineResult,
+        resources: {
+          psd: outputResourceUri("psd", pipelineResult.psdPath),
+          json: outputResourceUri("json", pipelineResult.updatedJsonPath),
+          placeholders: pipelineResult.placeholders.map((placeholder) => outputResourceUri("placeholders", placeholder.placeholderPath)),
+        },
+      };
 
       const summaryLines = [
         `PSD created: ${result.psdPath}`,
         `Updated JSON: ${result.updatedJsonPath}`,
         `Layers: ${result.layerCount}`,
       ];
+      if (result.groupCount) {
+        summaryLines.push(`Groups: ${result.groupCount}`);
+      }
+      if (result.layerComps?.length) {
+        summaryLines.push(`Layer comps: ${result.layerComps.join(", ")}`);
+      }
       if (result.placeholders?.length) {
         summaryLines.push(`Placeholders generated: ${result.placeholders.length}`);
       } else {
         summaryLines.push("No placeholders were generated.");
       }
+      if (result.assetCache.entries.length) {
+        summaryLines.push(assetCacheSummary(result.assetCache));
+      }
+      result.warnings?.forEach((warning) => summaryLines.push(`Warning: ${warning}`));
+      result.diagnostics?.forEach((diagnostic) => summaryLines.push(formatDiagnostic(diagnostic)));
+      result.textOverflows?.forEach((overflow) => {
+        summaryLines.push(
+          `Text overflow: ${overflow.element} needs ${overflow.contentWidth}x${overflow.contentHeight} in ${overflow.width}x${overflow.height} (${overflow.policy})`
+        );
+      });
+      result.fonts?.forEach((entry) => {
+        if (entry.substituted) {
+          summaryLines.push(`Font fallback: ${entry.element} draws "${characterSample([...entry.substituted])}" with ${entry.fallbacks.join(", ")} instead of ${entry.family}`);
+        }
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: summaryLines.join("\n"),
+          },
+          ...(preview ? [{ type: "image", data: preview.png.toString("base64"), mimeType: "image/png" }] : []),
+          outputResourceLink(result.resources.psd),
+          outputResourceLink(result.resources.json),
+        ],
+        structuredContent: result,
+      };
+    }
+  );
+
+  mcp.registerTool(
+    "umg.batch",
+    {
+      title: "UMG JSON → PSD (batch)",
+      description:
+        "Runs the pipeline over many layouts (files, directories or globs) with shared options and writes a manifest JSON of the results.",
+      inputSchema: batchInputShape,
+      outputSchema: batchOutputShape,
+    },
+    async (args) => {
+      const result = await runBatch({
+        ...pipelineOptionsOf(args),
+        inputs: args.inputs,
+        concurrency: args.concurrency,
+        manifestPath: args.manifest_path,
+      });
+      for (const entry of result.layouts.filter((layout) => layout.status === "ok")) {
+        outputResourceUri("psd", entry.psdPath);
+        outputResourceUri("json", entry.updatedJsonPath);
+        entry.placeholders.forEach((placeholder) => outputResourceUri("placeholders", placeholder));
+      }
+      const manifestUri = outputResourceUri("manifests", result.manifestPath);
+
+      const summaryLines = [
+        `Batch: ${result.total} layouts, ${result.succeeded} succeeded, ${result.failed} failed`,
+        `Manifest: ${result.manifestPath}`,
+        `Placeholders generated: ${result.placeholders}`,
+      ];
+      if (result.skipped.length) {
+        summaryLines.push(`Skipped ${result.skipped.length} JSON files that are not layouts`);
+      }
+      result.layouts
+        .filter((entry) => entry.status === "failed")
+        .forEach((entry) => summaryLines.push(`Failed: ${entry.jsonPath}: ${entry.errors.join("; ")}`));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: summaryLines.join("\n"),
+          },
+          outputResourceLink(manifestUri),
+        ],
+        structuredContent: result,
+      };
+    }
+  );
+
+  mcp.registerTool(
+    "umg.diff",
+    {
+      title: "Diff layouts or PSDs",
+      description:
+        "Compares two layout JSONs or two pipeline PSDs: added, removed and changed elements, a pixel score per layer and a visual diff PNG.",
+      inputSchema: diffInputShape,
+      outputSchema: diffOutputShape,
+    },
+    async (args) => {
+      const result = await diffOutputs({
+        before: args.before,
+        after: args.after,
+        diffPath: args.diff_path,
+        threshold: args.threshold,
+      });
+      const diffUri = outputResourceUri("diffs", result.diffImagePath);
+
+      const { added, removed, changed } = result.elements;
+      const summaryLines = [
+        `Diff image: ${result.diffImagePath}`,
+        `Changed pixels: ${(result.score * 100).toFixed(2)}% in ${result.regions.length} regions`,
+        `Elements: ${added.length} added, ${removed.length} removed, ${changed.length} changed`,
+      ];
+      added.forEach((name) => summaryLines.push(`Added: ${name}`));
+      removed.forEach((name) => summaryLines.push(`Removed: ${name}`));
+      changed.forEach((entry) => summaryLines.push(`Changed: ${entry.element} (${entry.kinds.join(", ")})`));
+      result.layers
+        .filter((layer) => layer.status === "changed")
+        .forEach((layer) => summaryLines.push(`Layer ${layer.layer}: ${(layer.score * 100).toFixed(2)}% of pixels changed`));
 
       return {
         content: [
@@ -1017,16 +7896,187 @@ async function startMcpServer() {
             type: "text",
             text: summaryLines.join("\n"),
           },
+          outputResourceLink(diffUri),
         ],
         structuredContent: result,
       };
     }
   );
 
+  mcp.registerResource(
+    "outputs",
+    new ResourceTemplate("umg://outputs/{kind}/{id}", { list: async () => ({ resources: listOutputResources() }) }),
+    {
+      title: "Generated outputs",
+      description: "PSDs, updated layout JSONs, placeholders, batch manifests and diff images written by this server",
+    },
+    async (uri) => readOutputResource(uri.href)
+  );
+
   const transport = new StdioServerTransport();
   await mcp.connect(transport);
 }
 
+function parseResolution(value) {
+  if (!value) return undefined;
+  const match = /^(\d+)\s*[xX×]\s*(\d+)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid resolution "${value}", expected WIDTHxHEIGHT (e.g. 1920x1080)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Absolute paths of existing local files named by string values anywhere in
+ * `value`. With `includeMissing`, paths with a file extension that do not
+ * exist yet are listed too.
+ */
+function localFileReferences(value, baseDir = process.cwd(), { includeMissing = false } = {}) {
+  const files = new Set();
+  const visit = (item) => {
+    if (typeof item === "string") {
+      // Skip URLs and data URIs, but not Windows drive letters.
+      if (item.length > 1024 || !/[./\\]/.test(item) || /^[a-z][a-z0-9+.-]+:/i.test(item)) return;
+      const file = path.resolve(baseDir, item);
+      try {
+        if (fs.statSync(file).isFile()) files.add(file);
+      } catch {
+        if (includeMissing && /\.[a-z0-9]{2,5}$/i.test(item)) files.add(file);
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (isElementObject(item)) {
+      Object.values(item).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...files];
+}
+
+/**
+ * Re-runs the pipeline whenever the layout, a file it references, a font or a
+ * placeholder theme/font fallback file changes. Changes are debounced, runs
+ * never overlap, and elements whose inputs did not change keep their layers
+ * from the previous run. Failures are printed and watching continues.
+ */
+async function runWatchMode({ debounce = 200, ...options }) {
+  const jsonPath = path.resolve(options.jsonPath);
+  const jsonDir = path.dirname(jsonPath);
+  const fontsDir = options.fontsDir && path.resolve(options.fontsDir);
+  const themesPath = options.placeholderThemes && path.resolve(options.placeholderThemes);
+  const layerCache = createLayerCache();
+  const watchers = new Map();
+  let watched = new Map();
+  let pending = new Set();
+  let timer = null;
+  let running = false;
+
+  const stamp = () => `[${new Date().toTimeString().slice(0, 8)}]`;
+  const signature = (file) => {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      return null;
+    }
+  };
+  const isFontFile = (file) => fontFileExtensions.has(path.extname(file).toLowerCase());
+  const inFontsDir = (file) => Boolean(fontsDir) && file.startsWith(fontsDir + path.sep);
+  const label = (file) => path.relative(jsonDir, file) || path.basename(file);
+
+  const inputs = () => {
+    const files = new Set([jsonPath, ...[...placeholderThemeFiles, ...fontFallbackFiles].map((file) => path.join(jsonDir, file))]);
+    if (themesPath) files.add(themesPath);
+    if (typeof options.fontFallbacks === "string") files.add(path.resolve(options.fontFallbacks));
+    try {
+      // Missing images are watched too, so adding one replaces its placeholder.
+      localFileReferences(readJson(jsonPath), jsonDir, { includeMissing: true }).forEach((file) => files.add(file));
+    } catch {
+      // An unreadable layout is reported by the run itself.
+    }
+    if (fontsDir) scanFontDir(fontsDir).forEach((face) => files.add(face.path));
+    return files;
+  };
+
+  const changed = (file) => {
+    if (watched.has(file) ? watched.get(file) === signature(file) : !(inFontsDir(file) && isFontFile(file))) return;
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(run, debounce);
+  };
+
+  const watch = () => {
+    const dirs = new Set([...watched.keys()].map((file) => path.dirname(file)));
+    if (fontsDir) dirs.add(fontsDir);
+    for (const [dir, watcher] of watchers) {
+      if (dirs.has(dir)) continue;
+      watcher.close();
+      watchers.delete(dir);
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, (_, filename) => filename && changed(path.join(dir, filename.toString())));
+        watcher.on("error", (err) => {
+          console.warn(`⚠️  Stopped watching ${label(dir)}: ${err.message}`);
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch (err) {
+        // ENOSPC/EMFILE, or the directory vanished since the check; retried after the next run.
+        console.warn(`⚠️  Cannot watch ${label(dir)}: ${err.message}`);
+      }
+    }
+  };
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    const files = [...pending];
+    pending = new Set();
+    try {
+      if (files.some(isFontFile)) {
+        // Fonts change how every text element renders.
+        if (fontsDir) scannedFontDirs.delete(fontsDir);
+        layerCache.clear();
+      }
+      if (files.length) console.log(`${stamp()} Changed: ${files.map(label).join(", ")}`);
+
+      watched = new Map([...inputs()].map((file) => [file, signature(file)]));
+      const started = Date.now();
+      const result = await runPipeline({
+        ...options,
+        layerCache,
+        // Our own write of the layout is not a change; record it before any watch event can arrive.
+        onJsonWritten: (file) => {
+          if (file === jsonPath) watched.set(jsonPath, signature(jsonPath));
+        },
+      });
+      const errors = result.diagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+      const parts = [
+        `${result.layerCount} layers (${layerCache.stats.rendered} elements rendered, ${layerCache.stats.reused} reused)`,
+        `${result.placeholders.length} placeholders`,
+        `${result.warnings.length} warnings`,
+        ...(errors ? [`${errors} errors`] : []),
+        ...(result.textOverflows.length ? [`${result.textOverflows.length} text overflows`] : []),
+        `${Date.now() - started} ms`,
+      ];
+      console.log(`${stamp()} ✓ ${path.basename(result.psdPath)}: ${parts.join(", ")}`);
+    } catch (err) {
+      console.error(`${stamp()} ✗ ${err.message}`);
+    } finally {
+      watch();
+      running = false;
+      if (pending.size) timer = setTimeout(run, debounce);
+    }
+  };
+
+  await run();
+  const existing = [...watched.values()].filter(Boolean).length;
+  console.log(`${stamp()} Watching ${existing} files (Ctrl+C to stop)`);
+}
+
 async function runDevMode(options) {
   const result = await runPipeline(options);
   console.log(JSON.stringify({ ok: true, ...result }, null, 2));
@@ -1037,11 +8087,33 @@ async function runImageMode(options) {
   console.log(JSON.stringify({ ok: true, ...result }, null, 2));
 }
 
+async function runBatchMode(options) {
+  const result = await runBatch(options);
+  console.log(JSON.stringify({ ok: result.failed === 0, ...result }, null, 2));
+  if (result.failed) process.exitCode = 1;
+}
+
+async function runDiffMode(options) {
+  const result = await diffOutputs(options);
+  console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+}
+
+async function runValidateMode(options) {
+  const result = validateLayoutFile(options);
+  console.log(JSON.stringify({ ok: result.valid, ...result }, null, 2));
+  if (!result.valid) process.exitCode = 1;
+}
+
+async function runPsdMode(options) {
+  const result = await generateJsonFromPsd(options);
+  console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+}
+
 async function main() {
   const argv = yargs(hideBin(process.argv))
     .scriptName("umg-mcp")
     .option("mode", {
-      choices: ["mcp", "dev", "image"],
+      choices: ["mcp", "dev", "watch", "batch", "image", "psd", "validate", "diff"],
       default: "mcp",
       describe: "Run as MCP server or execute pipeline directly",
     })
@@ -1049,6 +8121,42 @@ async function main() {
       type: "string",
       describe: "Path to the UMG JSON layout",
     })
+    .option("input", {
+      type: "string",
+      array: true,
+      describe: "Layout JSON, directory or glob to process in batch mode (repeatable)",
+    })
+    .option("concurrency", {
+      type: "number",
+      default: defaultBatchConcurrency,
+      describe: "Layouts processed at the same time in batch mode",
+    })
+    .option("manifest", {
+      type: "string",
+      describe: "Manifest JSON path in batch mode (default umg-batch-manifest.json in the output or input directory)",
+    })
+    .option("before", {
+      type: "string",
+      describe: "Earlier layout JSON or PSD to compare in diff mode",
+    })
+    .option("after", {
+      type: "string",
+      describe: "Later layout JSON or PSD to compare in diff mode",
+    })
+    .option("diff-out", {
+      type: "string",
+      describe: "Path of the visual diff PNG in diff mode (default <before>-vs-<after>.diff.png next to --after)",
+    })
+    .option("threshold", {
+      type: "number",
+      default: defaultDiffThreshold,
+      describe: "Channel difference (0-1) above which a pixel counts as changed in diff mode",
+    })
+    .option("debounce", {
+      type: "number",
+      default: 200,
+      describe: "Milliseconds to wait after a change before re-rendering in watch mode",
+    })
     .option("out", {
       type: "string",
       describe: "Output directory for PSD/JSON",
@@ -1058,9 +8166,13 @@ async function main() {
       describe: "Directory for generated assets/placeholders",
     })
     .option("placeholder-style", {
-      choices: ["gradient", "solid", "checker"],
+      type: "string",
       default: "gradient",
-      describe: "Style used for placeholder images",
+      describe: "Placeholder theme: gradient, solid, checker, annotated, wireframe or a custom theme name",
+    })
+    .option("placeholder-themes", {
+      type: "string",
+      describe: "JSON or JS file of custom placeholder themes",
     })
     .option("placeholder-label", {
       type: "string",
@@ -1079,17 +8191,71 @@ async function main() {
       type: "number",
       describe: "Canvas padding when composing the PSD or generated JSON",
     })
+    .option("editable-text", {
+      type: "boolean",
+      default: false,
+      describe: "Write editable PSD text layers instead of rasterized-only text",
+    })
+    .option("vector-shapes", {
+      type: "boolean",
+      default: false,
+      describe: "Write container elements as vector shape layers with vector masks",
+    })
+    .option("layer-colors", {
+      type: "boolean",
+      default: true,
+      describe: "Label layers with Photoshop colours by element type (--no-layer-colors to disable)",
+    })
+    .option("strict", {
+      type: "boolean",
+      default: false,
+      describe: "Refuse to compose when layout validation reports errors",
+    })
+    .option("offline", {
+      type: "boolean",
+      default: false,
+      describe: "Only use remote images already in the asset cache",
+    })
+    .option("cache-dir", {
+      type: "string",
+      describe: "Directory of the remote asset cache (default ~/.cache/image-to-psd-mcp)",
+    })
+    .option("max-asset-bytes", {
+      type: "number",
+      describe: "Largest remote image to download, in bytes (default 25 MB)",
+    })
+    .option("fonts-dir", {
+      type: "string",
+      describe: "Directory of TTF/OTF/TTC fonts to register for text layers",
+    })
+    .option("font-fallbacks", {
+      type: "string",
+      describe: "JSON file of fallback font families per script (default font-fallbacks.json next to the layout)",
+    })
+    .option("target-resolution", {
+      type: "string",
+      describe: "Viewport for root slot anchors, e.g. 1920x1080",
+    })
     .option("image", {
       type: "string",
       describe: "Image URL or file path to convert into a layout JSON (image mode)",
     })
     .option("out-json", {
       type: "string",
-      describe: "Output JSON path when running in image mode",
+      describe: "Output JSON path when running in image or psd mode",
     })
     .option("image-assets", {
       type: "string",
-      describe: "Directory where the image should be copied/downloaded in image mode",
+      describe: "Directory where the image should be copied/downloaded in image mode (exported layers in psd mode)",
+    })
+    .option("psd", {
+      type: "string",
+      describe: "PSD file to convert into a layout JSON (psd mode)",
+    })
+    .option("include-hidden", {
+      type: "boolean",
+      default: true,
+      describe: "Keep hidden layers when converting a PSD in psd mode",
     })
     .option("include-border", {
       type: "boolean",
@@ -1125,24 +8291,65 @@ async function main() {
       type: "string",
       describe: "Image element name override in image mode",
     })
+    .option("detect-regions", {
+      type: "boolean",
+      default: false,
+      describe: "Detect panels and content regions in the screenshot in image mode",
+    })
+    .option("sensitivity", {
+      type: "number",
+      default: 0.5,
+      describe: "Region detection sensitivity (0-1) in image mode",
+    })
+    .option("slices", {
+      type: "string",
+      describe: "JSON or CSV file of named rectangles to crop into separate elements in image mode",
+    })
     .help()
     .parse();
 
-  if (argv.mode === "dev") {
-    if (!argv.json) {
-      throw new Error("--json is required in dev mode");
+  if (argv.mode === "dev" || argv.mode === "watch" || argv.mode === "batch") {
+    if (argv.mode === "batch" ? !argv.input?.length : !argv.json) {
+      throw new Error(`${argv.mode === "batch" ? "--input" : "--json"} is required in ${argv.mode} mode`);
     }
 
-    await runDevMode({
+    const pipelineOptions = {
       jsonPath: argv.json,
       outputDir: argv.out,
       assetsDir: argv.assets,
       placeholderStyle: argv.placeholderStyle,
       placeholderLabel: argv.placeholderLabel,
+      placeholderThemes: argv.placeholderThemes,
       overwriteJson: argv.overwriteJson,
       psdFilename: argv.psdName,
       margin: argv.margin,
-    });
+      editableText: argv.editableText,
+      vectorShapes: argv.vectorShapes,
+      layerColors: argv.layerColors,
+      strict: argv.strict,
+      targetResolution: parseResolution(argv.targetResolution),
+      offline: argv.offline,
+      cacheDir: argv.cacheDir,
+      maxAssetBytes: argv.maxAssetBytes,
+      fontsDir: argv.fontsDir,
+      fontFallbacks: argv.fontFallbacks,
+    };
+    if (argv.mode === "watch") {
+      await runWatchMode({ ...pipelineOptions, debounce: argv.debounce });
+    } else if (argv.mode === "batch") {
+      await runBatchMode({ ...pipelineOptions, inputs: argv.input, concurrency: argv.concurrency, manifestPath: argv.manifest });
+    } else {
+      await runDevMode(pipelineOptions);
+    }
+    return;
+  }
+
+  if (argv.mode === "validate") {
+    if (!argv.json) {
+      throw new Error("--json is required in validate mode");
+    }
+
+    await runValidateMode({ jsonPath: argv.json });
     return;
   }
 
@@ -1163,6 +8370,35 @@ async function main() {
       position: { x: argv.x, y: argv.y },
       containerName: argv.name,
       imageName: argv.imageName,
+      detectRegions: argv.detectRegions,
+      sensitivity: argv.sensitivity,
+      slicesFile: argv.slices,
+      offline: argv.offline,
+      cacheDir: argv.cacheDir,
+      maxAssetBytes: argv.maxAssetBytes,
+    });
+    return;
+  }
+
+  if (argv.mode === "diff") {
+    if (!argv.before || !argv.after) {
+      throw new Error("--before and --after are required in diff mode");
+    }
+
+    await runDiffMode({ before: argv.before, after: argv.after, diffPath: argv.diffOut, threshold: argv.threshold });
+    return;
+  }
+
+  if (argv.mode === "psd") {
+    if (!argv.psd) {
+      throw new Error("--psd is required in psd mode");
+    }
+
+    await runPsdMode({
+      psdPath: argv.psd,
+      outputJsonPath: argv.outJson,
+      assetsDir: argv.imageAssets,
+      includeHidden: argv.includeHidden,
     });
     return;
   }
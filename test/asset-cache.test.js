@@ -0,0 +1,112 @@
+import assert from "assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import { createAssetCache } from "../asset-cache.js";
+
+const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+describe("createAssetCache", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let failWith;
+  let dir;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers["if-none-match"] });
+      if (failWith) {
+        res.writeHead(failWith);
+        return res.end();
+      }
+      if (req.url === "/image.png") {
+        if (req.headers["if-none-match"] === '"v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { "Content-Type": "image/png", ETag: '"v1"' });
+        return res.end(png);
+      }
+      if (req.url === "/page.png") {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        return res.end("<html></html>");
+      }
+      if (req.url === "/streamed.png") {
+        // No Content-Length, so the limit has to be enforced while reading.
+        res.writeHead(200, { "Content-Type": "image/png", "Transfer-Encoding": "chunked" });
+        res.write(png);
+        return res.end(png);
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    failWith = null;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "asset-cache-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("downloads once and revalidates with the ETag on the next run", async () => {
+    const url = `${baseUrl}/image.png`;
+    const first = createAssetCache({ dir });
+    const [file] = await Promise.all([first.fetch(url), first.fetch(url)]);
+    assert.deepEqual(fs.readFileSync(file), png);
+    assert.equal(requests.length, 1);
+    assert.equal(first.report().downloaded, 1);
+
+    const second = createAssetCache({ dir });
+    assert.equal(await second.fetch(url), file);
+    assert.equal(requests[1].ifNoneMatch, '"v1"');
+    assert.equal(second.report().revalidated, 1);
+  });
+
+  it("serves only cached entries offline", async () => {
+    const url = `${baseUrl}/image.png`;
+    await assert.rejects(createAssetCache({ dir, offline: true }).fetch(url), /not in the asset cache/);
+    assert.equal(requests.length, 0);
+
+    await createAssetCache({ dir }).fetch(url);
+    const offline = createAssetCache({ dir, offline: true });
+    await offline.fetch(url);
+    assert.equal(requests.length, 1);
+    assert.equal(offline.report().cached, 1);
+  });
+
+  it("rejects downloads over the size limit", async () => {
+    await assert.rejects(createAssetCache({ dir, maxBytes: 8 }).fetch(`${baseUrl}/image.png`), /over the 8 byte limit/);
+    await assert.rejects(
+      createAssetCache({ dir, maxBytes: png.length + 1 }).fetch(`${baseUrl}/streamed.png`),
+      /over the \d+ byte limit/
+    );
+  });
+
+  it("rejects responses that are not images", async () => {
+    const cache = createAssetCache({ dir });
+    await assert.rejects(cache.fetch(`${baseUrl}/page.png`), /"text\/html", not an image/);
+    assert.equal(cache.report().failed, 1);
+  });
+
+  it("falls back to the cached copy on server errors but not on 4xx", async () => {
+    const url = `${baseUrl}/image.png`;
+    const file = await createAssetCache({ dir }).fetch(url);
+
+    failWith = 503;
+    const stale = createAssetCache({ dir });
+    assert.equal(await stale.fetch(url), file);
+    assert.equal(stale.report().stale, 1);
+
+    failWith = 404;
+    await assert.rejects(createAssetCache({ dir }).fetch(url), /404/);
+  });
+});